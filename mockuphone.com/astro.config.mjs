@@ -1,8 +1,9 @@
 import { defineConfig } from "astro/config";
 
 import image from "@astrojs/image";
+import precacheManifest from "./src/integrations/precacheManifest.mjs";
 
 export default defineConfig({
-  integrations: [image()],
+  integrations: [image(), precacheManifest()],
   trailingSlash: "ignore",
 });
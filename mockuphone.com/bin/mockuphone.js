@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+/*
+Entry of the `mockuphone` CLI, build it with `npm run build-cli` first.
+*/
+const { main } = require("../dist-cli/cli/mockuphone.js");
+
+process.exitCode = main(process.argv.slice(2), process.cwd());
@@ -0,0 +1,86 @@
+"""
+Download a pinned Pyodide release to be served from `/pyodide/v<version>/`,
+such that the site works offline and on networks blocking the jsDelivr CDN.
+
+Only the runtime and the packages used by `mockup_worker.js` (with their
+dependencies) are downloaded. Packages are verified against the sha256 listed
+in `repodata.json`. Files already downloaded are skipped.
+
+Usage: python bundle_pyodide.py <version> <output_path> <package>...
+"""
+import hashlib
+import json
+import os
+import shutil
+import sys
+import urllib.request
+
+CDN_URL = "https://cdn.jsdelivr.net/pyodide/v{version}/full/"
+RUNTIME_FILES = [
+    "pyodide.js",
+    "pyodide.asm.js",
+    "pyodide.asm.wasm",
+    "python_stdlib.zip",
+    "repodata.json",
+]
+
+
+def download(url, path):
+    print(f"download {url}")
+    tmp_path = f"{path}.download"
+    with urllib.request.urlopen(url) as response, open(tmp_path, "wb") as f:
+        shutil.copyfileobj(response, f)
+    os.replace(tmp_path, path)
+
+
+def sha256sum(path):
+    digest = hashlib.sha256()
+    with open(path, "rb") as f:
+        for chunk in iter(lambda: f.read(1 << 20), b""):
+            digest.update(chunk)
+    return digest.hexdigest()
+
+
+def resolve_packages(repodata, names):
+    packages = repodata["packages"]
+    resolved = []
+    pending = [name.lower() for name in names]
+    while pending:
+        name = pending.pop()
+        if name in resolved:
+            continue
+        if name not in packages:
+            sys.exit(f"Cannot find pyodide package {name}")
+        resolved.append(name)
+        pending.extend(packages[name]["depends"])
+    return resolved
+
+
+def main():
+    if len(sys.argv) < 4:
+        sys.exit(__doc__)
+    version, output_path, names = sys.argv[1], sys.argv[2], sys.argv[3:]
+    base_url = CDN_URL.format(version=version)
+    os.makedirs(output_path, exist_ok=True)
+
+    for file in RUNTIME_FILES:
+        path = os.path.join(output_path, file)
+        if not os.path.exists(path):
+            download(base_url + file, path)
+
+    with open(os.path.join(output_path, "repodata.json")) as f:
+        repodata = json.load(f)
+    for name in resolve_packages(repodata, names):
+        package = repodata["packages"][name]
+        path = os.path.join(output_path, package["file_name"])
+        if os.path.exists(path) and sha256sum(path) == package["sha256"]:
+            continue
+        download(base_url + package["file_name"], path)
+        if sha256sum(path) != package["sha256"]:
+            os.remove(path)
+            sys.exit(f"Checksum mismatch of {package['file_name']}")
+    print(f"pyodide v{version} is bundled to {output_path}")
+
+
+if __name__ == "__main__":
+    main()
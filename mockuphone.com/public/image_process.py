@@ -1,43 +1,194 @@
-import base64
 import io
+import json
 import os
 
-from js import Uint8Array, previewJobQueue
+from js import Uint8Array
 from PIL import Image
 
 
+SUPPORTED_FORMATS = ["PSD", "JPEG", "PNG", "WEBP", "AVIF", "GIF", "BMP", "TIFF"]
+# Output format of the render request to Pillow format and mime type
+OUTPUT_FORMATS = {
+    "png": ("PNG", "image/png"),
+    "jpeg": ("JPEG", "image/jpeg"),
+    "webp": ("WEBP", "image/webp"),
+}
+DEFAULT_OUTPUT_QUALITY = 0.92
+
+
 async def upload_single_image(origin_image, file_name):
     array_buf = Uint8Array.new(await origin_image.arrayBuffer())
     bytes_list = bytearray(array_buf)
     origin_bytes = io.BytesIO(bytes_list)
     my_image = Image.open(origin_bytes)
+    # Detect from file content instead of extension, same as the browser side
+    if my_image.format not in SUPPORTED_FORMATS:
+        raise ValueError(f"Unsupported file type: {my_image.format}")
+    # Only the first frame of animated images (e.g. gif) is used.
+    # Palette or CMYK images (e.g. gif, tiff) cannot always be saved as png
+    if my_image.mode not in ["RGB", "RGBA"]:
+        my_image = my_image.convert("RGBA")
     filePath = f"./{file_name}.png"
     my_image.save(filePath)
     return filePath
 
 
-async def upload_file():
-    imageUpload = previewJobQueue.shift()
-
-    # Since we will update `imageUpload` when calling this function,
-    # need to re-import it to force update to new value
-    # or we will always generate first uploaded image
-    basename, ext = os.path.splitext(imageUpload.name)
-    if ext.lower() not in [".psd", ".jpg", ".jpeg", ".png"]:
-        return
-    original_img_path = await upload_single_image(imageUpload, basename)
+async def upload_file(image_upload):
+    # `image_upload` is the image of the current job, passed in by the worker
+    basename, _ext = os.path.splitext(image_upload.name)
+    original_img_path = await upload_single_image(image_upload, basename)
     return original_img_path
 
 
-def save_image(image):
+def _cover_box(image_size, target_size, focal_point):
+    width, height = image_size
+    scale = max(target_size[0] / width, target_size[1] / height)
+    crop_width = min(width, target_size[0] / scale)
+    crop_height = min(height, target_size[1] / scale)
+    left = min(max(focal_point["x"] * width - crop_width / 2, 0), width - crop_width)
+    top = min(max(focal_point["y"] * height - crop_height / 2, 0), height - crop_height)
+    return (
+        round(left),
+        round(top),
+        round(left + crop_width),
+        round(top + crop_height),
+    )
+
+
+def fit_image(image_path, display_resolution, options_json):
+    """
+    Apply the fit options of the render request (see mockup_protocol.js), same
+    as `createFitResolutionImage` in mockup_renderer.js.
+
+    The output is exactly `display_resolution`, or its transpose if
+    `MockupGenerator` is going to rotate the image, such that the generator
+    does not resize it again.
+    """
+    options = json.loads(options_json)
+    fit_mode = options.get("fitMode") or "contain"
+    fill_color = options.get("fillColor") or "#000000"
+    focal_point = options.get("focalPoint") or {"x": 0.5, "y": 0.5}
+    crop = options.get("crop")
+    if fit_mode == "contain" and fill_color == "#000000" and crop is None:
+        return image_path
+
+    image = Image.open(image_path)
+    if crop is not None:
+        image = image.crop(
+            (
+                round(crop["x"]),
+                round(crop["y"]),
+                round(crop["x"] + crop["width"]),
+                round(crop["y"] + crop["height"]),
+            )
+        )
+
+    # Same rotation rule as `create_fit_resolution_image`
+    display_width, display_height = display_resolution
+    device_ratio = display_width / display_height
+    image_ratio = image.size[0] / image.size[1]
+    if abs(device_ratio - image_ratio) >= abs(device_ratio - 1 / image_ratio):
+        target_size = (display_height, display_width)
+    else:
+        target_size = (display_width, display_height)
+
+    if fit_mode == "stretch":
+        image = image.resize(target_size, Image.BICUBIC)
+    elif fit_mode == "cover":
+        box = _cover_box(image.size, target_size, focal_point)
+        image = image.resize(target_size, Image.BICUBIC, box=box)
+    else:
+        scale = min(target_size[0] / image.size[0], target_size[1] / image.size[1])
+        image = image.resize(
+            (
+                max(1, int(image.size[0] * scale)),
+                max(1, int(image.size[1] * scale)),
+            ),
+            Image.BICUBIC,
+        )
+
+    result = Image.new("RGB", target_size, fill_color)
+    result.paste(
+        image.convert("RGB"),
+        (
+            (target_size[0] - image.size[0]) // 2,
+            (target_size[1] - image.size[1]) // 2,
+        ),
+    )
+    result.save(image_path)
+    return image_path
+
+
+def _output_size(size, resize):
+    # Same as `getOutputSize` in mockup_protocol.js
+    if resize is None:
+        return size
+    width, height = size
+    if resize["mode"] == "width":
+        scale = resize["value"] / width
+    elif resize["mode"] == "height":
+        scale = resize["value"] / height
+    else:
+        scale = resize["value"] / 100
+    return (
+        max(1, int(width * scale + 0.5)),
+        max(1, int(height * scale + 0.5)),
+    )
+
+
+def _has_output_alpha(output_format, output):
+    # Same as `hasOutputAlpha` in mockup_protocol.js
+    if output_format == "jpeg":
+        return False
+    if output_format == "png":
+        return output.get("alpha") is not False
+    return True
+
+
+def _encode_image(image, output_format, quality):
+    pil_format, mime_type = OUTPUT_FORMATS[output_format]
+    params = {}
+    if output_format != "png":
+        params["quality"] = round(quality * 100)
+    buffer = io.BytesIO()
+    image.save(buffer, pil_format, **params)
+    return buffer.getvalue(), mime_type
+
+
+def save_image(image, output_json="{}"):
+    """
+    Encode the mockup with the output options of the render request (see
+    mockup_protocol.js), returns [name, bytes, mime type].
+    """
     print("image", image)
     path = image[0]
-    my_image = Image.open(path)
-    my_stream = io.BytesIO()
-    my_image.save(my_stream, format="PNG")
-    binary_fc = open(path, "rb").read()
-    base64_utf8_str = base64.b64encode(binary_fc).decode("utf-8")
-    basename, ext = os.path.splitext(path)
-    dataurl = f"data:image/{ext};base64,{base64_utf8_str}"
+    basename = os.path.splitext(path)[0]
     print(basename)
-    return [f"img{basename}", dataurl]
+    output = json.loads(output_json)
+    output_format = output.get("format") or "png"
+    resize = output.get("resize")
+    has_alpha = _has_output_alpha(output_format, output)
+    if output_format == "png" and has_alpha and resize is None:
+        with open(path, "rb") as f:
+            # Bytes are converted to Uint8Array, transferred to the page as is
+            return [f"img{basename}", f.read(), "image/png"]
+
+    result = Image.open(path).convert("RGBA")
+    size = _output_size(result.size, resize)
+    if size != result.size:
+        result = result.resize(size, Image.BICUBIC)
+    if not has_alpha:
+        background = Image.new("RGB", result.size, "#ffffff")
+        background.paste(result, mask=result.getchannel("A"))
+        result = background
+    quality = output.get("quality")
+    if quality is None:
+        quality = DEFAULT_OUTPUT_QUALITY
+    try:
+        image_bytes, mime_type = _encode_image(result, output_format, quality)
+    except (KeyError, OSError) as e:
+        # Pillow may be built without the encoder (e.g. webp), same as the
+        # browser fallback to png
+        print("Cannot encode", output_format, e)
+        image_bytes, mime_type = _encode_image(result, "png", quality)
+    return [f"img{basename}", image_bytes, mime_type]
@@ -0,0 +1,247 @@
+/*
+Detect the format of an uploaded screenshot or screen recording.
+
+Shared by the upload page (`ImageUpload`) and `mockup_worker.js`. File
+headers are checked first since `File.type` is empty on some machines, see
+https://stackoverflow.com/questions/51724649/mime-type-of-file-returning-empty-in-javascript-on-some-machines
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MockupImageFormat = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const ImageFormat = {
+    Png: "png",
+    Jpeg: "jpeg",
+    Webp: "webp",
+    Avif: "avif",
+    Gif: "gif",
+    Bmp: "bmp",
+    Tiff: "tiff",
+    Psd: "psd",
+    Svg: "svg",
+    Mp4: "mp4",
+    Webm: "webm",
+  };
+
+  const MIME_TYPES = {
+    [ImageFormat.Png]: ["image/png"],
+    [ImageFormat.Jpeg]: ["image/jpeg"],
+    [ImageFormat.Webp]: ["image/webp"],
+    [ImageFormat.Avif]: ["image/avif"],
+    [ImageFormat.Gif]: ["image/gif"],
+    [ImageFormat.Bmp]: ["image/bmp", "image/x-ms-bmp"],
+    [ImageFormat.Tiff]: ["image/tiff"],
+    [ImageFormat.Psd]: ["application/x-photoshop", "image/vnd.adobe.photoshop"],
+    [ImageFormat.Svg]: ["image/svg+xml"],
+    [ImageFormat.Mp4]: ["video/mp4", "video/quicktime"],
+    [ImageFormat.Webm]: ["video/webm"],
+  };
+
+  // Browsers cannot decode these, they are rendered by pyodide instead
+  const PYODIDE_ONLY_FORMATS = [ImageFormat.Psd, ImageFormat.Tiff];
+
+  // Vector images are rasterized on the page before being sent to the worker
+  const PAGE_RASTERIZED_FORMATS = [ImageFormat.Svg];
+
+  // Screen recordings, every frame is rendered into an animated mockup
+  const VIDEO_FORMATS = [ImageFormat.Mp4, ImageFormat.Webm];
+
+  // Brands of ISO-BMFF files which are videos rather than still images
+  const MP4_BRANDS = [
+    "isom",
+    "iso2",
+    "iso4",
+    "iso5",
+    "iso6",
+    "mp41",
+    "mp42",
+    "avc1",
+    "M4V ",
+    "qt  ",
+    "dash",
+  ];
+
+  const ACCEPT_EXTENSIONS = [
+    ".jpg",
+    ".jpeg",
+    ".png",
+    ".webp",
+    ".avif",
+    ".gif",
+    ".bmp",
+    ".tif",
+    ".tiff",
+    ".psd",
+    ".svg",
+    ".mp4",
+    ".webm",
+  ];
+  const SUPPORTED_FORMATS_READABLE =
+    "JPG, PNG, WebP, AVIF, GIF, BMP, TIFF, PSD, SVG, MP4 or WebM";
+
+  // SVG may start with an xml declaration, comments or a doctype
+  const HEADER_BYTES = 1024;
+
+  function readAscii(bytes, start, end) {
+    let result = "";
+    for (let i = start; i < Math.min(end, bytes.length); i += 1) {
+      result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+  }
+
+  // Major and compatible brands of an ISO-BMFF `ftyp` box
+  function readFtypBrands(bytes) {
+    if (readAscii(bytes, 4, 8) !== "ftyp") {
+      return [];
+    }
+    const boxSize = Math.min(
+      bytes.length,
+      ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0,
+    );
+    const brands = [];
+    for (let i = 8; i + 4 <= boxSize; i += 4) {
+      brands.push(readAscii(bytes, i, i + 4));
+    }
+    return brands;
+  }
+
+  // AVIF is an ISO-BMFF `ftyp` box listing `avif` or `avis` as a brand
+  function isAvif(bytes) {
+    const brands = readFtypBrands(bytes);
+    return brands.includes("avif") || brands.includes("avis");
+  }
+
+  // MP4 and QuickTime, HEIC and other ISO-BMFF images list none of these
+  function isMp4(bytes) {
+    return readFtypBrands(bytes).some((brand) => MP4_BRANDS.includes(brand));
+  }
+
+  function isSvg(bytes) {
+    const text = readAscii(bytes, 0, bytes.length)
+      .replace(/^\xef\xbb\xbf/, "")
+      .trimStart();
+    return text.startsWith("<") && /<svg[\s>]/i.test(text);
+  }
+
+  function sniffImageFormat(bytes) {
+    if (bytes[0] === 0x89 && readAscii(bytes, 1, 4) === "PNG") {
+      return ImageFormat.Png;
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+      return ImageFormat.Jpeg;
+    }
+    if (
+      readAscii(bytes, 0, 4) === "RIFF" &&
+      readAscii(bytes, 8, 12) === "WEBP"
+    ) {
+      return ImageFormat.Webp;
+    }
+    if (isAvif(bytes)) {
+      return ImageFormat.Avif;
+    }
+    if (readAscii(bytes, 0, 4) === "GIF8") {
+      return ImageFormat.Gif;
+    }
+    if (readAscii(bytes, 0, 2) === "BM") {
+      return ImageFormat.Bmp;
+    }
+    const tiffHeader = readAscii(bytes, 0, 4);
+    if (tiffHeader === "II*\0" || tiffHeader === "MM\0*") {
+      return ImageFormat.Tiff;
+    }
+    // https://www.fileformat.info/format/psd/egff.htm
+    if (readAscii(bytes, 0, 4) === "8BPS") {
+      return ImageFormat.Psd;
+    }
+    if (isSvg(bytes)) {
+      return ImageFormat.Svg;
+    }
+    if (isMp4(bytes)) {
+      return ImageFormat.Mp4;
+    }
+    // EBML header, https://www.matroska.org/technical/elements.html
+    if (
+      bytes[0] === 0x1a &&
+      bytes[1] === 0x45 &&
+      bytes[2] === 0xdf &&
+      bytes[3] === 0xa3
+    ) {
+      return ImageFormat.Webm;
+    }
+    return null;
+  }
+
+  function formatFromMimeType(mimeType) {
+    const format = Object.keys(MIME_TYPES).find((f) =>
+      MIME_TYPES[f].includes(mimeType),
+    );
+    return format ?? null;
+  }
+
+  // Resolve with one of `ImageFormat`, or null if the format is not supported
+  async function detectImageFormat(blob) {
+    const header = new Uint8Array(
+      await blob.slice(0, HEADER_BYTES).arrayBuffer(),
+    );
+    return sniffImageFormat(header) ?? formatFromMimeType(blob.type);
+  }
+
+  function isPyodideOnlyFormat(format) {
+    return PYODIDE_ONLY_FORMATS.includes(format);
+  }
+
+  function isPageRasterizedFormat(format) {
+    return PAGE_RASTERIZED_FORMATS.includes(format);
+  }
+
+  function isVideoFormat(format) {
+    return VIDEO_FORMATS.includes(format);
+  }
+
+  // Read ImageWidth (256) and ImageLength (257) from the first IFD
+  function readTiffDimension(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const littleEndian = view.getUint16(0) === 0x4949;
+    const ifdOffset = view.getUint32(4, littleEndian);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+    let width = null;
+    let height = null;
+    for (let i = 0; i < entryCount; i += 1) {
+      const entry = ifdOffset + 2 + i * 12;
+      const tag = view.getUint16(entry, littleEndian);
+      const type = view.getUint16(entry + 2, littleEndian);
+      const value =
+        type === 3
+          ? view.getUint16(entry + 8, littleEndian)
+          : view.getUint32(entry + 8, littleEndian);
+      if (tag === 256) {
+        width = value;
+      } else if (tag === 257) {
+        height = value;
+      }
+    }
+    if (width == null || height == null) {
+      return null;
+    }
+    return { width, height };
+  }
+
+  return {
+    ImageFormat,
+    ACCEPT_EXTENSIONS,
+    SUPPORTED_FORMATS_READABLE,
+    sniffImageFormat,
+    formatFromMimeType,
+    detectImageFormat,
+    isPyodideOnlyFormat,
+    isPageRasterizedFormat,
+    isVideoFormat,
+    readTiffDimension,
+  };
+});
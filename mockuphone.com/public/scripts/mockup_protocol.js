@@ -0,0 +1,373 @@
+/*
+Message protocol between the page and `mockup_worker.js`.
+
+Every request carries everything needed to render one mockup (image, device,
+orientation and options) and is keyed by `jobId`. The worker answers with
+zero or more `progress` messages followed by exactly one `result` or `error`
+message with the same `jobId`. The output `buffer` of a result is transferred
+rather than copied, use `createResultBlob` to read it.
+
+Request:
+  { version, type: "render", jobId, image: Blob, device, orientation, options,
+    output, video }
+Options (all optional):
+  { fitMode: "contain" | "cover" | "stretch", fillColor: "#rrggbb",
+    focalPoint: { x, y } (0 to 1, cover only), crop: { x, y, width, height } }
+Output (all optional, png at the template size by default):
+  { format: "png" | "jpeg" | "webp", quality: 0 to 1 (jpeg and webp only),
+    alpha: false to flatten a png onto white (jpeg is always flattened),
+    resize: { mode: "percent" | "width" | "height", value } }
+Video (all optional, screen recordings only, times in seconds):
+  { format: "webm" | "gif" | "still", frameRate, trimStart,
+    trimEnd: null for the end of the video, maxDuration }
+  "still" renders the frame at `trimStart` as `output`, e.g. for previews,
+  webm and gif results are `video/webm` and `image/gif`.
+Responses:
+  { version, type: "progress", jobId,
+    stage: "queued" | "loaded" | "frame" | "warped" | "encoded", frame,
+    frameCount }
+  "queued" is sent every few seconds while a pyodide job waits for pyodide to
+  load or for other jobs. "frame" is sent for every rendered frame of a
+  screen recording, with the 1-based `frame` of `frameCount`.
+  { version, type: "result", jobId,
+    result: { name, buffer: ArrayBuffer, mimeType, width, height, renderer } }
+  { version, type: "error", jobId, error: { code, message } }
+
+The page may also hand a worker a port to `mockup_pyodide_worker.js`, which
+then runs the pyodide jobs of the worker with the same messages:
+  { version, type: "connectPyodide", port: MessagePort }
+and drops a job which is not needed anymore, e.g. timed out, on:
+  { version, type: "cancel", jobId }
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MockupProtocol = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Bump when a message changes in a backward incompatible way
+  // 2: result carries the png as ArrayBuffer instead of data url
+  const PROTOCOL_VERSION = 2;
+
+  const MessageType = {
+    Render: "render",
+    Progress: "progress",
+    Result: "result",
+    Error: "error",
+    ConnectPyodide: "connectPyodide",
+    Cancel: "cancel",
+  };
+
+  const ProgressStage = {
+    Queued: "queued",
+    Loaded: "loaded",
+    Frame: "frame",
+    Warped: "warped",
+    Encoded: "encoded",
+  };
+
+  // How the screenshot is fitted into the display resolution of the device
+  const FitMode = {
+    Contain: "contain",
+    Cover: "cover",
+    Stretch: "stretch",
+  };
+
+  // Encoding of the output image
+  const OutputFormat = {
+    Png: "png",
+    Jpeg: "jpeg",
+    Webp: "webp",
+  };
+
+  const OUTPUT_MIME_TYPES = {
+    [OutputFormat.Png]: "image/png",
+    [OutputFormat.Jpeg]: "image/jpeg",
+    [OutputFormat.Webp]: "image/webp",
+  };
+
+  // How `output.resize.value` scales the output image
+  const ResizeMode = {
+    Percent: "percent",
+    Width: "width",
+    Height: "height",
+  };
+
+  const DEFAULT_OUTPUT = {
+    format: OutputFormat.Png,
+    quality: 0.92,
+    alpha: true,
+    resize: null,
+  };
+
+  // Encoding of the mockup of a screen recording
+  const VideoFormat = {
+    Webm: "webm",
+    Gif: "gif",
+    Still: "still",
+  };
+
+  const VIDEO_MIME_TYPES = {
+    [VideoFormat.Webm]: "video/webm",
+    [VideoFormat.Gif]: "image/gif",
+  };
+
+  const DEFAULT_VIDEO = {
+    format: VideoFormat.Webm,
+    frameRate: 30,
+    trimStart: 0,
+    trimEnd: null,
+    maxDuration: 30,
+  };
+
+  const MAX_VIDEO_FRAME_RATE = 60;
+
+  const ErrorCode = {
+    ProtocolVersion: "ErrProtocolVersion",
+    InvalidRequest: "ErrInvalidRequest",
+    UnsupportedFileType: "ErrUnsupportedFileType",
+    // Color mode or bit depth the renderer cannot handle, e.g. CMYK
+    UnsupportedMode: "ErrUnsupportedMode",
+    Decode: "ErrDecode",
+    OrientationNotFound: "ErrOrientationNotFound",
+    TemplateFetch: "ErrTemplateFetch",
+    OutOfMemory: "ErrOutOfMemory",
+    // Set by the page when a worker stops responding, see MockupScheduler
+    Timeout: "ErrTimeout",
+    Render: "ErrRender",
+  };
+
+  class MockupError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = "MockupError";
+      this.code = code;
+    }
+  }
+
+  function createRenderRequest({
+    jobId,
+    image,
+    device,
+    orientation,
+    options,
+    output,
+    video,
+  }) {
+    return {
+      version: PROTOCOL_VERSION,
+      type: MessageType.Render,
+      jobId: jobId,
+      image: image,
+      device: device,
+      orientation: orientation,
+      options: options ?? {},
+      output: output ?? {},
+      video: video ?? {},
+    };
+  }
+
+  function getOutputMimeType(output) {
+    return OUTPUT_MIME_TYPES[output?.format ?? OutputFormat.Png];
+  }
+
+  // Null for "still", which is encoded as `output`
+  function getVideoMimeType(video) {
+    return VIDEO_MIME_TYPES[video?.format ?? DEFAULT_VIDEO.format] ?? null;
+  }
+
+  // Whether the output keeps transparency, otherwise it is flattened onto white
+  function hasOutputAlpha(output) {
+    switch (output?.format ?? OutputFormat.Png) {
+      case OutputFormat.Jpeg:
+        return false;
+      case OutputFormat.Png:
+        return output?.alpha !== false;
+      default:
+        return true;
+    }
+  }
+
+  // Size of the output image of a mockup rendered at `width` x `height`
+  function getOutputSize(width, height, resize) {
+    if (resize == null) {
+      return { width, height };
+    }
+    let scale;
+    switch (resize.mode) {
+      case ResizeMode.Width:
+        scale = resize.value / width;
+        break;
+      case ResizeMode.Height:
+        scale = resize.value / height;
+        break;
+      default:
+        scale = resize.value / 100;
+    }
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+    };
+  }
+
+  function validateRenderRequest(request) {
+    if (request?.version !== PROTOCOL_VERSION) {
+      throw new MockupError(
+        ErrorCode.ProtocolVersion,
+        `Unsupported protocol version ${request?.version}, expected ${PROTOCOL_VERSION}`,
+      );
+    }
+    if (
+      request.type !== MessageType.Render ||
+      request.jobId == null ||
+      request.image == null ||
+      request.device == null ||
+      request.orientation == null
+    ) {
+      throw new MockupError(ErrorCode.InvalidRequest, "Invalid render request");
+    }
+    const fitMode = request.options?.fitMode;
+    if (fitMode != null && !Object.values(FitMode).includes(fitMode)) {
+      throw new MockupError(
+        ErrorCode.InvalidRequest,
+        `Unsupported fit mode ${fitMode}`,
+      );
+    }
+    const fillColor = request.options?.fillColor;
+    if (fillColor != null && !/^#[\da-f]{6}$/i.test(fillColor)) {
+      throw new MockupError(
+        ErrorCode.InvalidRequest,
+        `Invalid fill color ${fillColor}`,
+      );
+    }
+    const format = request.output?.format;
+    if (format != null && !Object.values(OutputFormat).includes(format)) {
+      throw new MockupError(
+        ErrorCode.InvalidRequest,
+        `Unsupported output format ${format}`,
+      );
+    }
+    const quality = request.output?.quality;
+    if (quality != null && !(quality >= 0 && quality <= 1)) {
+      throw new MockupError(
+        ErrorCode.InvalidRequest,
+        `Invalid output quality ${quality}`,
+      );
+    }
+    const resize = request.output?.resize;
+    if (
+      resize != null &&
+      (!Object.values(ResizeMode).includes(resize.mode) ||
+        !(Number.isFinite(resize.value) && resize.value > 0))
+    ) {
+      throw new MockupError(
+        ErrorCode.InvalidRequest,
+        `Invalid output resize ${JSON.stringify(resize)}`,
+      );
+    }
+    const video = { ...DEFAULT_VIDEO, ...request.video };
+    if (
+      !Object.values(VideoFormat).includes(video.format) ||
+      !(video.frameRate > 0 && video.frameRate <= MAX_VIDEO_FRAME_RATE) ||
+      !(video.trimStart >= 0) ||
+      (video.trimEnd != null && !(video.trimEnd > video.trimStart)) ||
+      (video.maxDuration != null && !(video.maxDuration > 0))
+    ) {
+      throw new MockupError(
+        ErrorCode.InvalidRequest,
+        `Invalid video options ${JSON.stringify(request.video)}`,
+      );
+    }
+  }
+
+  // `details` are the extra fields of the stage, e.g. `frame`
+  function createProgress(jobId, stage, details = {}) {
+    return {
+      ...details,
+      version: PROTOCOL_VERSION,
+      type: MessageType.Progress,
+      jobId: jobId,
+      stage: stage,
+    };
+  }
+
+  function createResult(jobId, result) {
+    return {
+      version: PROTOCOL_VERSION,
+      type: MessageType.Result,
+      jobId: jobId,
+      result: result,
+    };
+  }
+
+  function createError(jobId, error) {
+    return {
+      version: PROTOCOL_VERSION,
+      type: MessageType.Error,
+      jobId: jobId,
+      error: {
+        code: error.code ?? ErrorCode.Render,
+        message: error.message ?? String(error),
+      },
+    };
+  }
+
+  // `port` has to be transferred along with the message
+  function createConnectPyodide(port) {
+    return {
+      version: PROTOCOL_VERSION,
+      type: MessageType.ConnectPyodide,
+      port: port,
+    };
+  }
+
+  function createCancel(jobId) {
+    return {
+      version: PROTOCOL_VERSION,
+      type: MessageType.Cancel,
+      jobId: jobId,
+    };
+  }
+
+  function createResultBlob(result) {
+    return new Blob([result.buffer], { type: result.mimeType });
+  }
+
+  function isFinalResponse(response) {
+    return (
+      response.type === MessageType.Result ||
+      response.type === MessageType.Error
+    );
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    MessageType,
+    ProgressStage,
+    FitMode,
+    OutputFormat,
+    ResizeMode,
+    DEFAULT_OUTPUT,
+    VideoFormat,
+    DEFAULT_VIDEO,
+    MAX_VIDEO_FRAME_RATE,
+    ErrorCode,
+    MockupError,
+    createRenderRequest,
+    getOutputMimeType,
+    getVideoMimeType,
+    hasOutputAlpha,
+    getOutputSize,
+    validateRenderRequest,
+    createProgress,
+    createResult,
+    createError,
+    createConnectPyodide,
+    createCancel,
+    createResultBlob,
+    isFinalResponse,
+  };
+});
@@ -0,0 +1,255 @@
+/*
+Pyodide port of the mockup generator, the fallback of `MockupRenderer`.
+
+Loaded with `importScripts` by `mockup_pyodide_worker.js`, which runs it once
+for every worker and tab, and by `mockup_worker.js` when shared workers are
+not supported. Requires `MockupProtocol`.
+
+The version pinned pyodide files are kept in Cache Storage, such that
+loading pyodide again does not download its runtime and packages.
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./mockup_protocol.js"));
+  } else {
+    root.MockupPyodide = factory(root.MockupProtocol);
+  }
+})(typeof self !== "undefined" ? self : this, function (MockupProtocol) {
+  "use strict";
+
+  const { ErrorCode, MockupError, ProgressStage } = MockupProtocol;
+
+  // Self-hosted by `make bundle-pyodide`, keep in sync with
+  // `PYODIDE_VERSION` in the Makefile
+  const PYODIDE_VERSION = "0.23.4";
+  const PYODIDE_PACKAGES = ["numpy", "opencv-python", "pillow", "micropip"];
+  const PYODIDE_CACHE_NAME_PREFIX = "mockuphone-pyodide-";
+  const PYODIDE_CACHE_NAME = `${PYODIDE_CACHE_NAME_PREFIX}v${PYODIDE_VERSION}`;
+
+  const CDN_INDEX_URL = `https://cdn.jsdelivr.net/pyodide/v${PYODIDE_VERSION}/full/`;
+
+  /*
+  The self-hosted pyodide, or the CDN when the build does not have it, e.g.
+  in development without `make bundle-pyodide`. The service worker does not
+  serve HEAD requests, so its precache is checked first.
+  */
+  async function resolveIndexUrl() {
+    const selfHostedUrl = `${self.location.origin}/pyodide/v${PYODIDE_VERSION}/`;
+    const probeUrl = `${selfHostedUrl}pyodide.js`;
+    if (typeof caches !== "undefined" && (await caches.match(probeUrl))) {
+      return selfHostedUrl;
+    }
+    try {
+      const response = await fetch(probeUrl, { method: "HEAD" });
+      if (response.ok) {
+        return selfHostedUrl;
+      }
+    } catch (error) {
+      // Offline, loading from the CDN fails with a clearer error
+    }
+    console.warn(`Self-hosted pyodide not found, loading ${CDN_INDEX_URL}`);
+    return CDN_INDEX_URL;
+  }
+
+  /*
+  Serve requests of pyodide files from Cache Storage, including the precache
+  of the service worker. Pyodide has no option to fetch its runtime and
+  packages by other means, so `fetch` of the worker is wrapped.
+  */
+  function cachePyodideFetch(indexUrl) {
+    const networkFetch = self.fetch.bind(self);
+    self.fetch = async (input, init) => {
+      const url = typeof input === "string" ? input : input.url;
+      if (!url.startsWith(indexUrl) || typeof caches === "undefined") {
+        return networkFetch(input, init);
+      }
+      const cached = await caches.match(url);
+      if (cached != null) {
+        return cached;
+      }
+      const response = await networkFetch(input, init);
+      if (response.ok) {
+        const cache = await caches.open(PYODIDE_CACHE_NAME);
+        await cache.put(url, response.clone());
+      }
+      return response;
+    };
+  }
+
+  // Files of other pyodide versions are never used again
+  async function deleteOutdatedCaches() {
+    if (typeof caches === "undefined") {
+      return;
+    }
+    const cacheNames = await caches.keys();
+    await Promise.all(
+      cacheNames
+        .filter(
+          (name) =>
+            name.startsWith(PYODIDE_CACHE_NAME_PREFIX) &&
+            name !== PYODIDE_CACHE_NAME,
+        )
+        .map((name) => caches.delete(name)),
+    );
+  }
+
+  async function initiatePyodide() {
+    console.log("start startup");
+    const indexUrl = await resolveIndexUrl();
+    cachePyodideFetch(indexUrl);
+    deleteOutdatedCaches().catch((error) => {
+      console.warn("Failed to delete outdated pyodide caches", error);
+    });
+    importScripts(`${indexUrl}pyodide.js`);
+    const pyodide = await loadPyodide({ indexURL: indexUrl });
+    await pyodide.loadPackage(PYODIDE_PACKAGES);
+    let zipResponse = await fetch("/mockup.zip");
+    let zipBinary = await zipResponse.arrayBuffer();
+    pyodide.unpackArchive(zipBinary, "zip");
+    await pyodide.runPythonAsync(
+      `
+        from pyodide.http import pyfetch
+        response = await pyfetch("/image_process.py")
+        with open("./image_process.py", "wb") as f:
+          f.write(await response.bytes())
+      `,
+      (output) => console.log(output),
+      (output) => console.log(output),
+    );
+    console.log("end up");
+    return pyodide;
+  }
+
+  // Pyodide is only needed for the fallback renderer, load it on first use
+  let pyodidePromise = null;
+  function getPyodide() {
+    if (pyodidePromise == null) {
+      pyodidePromise = initiatePyodide();
+    }
+    return pyodidePromise;
+  }
+
+  // Pyodide jobs share the same virtual file system, run them one by one
+  let pyodideLock = Promise.resolve();
+  function withPyodideLock(fn) {
+    const run = pyodideLock.then(fn);
+    pyodideLock = run.catch(() => {});
+    return run;
+  }
+
+  function toPyodideError(error) {
+    const message = error.message ?? String(error);
+    if (message.includes("Unsupported file type")) {
+      return new MockupError(ErrorCode.UnsupportedFileType, message);
+    }
+    if (message.includes("Cannot find orientation")) {
+      return new MockupError(ErrorCode.OrientationNotFound, message);
+    }
+    if (message.includes("cannot identify image file")) {
+      return new MockupError(ErrorCode.Decode, message);
+    }
+    if (message.includes("MemoryError")) {
+      return new MockupError(ErrorCode.OutOfMemory, message);
+    }
+    // PIL, e.g. "cannot write mode CMYK as PNG" or "unsupported mode"
+    if (/\bmode\b/.test(message)) {
+      return new MockupError(ErrorCode.UnsupportedMode, message);
+    }
+    return new MockupError(ErrorCode.Render, message);
+  }
+
+  // Interval of the `queued` progress of jobs waiting for pyodide, well
+  // below the job timeout of the page
+  const QUEUED_HEARTBEAT_MS = 10000;
+
+  /*
+  Render a request (see mockup_protocol.js) with pyodide, resolve with the
+  `result` of the response. Until pyodide is loaded and the jobs before are
+  done, `queued` is reported every few seconds. A job whose `signal` is
+  aborted by then is dropped.
+  */
+  async function runPyodideMockup(request, reportProgress, signal = null) {
+    const reportQueued = () => reportProgress(ProgressStage.Queued);
+    reportQueued();
+    const heartbeat = setInterval(reportQueued, QUEUED_HEARTBEAT_MS);
+    signal?.addEventListener("abort", () => clearInterval(heartbeat));
+    try {
+      const pyodide = await getPyodide();
+      return await withPyodideLock(async () => {
+        clearInterval(heartbeat);
+        signal?.throwIfAborted();
+        return await renderPyodideMockup(pyodide, request, reportProgress);
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Render with pyodide, holding the lock of pyodide
+  async function renderPyodideMockup(pyodide, request, reportProgress) {
+    let pythonNamespace = pyodide.globals.get("dict")();
+    pythonNamespace.set("location", self.location.href);
+    pythonNamespace.set("image_upload", request.image);
+    pythonNamespace.set("device_id", request.device.device_id);
+    pythonNamespace.set("device_info", { devices: [request.device] });
+    pythonNamespace.set("orientation", request.orientation);
+    pythonNamespace.set(
+      "display_resolution",
+      request.device.display_resolution,
+    );
+    pythonNamespace.set("fit_options", JSON.stringify(request.options ?? {}));
+    pythonNamespace.set("output_options", JSON.stringify(request.output ?? {}));
+    try {
+      await pyodide.runPythonAsync(
+        `
+          from mockup import MockupGenerator
+          import image_process
+
+          origin_image_path = await image_process.upload_file(image_upload)
+          origin_image_path = image_process.fit_image(
+            origin_image_path,
+            display_resolution.to_py(),
+            fit_options,
+          )
+        `,
+        { globals: pythonNamespace },
+      );
+      reportProgress(ProgressStage.Loaded);
+      await pyodide.runPythonAsync(
+        `
+          mockup_generator = MockupGenerator(location, device_id, origin_image_path, device_info, orientation)
+          output_img = await mockup_generator.mockup()
+        `,
+        { globals: pythonNamespace },
+      );
+      reportProgress(ProgressStage.Warped);
+      pyodide.runPython(
+        `
+          temp = image_process.save_image(output_img, output_options)
+        `,
+        { globals: pythonNamespace },
+      );
+      reportProgress(ProgressStage.Encoded);
+    } catch (error) {
+      throw toPyodideError(error);
+    }
+    const [name, bytes, mimeType] = pythonNamespace.get("temp").toJs();
+    return {
+      name,
+      // Own buffer of the bytes only, such that it can be transferred
+      buffer: bytes.buffer.slice(
+        bytes.byteOffset,
+        bytes.byteOffset + bytes.byteLength,
+      ),
+      mimeType,
+      width: null,
+      height: null,
+      renderer: "pyodide",
+    };
+  }
+
+  return {
+    PYODIDE_VERSION,
+    runPyodideMockup,
+  };
+});
@@ -0,0 +1,79 @@
+/*
+Shared worker which loads pyodide once for every mockup worker of every tab.
+
+Each connection is a port handed to a `mockup_worker.js` by the page (see
+`MockupScheduler`), over which the worker posts render requests of the
+pyodide renderer and receives their responses (see mockup_protocol.js). Jobs
+of every connection run one by one on the same pyodide, and report `queued`
+while they wait such that the page does not time them out.
+
+The page cannot terminate a shared worker, it cancels the jobs it gave up on
+over its own connection instead. A cancelled job still waiting is dropped, a
+running one cannot be stopped but its response is not sent.
+*/
+importScripts("/scripts/mockup_protocol.js", "/scripts/mockup_pyodide.js");
+
+// Job id to the `AbortController` of every job not finished yet, of every
+// connection, such that any of them can cancel it
+const pendingJobs = new Map();
+// Jobs cancelled before their request arrived, which is posted by another
+// connection. Jobs cancelled after they finished are never removed, so only
+// the latest ones are kept.
+const cancelledJobIds = new Set();
+const MAX_CANCELLED_JOB_IDS = 100;
+
+function cancelJob(jobId) {
+  const controller = pendingJobs.get(jobId);
+  if (controller == null) {
+    cancelledJobIds.add(jobId);
+    if (cancelledJobIds.size > MAX_CANCELLED_JOB_IDS) {
+      cancelledJobIds.delete(cancelledJobIds.values().next().value);
+    }
+    return;
+  }
+  controller.abort();
+}
+
+async function runJob(port, request) {
+  const jobId = request?.jobId ?? null;
+  if (cancelledJobIds.delete(jobId)) {
+    return;
+  }
+  const controller = new AbortController();
+  pendingJobs.set(jobId, controller);
+  const post = (message, transfer) => {
+    if (!controller.signal.aborted) {
+      port.postMessage(message, transfer);
+    }
+  };
+  try {
+    MockupProtocol.validateRenderRequest(request);
+    const result = await MockupPyodide.runPyodideMockup(
+      request,
+      (stage) => {
+        post(MockupProtocol.createProgress(jobId, stage));
+      },
+      controller.signal,
+    );
+    post(MockupProtocol.createResult(jobId, result), [result.buffer]);
+  } catch (error) {
+    post(MockupProtocol.createError(jobId, error));
+  } finally {
+    pendingJobs.delete(jobId);
+  }
+}
+
+function handleConnection(port) {
+  port.onmessage = (event) => {
+    const message = event.data;
+    if (message?.type === MockupProtocol.MessageType.Cancel) {
+      cancelJob(message.jobId);
+      return;
+    }
+    runJob(port, message);
+  };
+}
+
+self.onconnect = (event) => {
+  handleConnection(event.ports[0]);
+};
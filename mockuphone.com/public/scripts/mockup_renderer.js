@@ -0,0 +1,618 @@
+/*
+Pure JavaScript port of `mockup.MockupGenerator`.
+
+Works on ImageData-like objects ({ width, height, data: Uint8ClampedArray })
+so that it can run inside a web worker (decoded with OffscreenCanvas) as well
+as in Node.js. Every step mirrors `mockup_package/mockup/image_generator.py`
+so that the output stays pixel-comparable with the Pyodide pipeline.
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MockupRenderer = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Same as `PADDING` in image_generator.py
+  const PADDING = 100;
+
+  function createImageData(width, height) {
+    return {
+      width: width,
+      height: height,
+      data: new Uint8ClampedArray(width * height * 4),
+    };
+  }
+
+  function findDevice(deviceInfo, deviceId) {
+    const devices = deviceInfo?.devices ?? [];
+    const device = devices.find((d) => d.device_id === deviceId);
+    if (device == null) {
+      throw new Error(`Cannot find device ${deviceId}`);
+    }
+    return device;
+  }
+
+  function findOrientation(device, orientationName) {
+    const orientation = device.orientations.find(
+      (o) => o.name === orientationName,
+    );
+    if (orientation == null) {
+      throw new Error(`Cannot find orientation ${orientationName}`);
+    }
+    return orientation;
+  }
+
+  function getTemplatePath(deviceId, orientationName) {
+    return `/images/mockup_templates/${deviceId}-${orientationName}.png`;
+  }
+
+  function getMaskTemplatePath(deviceId, orientationName) {
+    return `/images/mockup_mask_templates/${deviceId}-${orientationName}.png`;
+  }
+
+  // Every template `renderMockup` may load for `device`
+  function getDeviceTemplatePaths(device) {
+    return device.orientations.flatMap((orientation) => {
+      const templatePath = getTemplatePath(device.device_id, orientation.name);
+      return device.is_mockup_image_at_front
+        ? [
+            templatePath,
+            getMaskTemplatePath(device.device_id, orientation.name),
+          ]
+        : [templatePath];
+    });
+  }
+
+  // Same naming as `MockupGenerator.generate`, e.g. `shot-portrait`
+  function getOutputBasename(filename, orientationName) {
+    const dotIndex = filename.lastIndexOf(".");
+    const basename = dotIndex > 0 ? filename.substring(0, dotIndex) : filename;
+    const deviceView = orientationName.split("-").pop();
+    return `${basename}-${deviceView}`;
+  }
+
+  // Equivalent of PIL `Image.transpose(Image.ROTATE_90)` (counterclockwise)
+  function rotate90(image) {
+    const { width, height, data } = image;
+    const result = createImageData(height, width);
+    for (let y = 0; y < result.height; y += 1) {
+      for (let x = 0; x < result.width; x += 1) {
+        const src = (x * width + (width - 1 - y)) * 4;
+        const dst = (y * result.width + x) * 4;
+        result.data[dst] = data[src];
+        result.data[dst + 1] = data[src + 1];
+        result.data[dst + 2] = data[src + 2];
+        result.data[dst + 3] = data[src + 3];
+      }
+    }
+    return result;
+  }
+
+  // Bicubic kernel used by PIL (a = -0.5)
+  function bicubic(x) {
+    const a = -0.5;
+    x = Math.abs(x);
+    if (x < 1) {
+      return ((a + 2) * x - (a + 3)) * x * x + 1;
+    }
+    if (x < 2) {
+      return (((x - 5) * x + 8) * x - 4) * a;
+    }
+    return 0;
+  }
+
+  function computeResampleCoefficients(inSize, outSize) {
+    const scale = inSize / outSize;
+    const filterScale = Math.max(scale, 1);
+    const support = 2 * filterScale;
+    const coefficients = [];
+    for (let i = 0; i < outSize; i += 1) {
+      const center = (i + 0.5) * scale;
+      const min = Math.max(0, Math.floor(center - support + 0.5));
+      const max = Math.min(inSize, Math.floor(center + support + 0.5));
+      const weights = [];
+      let total = 0;
+      for (let j = min; j < max; j += 1) {
+        const w = bicubic((j - center + 0.5) / filterScale);
+        weights.push(w);
+        total += w;
+      }
+      coefficients.push({
+        min: min,
+        weights: weights.map((w) => (total === 0 ? 0 : w / total)),
+      });
+    }
+    return coefficients;
+  }
+
+  // Separable bicubic resampling, equivalent of PIL `Image.resize`
+  function resizeImage(image, width, height) {
+    if (image.width === width && image.height === height) {
+      return image;
+    }
+    const horizontal = computeResampleCoefficients(image.width, width);
+    const vertical = computeResampleCoefficients(image.height, height);
+
+    const tmp = new Float32Array(width * image.height * 4);
+    for (let y = 0; y < image.height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const { min, weights } = horizontal[x];
+        const dst = (y * width + x) * 4;
+        for (let k = 0; k < weights.length; k += 1) {
+          const src = (y * image.width + min + k) * 4;
+          tmp[dst] += image.data[src] * weights[k];
+          tmp[dst + 1] += image.data[src + 1] * weights[k];
+          tmp[dst + 2] += image.data[src + 2] * weights[k];
+          tmp[dst + 3] += image.data[src + 3] * weights[k];
+        }
+      }
+    }
+
+    const result = createImageData(width, height);
+    for (let y = 0; y < height; y += 1) {
+      const { min, weights } = vertical[y];
+      for (let x = 0; x < width; x += 1) {
+        const dst = (y * width + x) * 4;
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let a = 0;
+        for (let k = 0; k < weights.length; k += 1) {
+          const src = ((min + k) * width + x) * 4;
+          r += tmp[src] * weights[k];
+          g += tmp[src + 1] * weights[k];
+          b += tmp[src + 2] * weights[k];
+          a += tmp[src + 3] * weights[k];
+        }
+        // Uint8ClampedArray rounds and clamps for us
+        result.data[dst] = r;
+        result.data[dst + 1] = g;
+        result.data[dst + 2] = b;
+        result.data[dst + 3] = a;
+      }
+    }
+    return result;
+  }
+
+  // Same values as `MockupProtocol.FitMode`
+  const FitMode = {
+    Contain: "contain",
+    Cover: "cover",
+    Stretch: "stretch",
+  };
+
+  function parseHexColor(color) {
+    const match = /^#?([\da-f]{3}|[\da-f]{6})$/i.exec(color ?? "");
+    if (match == null) {
+      throw new Error(`Invalid fill color ${color}`);
+    }
+    const hex =
+      match[1].length === 3 ? match[1].replace(/./g, (c) => c + c) : match[1];
+    return [0, 2, 4].map((i) => parseInt(hex.substring(i, i + 2), 16));
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  // Crop `rect` ({ x, y, width, height } in pixels), clamped to the image
+  function cropImage(image, rect) {
+    const x = clamp(Math.round(rect.x), 0, image.width - 1);
+    const y = clamp(Math.round(rect.y), 0, image.height - 1);
+    const width = clamp(Math.round(rect.width), 1, image.width - x);
+    const height = clamp(Math.round(rect.height), 1, image.height - y);
+    if (
+      x === 0 &&
+      y === 0 &&
+      width === image.width &&
+      height === image.height
+    ) {
+      return image;
+    }
+    const result = createImageData(width, height);
+    for (let row = 0; row < height; row += 1) {
+      const from = ((y + row) * image.width + x) * 4;
+      result.data.set(
+        image.data.subarray(from, from + width * 4),
+        row * width * 4,
+      );
+    }
+    return result;
+  }
+
+  // Largest region with the aspect ratio of `width` x `height`, centered at
+  // `focalPoint` as much as possible
+  function computeCoverRect(image, width, height, focalPoint) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const cropWidth = Math.min(image.width, width / scale);
+    const cropHeight = Math.min(image.height, height / scale);
+    return {
+      x: clamp(
+        focalPoint.x * image.width - cropWidth / 2,
+        0,
+        image.width - cropWidth,
+      ),
+      y: clamp(
+        focalPoint.y * image.height - cropHeight / 2,
+        0,
+        image.height - cropHeight,
+      ),
+      width: cropWidth,
+      height: cropHeight,
+    };
+  }
+
+  /*
+  Port of `ImageGenerator.create_fit_resolution_image`, plus the fit options
+  of the render request (see mockup_protocol.js). Without options the output
+  is the same as the python version: contain on a black background.
+  */
+  function createFitResolutionImage(screen, displayResolution, options = {}) {
+    const {
+      fitMode = FitMode.Contain,
+      fillColor = "#000000",
+      focalPoint = { x: 0.5, y: 0.5 },
+      crop = null,
+    } = options;
+    const [displayWidth, displayHeight] = displayResolution;
+    let image = crop != null ? cropImage(screen, crop) : screen;
+    let focal = focalPoint;
+
+    const deviceRatio = displayWidth / displayHeight;
+    const imageRatio = image.width / image.height;
+    const rotatedImageRatio = image.height / image.width;
+    if (
+      Math.abs(deviceRatio - imageRatio) >=
+      Math.abs(deviceRatio - rotatedImageRatio)
+    ) {
+      image = rotate90(image);
+      // Follow the counterclockwise rotation
+      focal = { x: focalPoint.y, y: 1 - focalPoint.x };
+    }
+
+    if (fitMode === FitMode.Stretch) {
+      image = resizeImage(image, displayWidth, displayHeight);
+    } else if (fitMode === FitMode.Cover) {
+      image = cropImage(
+        image,
+        computeCoverRect(image, displayWidth, displayHeight, focal),
+      );
+      image = resizeImage(image, displayWidth, displayHeight);
+    } else {
+      const scaleRatio = Math.min(
+        displayWidth / image.width,
+        displayHeight / image.height,
+      );
+      image = resizeImage(
+        image,
+        Math.max(1, Math.trunc(image.width * scaleRatio)),
+        Math.max(1, Math.trunc(image.height * scaleRatio)),
+      );
+    }
+
+    // Add borders of `fillColor`, alpha is dropped as the python version
+    // pastes into an RGB image
+    const [fillR, fillG, fillB] = parseHexColor(fillColor);
+    const result = createImageData(displayWidth, displayHeight);
+    for (let i = 0; i < result.data.length; i += 4) {
+      result.data[i] = fillR;
+      result.data[i + 1] = fillG;
+      result.data[i + 2] = fillB;
+      result.data[i + 3] = 255;
+    }
+    const offsetX = Math.floor((displayWidth - image.width) / 2);
+    const offsetY = Math.floor((displayHeight - image.height) / 2);
+    for (let y = 0; y < image.height; y += 1) {
+      for (let x = 0; x < image.width; x += 1) {
+        const src = (y * image.width + x) * 4;
+        const dst = ((y + offsetY) * displayWidth + (x + offsetX)) * 4;
+        result.data[dst] = image.data[src];
+        result.data[dst + 1] = image.data[src + 1];
+        result.data[dst + 2] = image.data[src + 2];
+      }
+    }
+    return result;
+  }
+
+  // Solve the homography mapping 4 `src` points onto 4 `dst` points,
+  // returns a row-major 3x3 matrix
+  function computeHomography(src, dst) {
+    const a = [];
+    for (let i = 0; i < 4; i += 1) {
+      const [x, y] = src[i];
+      const [u, v] = dst[i];
+      a.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+      a.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col += 1) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row += 1) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+          pivot = row;
+        }
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) {
+        throw new Error("Cannot compute homography from degenerated points");
+      }
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      for (let row = 0; row < 8; row += 1) {
+        if (row === col) {
+          continue;
+        }
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k < 9; k += 1) {
+          a[row][k] -= factor * a[col][k];
+        }
+      }
+    }
+    const h = a.map((row, i) => row[8] / row[i]);
+    return [h[0], h[1], h[2], h[3], h[4], h[5], h[6], h[7], 1];
+  }
+
+  function isInsideQuad(quad, x, y, tolerance) {
+    let inside = false;
+    for (let i = 0, j = quad.length - 1; i < quad.length; j = i++) {
+      const [xi, yi] = quad[i];
+      const [xj, yj] = quad[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    if (inside || tolerance <= 0) {
+      return inside;
+    }
+    // `cv2.polylines` in the python version draws a 3px border around the
+    // polygon, so pixels right next to an edge are also covered
+    for (let i = 0, j = quad.length - 1; i < quad.length; j = i++) {
+      const [xi, yi] = quad[i];
+      const [xj, yj] = quad[j];
+      const dx = xj - xi;
+      const dy = yj - yi;
+      const lengthSq = dx * dx + dy * dy;
+      const t =
+        lengthSq === 0
+          ? 0
+          : Math.max(
+              0,
+              Math.min(1, ((x - xi) * dx + (y - yi) * dy) / lengthSq),
+            );
+      const distX = x - (xi + t * dx);
+      const distY = y - (yi + t * dy);
+      if (distX * distX + distY * distY <= tolerance * tolerance) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Bilinear sampling with a black border, same as `cv2.warpPerspective`
+  function sampleBilinear(image, sx, sy, out, offset) {
+    const x0 = Math.floor(sx);
+    const y0 = Math.floor(sy);
+    const fx = sx - x0;
+    const fy = sy - y0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let j = 0; j < 2; j += 1) {
+      const py = y0 + j;
+      const wy = j === 0 ? 1 - fy : fy;
+      if (py < 0 || py >= image.height || wy === 0) {
+        continue;
+      }
+      for (let i = 0; i < 2; i += 1) {
+        const px = x0 + i;
+        const w = (i === 0 ? 1 - fx : fx) * wy;
+        if (px < 0 || px >= image.width || w === 0) {
+          continue;
+        }
+        const src = (py * image.width + px) * 4;
+        r += image.data[src] * w;
+        g += image.data[src + 1] * w;
+        b += image.data[src + 2] * w;
+      }
+    }
+    out[offset] = r;
+    out[offset + 1] = g;
+    out[offset + 2] = b;
+    out[offset + 3] = 255;
+  }
+
+  function scaleCoords(orientation, template) {
+    const coords = orientation.coords;
+    const templateImageSize = orientation.template_image_size;
+    if (
+      templateImageSize == null ||
+      (templateImageSize[0] === template.width &&
+        templateImageSize[1] === template.height)
+    ) {
+      return coords;
+    }
+    const scaleX = template.width / templateImageSize[0];
+    const scaleY = template.height / templateImageSize[1];
+    return coords.map(([x, y]) => [
+      Math.round(x * scaleX),
+      Math.round(y * scaleY),
+    ]);
+  }
+
+  /*
+  Warp the screen and return a layer placed in template coordinates.
+
+  `pixelAt(x, y, out, offset)` writes the pixel of the padded warped image
+  (`distort_img_with_padding` in python) at template coordinate (x, y), and
+  returns false when (x, y) is outside of the padded image.
+  */
+  function createWarpedLayer(fitImage, coords) {
+    const xs = coords.map((c) => c[0]);
+    const ys = coords.map((c) => c[1]);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+    const [tl, tr, br, bl] = coords;
+
+    // Maps template coordinates (relative to min x/y) back to screen space
+    const inverse = computeHomography(
+      [
+        [tl[0] - minX, tl[1] - minY],
+        [bl[0] - minX, bl[1] - minY],
+        [tr[0] - minX, tr[1] - minY],
+        [br[0] - minX, br[1] - minY],
+      ],
+      [
+        [0, 0],
+        [0, fitImage.height],
+        [fitImage.width, 0],
+        [fitImage.width, fitImage.height],
+      ],
+    );
+
+    function pixelAt(x, y, out, offset) {
+      if (
+        x < minX - PADDING ||
+        x >= maxX + PADDING ||
+        y < minY - PADDING ||
+        y >= maxY + PADDING
+      ) {
+        return false;
+      }
+      const u = x - minX;
+      const v = y - minY;
+      if (u < 0 || u >= maxX - minX || v < 0 || v >= maxY - minY) {
+        out[offset] = 0;
+        out[offset + 1] = 0;
+        out[offset + 2] = 0;
+        out[offset + 3] = 255;
+        return true;
+      }
+      const w = inverse[6] * u + inverse[7] * v + inverse[8];
+      const sx = (inverse[0] * u + inverse[1] * v + inverse[2]) / w;
+      const sy = (inverse[3] * u + inverse[4] * v + inverse[5]) / w;
+      sampleBilinear(fitImage, sx, sy, out, offset);
+      return true;
+    }
+
+    return { minX, maxX, minY, maxY, pixelAt };
+  }
+
+  function blendInto(out, offset, src, srcOffset, alpha) {
+    if (alpha === 0) {
+      return;
+    }
+    const inverse = 255 - alpha;
+    for (let c = 0; c < 4; c += 1) {
+      out[offset + c] =
+        (src[srcOffset + c] * alpha + out[offset + c] * inverse) / 255;
+    }
+  }
+
+  // Port of `create_mockup_image` when `is_mockup_image_at_front` is true
+  function composeAtFront(layer, mask, template) {
+    const result = {
+      width: mask.width,
+      height: mask.height,
+      data: new Uint8ClampedArray(mask.data),
+    };
+    const pixel = new Uint8ClampedArray(4);
+    for (let y = 0; y < result.height; y += 1) {
+      for (let x = 0; x < result.width; x += 1) {
+        const offset = (y * result.width + x) * 4;
+        const maskAlpha = mask.data[offset + 3];
+        if (!layer.pixelAt(x, y, pixel, 0)) {
+          pixel.fill(0);
+        }
+        blendInto(result.data, offset, pixel, 0, maskAlpha);
+        if (x < template.width && y < template.height) {
+          const templateOffset = (y * template.width + x) * 4;
+          blendInto(
+            result.data,
+            offset,
+            template.data,
+            templateOffset,
+            template.data[templateOffset + 3],
+          );
+        }
+      }
+    }
+    return result;
+  }
+
+  // Port of `create_mockup_image` when `is_mockup_image_at_front` is false
+  function composeAtBack(layer, coords, template) {
+    const result = {
+      width: template.width,
+      height: template.height,
+      data: new Uint8ClampedArray(template.data),
+    };
+    const fromY = Math.max(0, layer.minY - 1);
+    const toY = Math.min(template.height - 1, layer.maxY + 1);
+    const fromX = Math.max(0, layer.minX - 1);
+    const toX = Math.min(template.width - 1, layer.maxX + 1);
+    for (let y = fromY; y <= toY; y += 1) {
+      for (let x = fromX; x <= toX; x += 1) {
+        if (isInsideQuad(coords, x, y, 1)) {
+          layer.pixelAt(x, y, result.data, (y * template.width + x) * 4);
+        }
+      }
+    }
+    return result;
+  }
+
+  /*
+  Render a mockup.
+
+  screen: decoded screenshot
+  template: decoded `/images/mockup_templates/<device>-<orientation>.png`
+  mask: decoded `/images/mockup_mask_templates/<device>-<orientation>.png`,
+        only required when `device.is_mockup_image_at_front` is true
+  device: device entry from device_info.json
+  orientation: orientation entry of `device`
+  options: fit options of the render request, see `createFitResolutionImage`
+  */
+  function renderMockup({
+    screen,
+    template,
+    mask,
+    device,
+    orientation,
+    options,
+  }) {
+    const coords = scaleCoords(orientation, template);
+    const fitImage = createFitResolutionImage(
+      screen,
+      device.display_resolution,
+      options,
+    );
+    const layer = createWarpedLayer(fitImage, coords);
+    if (device.is_mockup_image_at_front) {
+      if (mask == null) {
+        throw new Error(`Missing mask template for ${device.device_id}`);
+      }
+      return composeAtFront(layer, mask, template);
+    }
+    return composeAtBack(layer, coords, template);
+  }
+
+  return {
+    PADDING,
+    FitMode,
+    createImageData,
+    findDevice,
+    findOrientation,
+    getTemplatePath,
+    getMaskTemplatePath,
+    getDeviceTemplatePaths,
+    getOutputBasename,
+    rotate90,
+    cropImage,
+    resizeImage,
+    createFitResolutionImage,
+    computeHomography,
+    renderMockup,
+  };
+});
@@ -0,0 +1,1085 @@
+/*
+Containers and encoders of video mockups, used by `mockup_worker.js`.
+
+Browsers decode and encode video frames with WebCodecs but do not read or
+write the container, so MP4 (and QuickTime) and WebM are demuxed here, video
+mockups are muxed into WebM, and animated GIFs are encoded without any codec.
+
+Pure JavaScript on byte arrays, such that it can run inside a web worker as
+well as in Node.js.
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MockupVideo = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  function readAscii(bytes, start, end) {
+    let result = "";
+    for (let i = start; i < end; i += 1) {
+      result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+  }
+
+  function toHex(value, length = 2) {
+    return value.toString(16).toUpperCase().padStart(length, "0");
+  }
+
+  /*
+  Times in seconds of the frames of a video mockup, every `1 / frameRate`
+  from `trimStart` until `trimEnd` (or the end of the video), at most
+  `maxDuration` seconds.
+  */
+  function getFrameTimes(
+    duration,
+    { frameRate, trimStart, trimEnd, maxDuration },
+  ) {
+    const start = Math.min(Math.max(trimStart ?? 0, 0), duration);
+    let end = trimEnd == null ? duration : Math.min(trimEnd, duration);
+    if (maxDuration != null) {
+      end = Math.min(end, start + maxDuration);
+    }
+    const times = [];
+    for (let i = 0; start + i / frameRate < end; i += 1) {
+      times.push(start + i / frameRate);
+    }
+    // Still render one frame of too short trims
+    return times.length > 0 ? times : [start];
+  }
+
+  /* MP4 */
+
+  const MP4_VIDEO_SAMPLE_ENTRIES = [
+    "avc1",
+    "avc3",
+    "hvc1",
+    "hev1",
+    "vp09",
+    "av01",
+  ];
+
+  // Size of the fields of a VisualSampleEntry before its child boxes
+  const MP4_VISUAL_SAMPLE_ENTRY_SIZE = 78;
+
+  // Child boxes of `bytes[start:end]` as { type, start, end } of the payload
+  function readMp4Boxes(view, start, end) {
+    const boxes = [];
+    let pos = start;
+    while (pos + 8 <= end) {
+      let size = view.getUint32(pos);
+      const type = readAscii(new Uint8Array(view.buffer), pos + 4, pos + 8);
+      let headerSize = 8;
+      if (size === 1) {
+        size = Number(view.getBigUint64(pos + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - pos;
+      }
+      if (size < headerSize) {
+        break;
+      }
+      boxes.push({
+        type,
+        start: pos + headerSize,
+        end: Math.min(pos + size, end),
+      });
+      pos += size;
+    }
+    return boxes;
+  }
+
+  function findMp4Box(boxes, type) {
+    return boxes.find((box) => box.type === type) ?? null;
+  }
+
+  function findMp4Child(view, parent, type) {
+    return findMp4Box(readMp4Boxes(view, parent.start, parent.end), type);
+  }
+
+  // hvcC to codec string, see ISO/IEC 14496-15 annex E
+  function getHevcCodec(entryType, bytes, start) {
+    const profileSpace = bytes[start + 1] >> 6;
+    const tier = (bytes[start + 1] >> 5) & 1;
+    const profile = bytes[start + 1] & 0x1f;
+    let compatibility = 0;
+    for (let i = 0; i < 4; i += 1) {
+      compatibility = (compatibility << 8) | bytes[start + 2 + i];
+    }
+    // Bit reversed
+    let reversed = 0;
+    for (let i = 0; i < 32; i += 1) {
+      reversed = (reversed << 1) | ((compatibility >>> i) & 1);
+    }
+    const constraints = Array.from(bytes.subarray(start + 6, start + 12));
+    while (
+      constraints.length > 0 &&
+      constraints[constraints.length - 1] === 0
+    ) {
+      constraints.pop();
+    }
+    const level = bytes[start + 12];
+    return [
+      entryType,
+      `${["", "A", "B", "C"][profileSpace]}${profile}`,
+      (reversed >>> 0).toString(16).toUpperCase(),
+      `${tier === 1 ? "H" : "L"}${level}`,
+      ...constraints.map((c) => toHex(c)),
+    ].join(".");
+  }
+
+  function readMp4SampleEntry(view, stsd) {
+    const bytes = new Uint8Array(view.buffer);
+    // Version, flags and entry count
+    const [entry] = readMp4Boxes(view, stsd.start + 8, stsd.end);
+    if (entry == null || !MP4_VIDEO_SAMPLE_ENTRIES.includes(entry.type)) {
+      throw new Error(`Unsupported video codec ${entry?.type}`);
+    }
+    const width = view.getUint16(entry.start + 24);
+    const height = view.getUint16(entry.start + 26);
+    const children = readMp4Boxes(
+      view,
+      entry.start + MP4_VISUAL_SAMPLE_ENTRY_SIZE,
+      entry.end,
+    );
+    const config = children.find((box) =>
+      ["avcC", "hvcC", "vpcC", "av1C"].includes(box.type),
+    );
+    if (config == null) {
+      throw new Error(`Missing decoder configuration of ${entry.type}`);
+    }
+    const description = bytes.slice(config.start, config.end);
+    let codec;
+    switch (config.type) {
+      case "avcC":
+        codec = `${entry.type}.${toHex(description[1])}${toHex(
+          description[2],
+        )}${toHex(description[3])}`;
+        break;
+      case "hvcC":
+        codec = getHevcCodec(entry.type, bytes, config.start);
+        break;
+      case "vpcC": {
+        // Version and flags, then profile, level and bit depth
+        const profile = bytes[config.start + 4];
+        const level = bytes[config.start + 5];
+        const bitDepth = bytes[config.start + 6] >> 4;
+        codec = `vp09.${String(profile).padStart(2, "0")}.${String(
+          level,
+        ).padStart(2, "0")}.${String(bitDepth).padStart(2, "0")}`;
+        break;
+      }
+      default: {
+        const profile = bytes[config.start + 1] >> 5;
+        const level = bytes[config.start + 1] & 0x1f;
+        const tier = bytes[config.start + 2] >> 7;
+        const isHighBitDepth = (bytes[config.start + 2] >> 6) & 1;
+        const isTwelveBit = (bytes[config.start + 2] >> 5) & 1;
+        const bitDepth = isHighBitDepth ? (isTwelveBit ? 12 : 10) : 8;
+        codec = `av01.${profile}.${String(level).padStart(2, "0")}${
+          tier === 1 ? "H" : "M"
+        }.${String(bitDepth).padStart(2, "0")}`;
+      }
+    }
+    return {
+      codec,
+      // VP9 and AV1 are configured from the stream
+      description:
+        config.type === "avcC" || config.type === "hvcC" ? description : null,
+      width,
+      height,
+    };
+  }
+
+  function readMp4Table(view, box, fieldCount) {
+    const count = view.getUint32(box.start + 4);
+    const rows = [];
+    for (let i = 0; i < count; i += 1) {
+      const row = [];
+      for (let j = 0; j < fieldCount; j += 1) {
+        row.push(view.getUint32(box.start + 8 + (i * fieldCount + j) * 4));
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  function readMp4Samples(view, stbl, timescale) {
+    const boxes = readMp4Boxes(view, stbl.start, stbl.end);
+    const stts = readMp4Table(view, findMp4Box(boxes, "stts"), 2);
+    const stsc = readMp4Table(view, findMp4Box(boxes, "stsc"), 3);
+    const stszBox = findMp4Box(boxes, "stsz");
+    const stssBox = findMp4Box(boxes, "stss");
+    const cttsBox = findMp4Box(boxes, "ctts");
+    const stcoBox = findMp4Box(boxes, "stco");
+    const co64Box = findMp4Box(boxes, "co64");
+
+    const sampleSize = view.getUint32(stszBox.start + 4);
+    const sampleCount = view.getUint32(stszBox.start + 8);
+    const sizes = [];
+    for (let i = 0; i < sampleCount; i += 1) {
+      sizes.push(
+        sampleSize !== 0
+          ? sampleSize
+          : view.getUint32(stszBox.start + 12 + i * 4),
+      );
+    }
+
+    const chunkOffsets = [];
+    if (co64Box != null) {
+      const count = view.getUint32(co64Box.start + 4);
+      for (let i = 0; i < count; i += 1) {
+        chunkOffsets.push(Number(view.getBigUint64(co64Box.start + 8 + i * 8)));
+      }
+    } else {
+      readMp4Table(view, stcoBox, 1).forEach(([offset]) =>
+        chunkOffsets.push(offset),
+      );
+    }
+
+    // Without `stss` every sample is a sync sample
+    const syncSamples =
+      stssBox == null
+        ? null
+        : new Set(readMp4Table(view, stssBox, 1).map(([n]) => n - 1));
+    // Composition offsets are signed in version 1, small enough as int32
+    const compositionOffsets = [];
+    if (cttsBox != null) {
+      const count = view.getUint32(cttsBox.start + 4);
+      for (let i = 0; i < count; i += 1) {
+        const sampleCount = view.getUint32(cttsBox.start + 8 + i * 8);
+        const offset = view.getInt32(cttsBox.start + 12 + i * 8);
+        for (let j = 0; j < sampleCount; j += 1) {
+          compositionOffsets.push(offset);
+        }
+      }
+    }
+
+    const offsets = [];
+    stsc.forEach(([firstChunk, samplesPerChunk], index) => {
+      const lastChunk =
+        index + 1 < stsc.length ? stsc[index + 1][0] - 1 : chunkOffsets.length;
+      for (let chunk = firstChunk; chunk <= lastChunk; chunk += 1) {
+        let offset = chunkOffsets[chunk - 1];
+        for (let i = 0; i < samplesPerChunk; i += 1) {
+          if (offsets.length >= sampleCount) {
+            return;
+          }
+          offsets.push(offset);
+          offset += sizes[offsets.length - 1];
+        }
+      }
+    });
+
+    const samples = [];
+    let decodeTime = 0;
+    stts.forEach(([count, delta]) => {
+      for (let i = 0; i < count && samples.length < sampleCount; i += 1) {
+        const index = samples.length;
+        const presentationTime = decodeTime + (compositionOffsets[index] ?? 0);
+        samples.push({
+          timestamp: Math.round((presentationTime * 1e6) / timescale),
+          decodeTimestamp: Math.round((decodeTime * 1e6) / timescale),
+          duration: Math.round((delta * 1e6) / timescale),
+          isKey: syncSamples == null || syncSamples.has(index),
+          offset: offsets[index],
+          size: sizes[index],
+        });
+        decodeTime += delta;
+      }
+    });
+    return samples;
+  }
+
+  function demuxMp4(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const moov = findMp4Box(readMp4Boxes(view, 0, buffer.byteLength), "moov");
+    if (moov == null) {
+      throw new Error("Missing moov box");
+    }
+    for (const trak of readMp4Boxes(view, moov.start, moov.end)) {
+      if (trak.type !== "trak") {
+        continue;
+      }
+      const mdia = findMp4Child(view, trak, "mdia");
+      const mdiaBoxes = readMp4Boxes(view, mdia.start, mdia.end);
+      const hdlr = findMp4Box(mdiaBoxes, "hdlr");
+      if (readAscii(bytes, hdlr.start + 8, hdlr.start + 12) !== "vide") {
+        continue;
+      }
+      const mdhd = findMp4Box(mdiaBoxes, "mdhd");
+      const isVersion1 = bytes[mdhd.start] === 1;
+      const timescale = view.getUint32(mdhd.start + (isVersion1 ? 20 : 12));
+      const minf = findMp4Box(mdiaBoxes, "minf");
+      const stbl = findMp4Child(view, minf, "stbl");
+      const stsd = findMp4Child(view, stbl, "stsd");
+      const samples = readMp4Samples(view, stbl, timescale).map((sample) => ({
+        timestamp: sample.timestamp,
+        decodeTimestamp: sample.decodeTimestamp,
+        duration: sample.duration,
+        isKey: sample.isKey,
+        data: bytes.subarray(sample.offset, sample.offset + sample.size),
+      }));
+      return createTrack(readMp4SampleEntry(view, stsd), samples);
+    }
+    throw new Error("Missing video track");
+  }
+
+  /* WebM */
+
+  const EbmlId = {
+    Ebml: 0x1a45dfa3,
+    EbmlVersion: 0x4286,
+    EbmlReadVersion: 0x42f7,
+    EbmlMaxIdLength: 0x42f2,
+    EbmlMaxSizeLength: 0x42f3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114d9b74,
+    Info: 0x1549a966,
+    TimecodeScale: 0x2ad7b1,
+    Duration: 0x4489,
+    MuxingApp: 0x4d80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackUid: 0x73c5,
+    TrackType: 0x83,
+    FlagLacing: 0x9c,
+    CodecId: 0x86,
+    CodecPrivate: 0x63a2,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Cluster: 0x1f43b675,
+    Timecode: 0xe7,
+    SimpleBlock: 0xa3,
+    BlockGroup: 0xa0,
+    Block: 0xa1,
+    ReferenceBlock: 0xfb,
+    Cues: 0x1c53bb6b,
+    CuePoint: 0xbb,
+    CueTime: 0xb3,
+    CueTrackPositions: 0xb7,
+    CueTrack: 0xf7,
+    CueClusterPosition: 0xf1,
+    Chapters: 0x1043a770,
+    Tags: 0x1254c367,
+    Attachments: 0x1941a469,
+  };
+
+  // Elements which end a cluster of unknown size, as written by MediaRecorder
+  const EBML_TOP_LEVEL_IDS = [
+    EbmlId.Cluster,
+    EbmlId.Cues,
+    EbmlId.Tags,
+    EbmlId.Attachments,
+    EbmlId.Chapters,
+    EbmlId.SeekHead,
+    EbmlId.Info,
+    EbmlId.Tracks,
+  ];
+
+  const WEBM_VIDEO_TRACK_TYPE = 1;
+
+  const WEBM_CODECS = {
+    V_VP8: "vp8",
+    V_VP9: "vp09.00.10.08",
+    V_AV1: "av01.0.08M.08",
+  };
+
+  // Variable size integer, the length marker is kept for ids
+  function readVint(bytes, pos, keepMarker) {
+    const first = bytes[pos];
+    let length = 1;
+    while (length <= 8 && (first & (0x80 >> (length - 1))) === 0) {
+      length += 1;
+    }
+    if (length > 8) {
+      throw new Error("Invalid EBML variable size integer");
+    }
+    let value = keepMarker ? first : first & (0xff >> length);
+    let isUnknown = value === 0xff >> length;
+    for (let i = 1; i < length; i += 1) {
+      value = value * 256 + bytes[pos + i];
+      isUnknown = isUnknown && bytes[pos + i] === 0xff;
+    }
+    return { value, length, isUnknown: !keepMarker && isUnknown };
+  }
+
+  function readEbmlElement(bytes, pos) {
+    const id = readVint(bytes, pos, true);
+    const size = readVint(bytes, pos + id.length, false);
+    const start = pos + id.length + size.length;
+    return {
+      id: id.value,
+      start,
+      // Unknown size is resolved by the caller
+      end: size.isUnknown ? null : start + size.value,
+    };
+  }
+
+  function readEbmlUint(bytes, element) {
+    let value = 0;
+    for (let i = element.start; i < element.end; i += 1) {
+      value = value * 256 + bytes[i];
+    }
+    return value;
+  }
+
+  function readEbmlFloat(view, element) {
+    return element.end - element.start === 4
+      ? view.getFloat32(element.start)
+      : view.getFloat64(element.start);
+  }
+
+  // Children of `start` until `end`. Clusters of unknown size end at the next
+  // top-level element, other elements of unknown size at `end`
+  function readEbmlChildren(bytes, start, end) {
+    const elements = [];
+    let pos = start;
+    while (pos < end) {
+      const element = readEbmlElement(bytes, pos);
+      if (element.end == null && element.id !== EbmlId.Cluster) {
+        element.end = end;
+      } else if (element.end == null) {
+        let childPos = element.start;
+        while (childPos < end) {
+          const child = readEbmlElement(bytes, childPos);
+          if (EBML_TOP_LEVEL_IDS.includes(child.id) || child.end == null) {
+            break;
+          }
+          childPos = child.end;
+        }
+        element.end = childPos;
+      }
+      elements.push(element);
+      pos = Math.min(element.end, end);
+    }
+    return elements;
+  }
+
+  function readWebmTrack(bytes, tracks) {
+    for (const entry of readEbmlChildren(bytes, tracks.start, tracks.end)) {
+      if (entry.id !== EbmlId.TrackEntry) {
+        continue;
+      }
+      const track = {
+        number: null,
+        type: null,
+        codecId: null,
+        codecPrivate: null,
+      };
+      let width = 0;
+      let height = 0;
+      readEbmlChildren(bytes, entry.start, entry.end).forEach((element) => {
+        switch (element.id) {
+          case EbmlId.TrackNumber:
+            track.number = readEbmlUint(bytes, element);
+            break;
+          case EbmlId.TrackType:
+            track.type = readEbmlUint(bytes, element);
+            break;
+          case EbmlId.CodecId:
+            track.codecId = readAscii(
+              bytes,
+              element.start,
+              element.end,
+            ).replace(/\0+$/, "");
+            break;
+          case EbmlId.CodecPrivate:
+            track.codecPrivate = bytes.slice(element.start, element.end);
+            break;
+          case EbmlId.Video:
+            readEbmlChildren(bytes, element.start, element.end).forEach((v) => {
+              if (v.id === EbmlId.PixelWidth) {
+                width = readEbmlUint(bytes, v);
+              } else if (v.id === EbmlId.PixelHeight) {
+                height = readEbmlUint(bytes, v);
+              }
+            });
+            break;
+        }
+      });
+      if (track.type === WEBM_VIDEO_TRACK_TYPE) {
+        return { ...track, width, height };
+      }
+    }
+    throw new Error("Missing video track");
+  }
+
+  function getWebmCodec(track) {
+    if (track.codecId === "V_MPEG4/ISO/AVC" && track.codecPrivate != null) {
+      const config = track.codecPrivate;
+      return {
+        codec: `avc1.${toHex(config[1])}${toHex(config[2])}${toHex(config[3])}`,
+        description: config,
+      };
+    }
+    const codec = WEBM_CODECS[track.codecId];
+    if (codec == null) {
+      throw new Error(`Unsupported video codec ${track.codecId}`);
+    }
+    return { codec, description: null };
+  }
+
+  function readWebmBlock(bytes, element, clusterTime, isSimpleBlock) {
+    const trackNumber = readVint(bytes, element.start, false);
+    const pos = element.start + trackNumber.length;
+    const relativeTime = ((bytes[pos] << 24) | (bytes[pos + 1] << 16)) >> 16;
+    const flags = bytes[pos + 2];
+    if ((flags & 0x06) !== 0) {
+      throw new Error("Laced video blocks are not supported");
+    }
+    return {
+      trackNumber: trackNumber.value,
+      time: clusterTime + relativeTime,
+      isKey: isSimpleBlock ? (flags & 0x80) !== 0 : null,
+      data: bytes.subarray(pos + 3, element.end),
+    };
+  }
+
+  function demuxWebm(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const segment = readEbmlChildren(bytes, 0, bytes.length).find(
+      (element) => element.id === EbmlId.Segment,
+    );
+    if (segment == null) {
+      throw new Error("Missing segment");
+    }
+    let timecodeScale = 1000000;
+    let duration = null;
+    let track = null;
+    const blocks = [];
+    for (const element of readEbmlChildren(bytes, segment.start, segment.end)) {
+      if (element.id === EbmlId.Info) {
+        readEbmlChildren(bytes, element.start, element.end).forEach((info) => {
+          if (info.id === EbmlId.TimecodeScale) {
+            timecodeScale = readEbmlUint(bytes, info);
+          } else if (info.id === EbmlId.Duration) {
+            duration = readEbmlFloat(view, info);
+          }
+        });
+      } else if (element.id === EbmlId.Tracks) {
+        track = readWebmTrack(bytes, element);
+      } else if (element.id === EbmlId.Cluster) {
+        let clusterTime = 0;
+        readEbmlChildren(bytes, element.start, element.end).forEach((child) => {
+          if (child.id === EbmlId.Timecode) {
+            clusterTime = readEbmlUint(bytes, child);
+          } else if (child.id === EbmlId.SimpleBlock) {
+            blocks.push(readWebmBlock(bytes, child, clusterTime, true));
+          } else if (child.id === EbmlId.BlockGroup) {
+            const groupChildren = readEbmlChildren(
+              bytes,
+              child.start,
+              child.end,
+            );
+            const block = groupChildren.find((c) => c.id === EbmlId.Block);
+            if (block != null) {
+              blocks.push({
+                ...readWebmBlock(bytes, block, clusterTime, false),
+                isKey: !groupChildren.some(
+                  (c) => c.id === EbmlId.ReferenceBlock,
+                ),
+              });
+            }
+          }
+        });
+      }
+    }
+    if (track == null) {
+      throw new Error("Missing video track");
+    }
+    // Timecodes are in `timecodeScale` nanoseconds
+    const toMicroseconds = (time) => Math.round((time * timecodeScale) / 1000);
+    const trackBlocks = blocks.filter((b) => b.trackNumber === track.number);
+    const samples = trackBlocks.map((block, index) => {
+      const nextTime = trackBlocks[index + 1]?.time ?? null;
+      return {
+        timestamp: toMicroseconds(block.time),
+        // No B-frames in VP8 and VP9
+        decodeTimestamp: toMicroseconds(block.time),
+        duration: nextTime == null ? 0 : toMicroseconds(nextTime - block.time),
+        isKey: block.isKey,
+        data: block.data,
+      };
+    });
+    const { codec, description } = getWebmCodec(track);
+    return createTrack(
+      { codec, description, width: track.width, height: track.height },
+      samples,
+      duration == null ? null : toMicroseconds(duration),
+    );
+  }
+
+  /*
+  `{ codec, description, width, height, duration, samples }` where `duration`
+  is in microseconds and every sample is `{ timestamp, decodeTimestamp,
+  duration, isKey, data }` in decode order, timestamps in microseconds.
+  */
+  function createTrack(sampleEntry, samples, duration = null) {
+    const end = samples.reduce(
+      (max, sample) => Math.max(max, sample.timestamp + sample.duration),
+      0,
+    );
+    return {
+      ...sampleEntry,
+      duration: duration ?? end,
+      samples,
+    };
+  }
+
+  // One of `MockupImageFormat.ImageFormat` video formats
+  function demuxVideo(buffer, format) {
+    return format === "webm" ? demuxWebm(buffer) : demuxMp4(buffer);
+  }
+
+  /*
+  Index of the sample to start decoding from such that the frame at
+  `timestamp` (microseconds) can be decoded, i.e. the last key frame before it.
+  */
+  function findDecodeStartIndex(samples, timestamp) {
+    let startIndex = 0;
+    samples.forEach((sample, index) => {
+      if (sample.isKey && sample.timestamp <= timestamp) {
+        startIndex = index;
+      }
+    });
+    return startIndex;
+  }
+
+  /* WebM muxer */
+
+  function encodeUint(value) {
+    const bytes = [];
+    do {
+      bytes.unshift(value % 256);
+      value = Math.floor(value / 256);
+    } while (value > 0);
+    return Uint8Array.from(bytes);
+  }
+
+  function encodeSize(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) {
+      length += 1;
+    }
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bytes[i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+  }
+
+  function concatBytes(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(length);
+    let pos = 0;
+    parts.forEach((part) => {
+      result.set(part, pos);
+      pos += part.length;
+    });
+    return result;
+  }
+
+  // `value` is an array of child elements, bytes, a string or a number
+  function ebml(id, value) {
+    let payload;
+    if (Array.isArray(value)) {
+      payload = concatBytes(value);
+    } else if (value instanceof Uint8Array) {
+      payload = value;
+    } else if (typeof value === "string") {
+      payload = Uint8Array.from(value, (c) => c.charCodeAt(0));
+    } else {
+      payload = encodeUint(value);
+    }
+    return concatBytes([encodeUint(id), encodeSize(payload.length), payload]);
+  }
+
+  function ebmlFloat(id, value) {
+    const payload = new Uint8Array(8);
+    new DataView(payload.buffer).setFloat64(0, value);
+    return ebml(id, payload);
+  }
+
+  // Relative timecodes of blocks are int16
+  const MAX_CLUSTER_DURATION_MS = 30000;
+
+  // By WebCodecs codec string prefix
+  const WEBM_CODEC_IDS = {
+    vp8: "V_VP8",
+    vp09: "V_VP9",
+    av01: "V_AV1",
+  };
+
+  /*
+  Collect the encoded chunks of one video track and write them as WebM, with
+  a cluster per key frame and cues such that players can seek.
+  */
+  class WebmMuxer {
+    constructor({ codec, width, height }) {
+      this.codecId = WEBM_CODEC_IDS[codec.split(".")[0]];
+      this.width = width;
+      this.height = height;
+      this.clusters = [];
+      this.endTime = 0;
+    }
+
+    // `timestamp` and `duration` in microseconds
+    addChunk(data, timestamp, duration, isKey) {
+      const time = Math.round(timestamp / 1000);
+      let cluster = this.clusters[this.clusters.length - 1];
+      if (
+        cluster == null ||
+        isKey ||
+        time - cluster.time >= MAX_CLUSTER_DURATION_MS
+      ) {
+        cluster = { time, blocks: [] };
+        this.clusters.push(cluster);
+      }
+      const header = new Uint8Array(4);
+      // Track number 1 as variable size integer
+      header[0] = 0x81;
+      new DataView(header.buffer).setInt16(1, time - cluster.time);
+      header[3] = isKey ? 0x80 : 0;
+      cluster.blocks.push(ebml(EbmlId.SimpleBlock, [header, data]));
+      this.endTime = Math.max(
+        this.endTime,
+        Math.round((timestamp + duration) / 1000),
+      );
+    }
+
+    finalize() {
+      const header = ebml(EbmlId.Ebml, [
+        ebml(EbmlId.EbmlVersion, 1),
+        ebml(EbmlId.EbmlReadVersion, 1),
+        ebml(EbmlId.EbmlMaxIdLength, 4),
+        ebml(EbmlId.EbmlMaxSizeLength, 8),
+        ebml(EbmlId.DocType, "webm"),
+        ebml(EbmlId.DocTypeVersion, 4),
+        ebml(EbmlId.DocTypeReadVersion, 2),
+      ]);
+      const info = ebml(EbmlId.Info, [
+        ebml(EbmlId.TimecodeScale, 1000000),
+        ebml(EbmlId.MuxingApp, "MockUPhone"),
+        ebml(EbmlId.WritingApp, "MockUPhone"),
+        ebmlFloat(EbmlId.Duration, this.endTime),
+      ]);
+      const tracks = ebml(EbmlId.Tracks, [
+        ebml(EbmlId.TrackEntry, [
+          ebml(EbmlId.TrackNumber, 1),
+          ebml(EbmlId.TrackUid, 1),
+          ebml(EbmlId.TrackType, WEBM_VIDEO_TRACK_TYPE),
+          ebml(EbmlId.FlagLacing, 0),
+          ebml(EbmlId.CodecId, this.codecId),
+          ebml(EbmlId.Video, [
+            ebml(EbmlId.PixelWidth, this.width),
+            ebml(EbmlId.PixelHeight, this.height),
+          ]),
+        ]),
+      ]);
+      const clusters = this.clusters.map((cluster) =>
+        ebml(EbmlId.Cluster, [
+          ebml(EbmlId.Timecode, cluster.time),
+          ...cluster.blocks,
+        ]),
+      );
+      // Positions are relative to the start of the segment payload
+      let position = info.length + tracks.length;
+      const cuePoints = clusters.map((cluster, index) => {
+        const cuePoint = ebml(EbmlId.CuePoint, [
+          ebml(EbmlId.CueTime, this.clusters[index].time),
+          ebml(EbmlId.CueTrackPositions, [
+            ebml(EbmlId.CueTrack, 1),
+            ebml(EbmlId.CueClusterPosition, position),
+          ]),
+        ]);
+        position += cluster.length;
+        return cuePoint;
+      });
+      const segment = ebml(EbmlId.Segment, [
+        info,
+        tracks,
+        ...clusters,
+        ebml(EbmlId.Cues, cuePoints),
+      ]);
+      return concatBytes([header, segment]);
+    }
+  }
+
+  /* GIF encoder */
+
+  // Colors are reduced to 5 bits per channel before building the palette
+  const GIF_HISTOGRAM_BITS = 5;
+  const GIF_TRANSPARENT_INDEX = 255;
+  // Alpha below which a pixel is transparent, GIF has no partial alpha
+  const GIF_ALPHA_THRESHOLD = 128;
+
+  function getHistogramIndex(r, g, b) {
+    const shift = 8 - GIF_HISTOGRAM_BITS;
+    return (
+      ((r >> shift) << (2 * GIF_HISTOGRAM_BITS)) |
+      ((g >> shift) << GIF_HISTOGRAM_BITS) |
+      (b >> shift)
+    );
+  }
+
+  /*
+  Median cut of the opaque colors of `data` into at most `maxColors` colors.
+  Return `{ palette, lookup }` where `lookup` maps a histogram index to its
+  palette index.
+  */
+  function quantize(data, maxColors) {
+    const binCount = 1 << (3 * GIF_HISTOGRAM_BITS);
+    const counts = new Uint32Array(binCount);
+    const sums = new Float64Array(binCount * 3);
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < GIF_ALPHA_THRESHOLD) {
+        continue;
+      }
+      const bin = getHistogramIndex(data[i], data[i + 1], data[i + 2]);
+      counts[bin] += 1;
+      sums[bin * 3] += data[i];
+      sums[bin * 3 + 1] += data[i + 1];
+      sums[bin * 3 + 2] += data[i + 2];
+    }
+    const bins = [];
+    for (let bin = 0; bin < binCount; bin += 1) {
+      if (counts[bin] > 0) {
+        bins.push(bin);
+      }
+    }
+
+    const mask = (1 << GIF_HISTOGRAM_BITS) - 1;
+    const channelOf = (bin, channel) =>
+      (bin >> ((2 - channel) * GIF_HISTOGRAM_BITS)) & mask;
+    const createBox = (boxBins) => {
+      let widest = 0;
+      let widestRange = -1;
+      for (let channel = 0; channel < 3; channel += 1) {
+        let min = mask;
+        let max = 0;
+        boxBins.forEach((bin) => {
+          const value = channelOf(bin, channel);
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+        });
+        if (max - min > widestRange) {
+          widest = channel;
+          widestRange = max - min;
+        }
+      }
+      const count = boxBins.reduce((sum, bin) => sum + counts[bin], 0);
+      return { bins: boxBins, channel: widest, range: widestRange, count };
+    };
+
+    const boxes = bins.length > 0 ? [createBox(bins)] : [];
+    while (boxes.length < maxColors) {
+      // Split the most populated box which still has different colors
+      let boxIndex = -1;
+      boxes.forEach((box, index) => {
+        if (
+          box.range > 0 &&
+          (boxIndex < 0 ||
+            box.count * box.range >
+              boxes[boxIndex].count * boxes[boxIndex].range)
+        ) {
+          boxIndex = index;
+        }
+      });
+      if (boxIndex < 0) {
+        break;
+      }
+      const box = boxes[boxIndex];
+      const sorted = [...box.bins].sort(
+        (a, b) => channelOf(a, box.channel) - channelOf(b, box.channel),
+      );
+      let half = 0;
+      let splitIndex = 1;
+      for (let i = 0; i < sorted.length - 1; i += 1) {
+        half += counts[sorted[i]];
+        splitIndex = i + 1;
+        if (half >= box.count / 2) {
+          break;
+        }
+      }
+      boxes.splice(
+        boxIndex,
+        1,
+        createBox(sorted.slice(0, splitIndex)),
+        createBox(sorted.slice(splitIndex)),
+      );
+    }
+
+    const palette = new Uint8Array(256 * 3);
+    const lookup = new Uint8Array(binCount);
+    boxes.forEach((box, index) => {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      box.bins.forEach((bin) => {
+        r += sums[bin * 3];
+        g += sums[bin * 3 + 1];
+        b += sums[bin * 3 + 2];
+        lookup[bin] = index;
+      });
+      palette[index * 3] = Math.round(r / box.count);
+      palette[index * 3 + 1] = Math.round(g / box.count);
+      palette[index * 3 + 2] = Math.round(b / box.count);
+    });
+    return { palette, lookup };
+  }
+
+  // LZW compress `indices` into GIF image data sub-blocks
+  function encodeLzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    const writeCode = (code) => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block.push(bitBuffer & 0xff);
+        bitBuffer >>= 8;
+        bitCount -= 8;
+        if (block.length === 255) {
+          output.push(255, ...block);
+          block = [];
+        }
+      }
+    };
+
+    let dictionary = new Map();
+    let nextCode = endCode + 1;
+    writeCode(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i += 1) {
+      const index = indices[i];
+      const key = (prefix << 8) | index;
+      const code = dictionary.get(key);
+      if (code != null) {
+        prefix = code;
+        continue;
+      }
+      writeCode(prefix);
+      if (nextCode < 4096) {
+        dictionary.set(key, nextCode);
+        if (nextCode === 1 << codeSize) {
+          codeSize += 1;
+        }
+        nextCode += 1;
+      } else {
+        writeCode(clearCode);
+        dictionary = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      }
+      prefix = index;
+    }
+    writeCode(prefix);
+    writeCode(endCode);
+    if (bitCount > 0) {
+      block.push(bitBuffer & 0xff);
+    }
+    if (block.length > 0) {
+      output.push(block.length, ...block);
+    }
+    output.push(0);
+    return Uint8Array.from(output);
+  }
+
+  function writeUint16Le(bytes, value) {
+    bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  /*
+  Animated GIF looping forever, each frame with its own palette. Pixels with
+  alpha below `GIF_ALPHA_THRESHOLD` are transparent.
+  */
+  class GifEncoder {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      const header = [];
+      header.push(...Array.from("GIF89a", (c) => c.charCodeAt(0)));
+      writeUint16Le(header, width);
+      writeUint16Le(header, height);
+      // No global color table
+      header.push(0, 0, 0);
+      // Loop forever
+      header.push(0x21, 0xff, 0x0b);
+      header.push(...Array.from("NETSCAPE2.0", (c) => c.charCodeAt(0)));
+      header.push(0x03, 0x01, 0x00, 0x00, 0x00);
+      this.parts = [Uint8Array.from(header)];
+    }
+
+    // `data` is RGBA of the GIF size, `delay` in hundredths of a second
+    addFrame(data, delay) {
+      const { palette, lookup } = quantize(data, GIF_TRANSPARENT_INDEX);
+      const indices = new Uint8Array(this.width * this.height);
+      for (let i = 0; i < indices.length; i += 1) {
+        const offset = i * 4;
+        indices[i] =
+          data[offset + 3] < GIF_ALPHA_THRESHOLD
+            ? GIF_TRANSPARENT_INDEX
+            : lookup[
+                getHistogramIndex(
+                  data[offset],
+                  data[offset + 1],
+                  data[offset + 2],
+                )
+              ];
+      }
+      const frameHeader = [];
+      // Graphic control extension, restore to background between frames
+      // such that transparent pixels do not show the previous frame
+      frameHeader.push(0x21, 0xf9, 0x04, (2 << 2) | 0x01);
+      writeUint16Le(frameHeader, delay);
+      frameHeader.push(GIF_TRANSPARENT_INDEX, 0x00);
+      // Image descriptor with a local color table of 256 colors
+      frameHeader.push(0x2c);
+      writeUint16Le(frameHeader, 0);
+      writeUint16Le(frameHeader, 0);
+      writeUint16Le(frameHeader, this.width);
+      writeUint16Le(frameHeader, this.height);
+      frameHeader.push(0x80 | 0x07);
+      this.parts.push(
+        Uint8Array.from(frameHeader),
+        palette,
+        Uint8Array.of(8),
+        encodeLzw(indices, 8),
+      );
+    }
+
+    finalize() {
+      return concatBytes([...this.parts, Uint8Array.of(0x3b)]);
+    }
+  }
+
+  return {
+    getFrameTimes,
+    demuxMp4,
+    demuxWebm,
+    demuxVideo,
+    findDecodeStartIndex,
+    WebmMuxer,
+    GifEncoder,
+  };
+});
@@ -1,78 +1,632 @@
-importScripts("https://cdn.jsdelivr.net/pyodide/v0.23.4/full/pyodide.js");
-
-async function initiatePyodide() {
-  console.log("start startup");
-  const pyodide = await loadPyodide();
-  await pyodide.loadPackage(["numpy", "opencv-python", "pillow", "micropip"]);
-  let zipResponse = await fetch("/mockup.zip");
-  let zipBinary = await zipResponse.arrayBuffer();
-  pyodide.unpackArchive(zipBinary, "zip");
-  await pyodide.runPythonAsync(
-    `
-      from pyodide.http import pyfetch
-      response = await pyfetch("/image_process.py")
-      with open("./image_process.py", "wb") as f:
-        f.write(await response.bytes())
-    `,
-    (output) => console.log(output),
-    (output) => console.log(output),
+importScripts(
+  "/scripts/mockup_protocol.js",
+  "/scripts/mockup_image_format.js",
+  "/scripts/mockup_renderer.js",
+  "/scripts/mockup_video.js",
+  "/scripts/mockup_pyodide.js",
+);
+
+const { ErrorCode, MockupError, ProgressStage, VideoFormat } = MockupProtocol;
+
+// Port to `mockup_pyodide_worker.js` if the page connected one, otherwise
+// pyodide is loaded by this worker
+let pyodidePort = null;
+// Job id to `{ resolve, reject, reportProgress }` of jobs sent to the port
+const pyodideJobs = new Map();
+
+function connectPyodide(port) {
+  pyodidePort = port;
+  pyodidePort.onmessage = (event) => {
+    const response = event.data;
+    const job = pyodideJobs.get(response.jobId);
+    if (job == null) {
+      return;
+    }
+    if (!MockupProtocol.isFinalResponse(response)) {
+      job.reportProgress(response.stage);
+      return;
+    }
+    pyodideJobs.delete(response.jobId);
+    if (response.type === MockupProtocol.MessageType.Result) {
+      job.resolve(response.result);
+    } else {
+      job.reject(new MockupError(response.error.code, response.error.message));
+    }
+  };
+}
+
+function runPyodideMockup(request, reportProgress) {
+  if (pyodidePort == null) {
+    return MockupPyodide.runPyodideMockup(request, reportProgress);
+  }
+  return new Promise((resolve, reject) => {
+    pyodideJobs.set(request.jobId, { resolve, reject, reportProgress });
+    pyodidePort.postMessage(request);
+  });
+}
+
+function supportNativeRenderer() {
+  return (
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap === "function"
   );
-  console.log("end up");
-  return pyodide;
-}
-
-async function runMockup(pyodide) {
-  let pythonNamespace = pyodide.globals.get("dict")();
-  await pyodide.runPythonAsync(
-    `
-      from mockup import MockupGenerator
-      import image_process
-      from js import locationKey, deviceInfo, deviceId, orientationsQueue
-
-      async def runMockup():
-        origin_image_path = await image_process.upload_file()
-        orientation = orientationsQueue.shift()
-        print("start mockup", origin_image_path)
-        print("orientation", orientation)
-        
-        mockup_generator = MockupGenerator(locationKey, deviceId, origin_image_path, deviceInfo, orientation)
-        return await mockup_generator.mockup()
-
-      output_img = await runMockup()
-    `,
-    { globals: pythonNamespace },
+}
+
+async function decodeImage(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Templates are large, only keep the ones used by the last job
+const templateCache = new Map();
+async function loadTemplate(url) {
+  if (templateCache.has(url)) {
+    return templateCache.get(url);
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new MockupError(
+      ErrorCode.TemplateFetch,
+      `Failed to fetch template ${url}: ${response.status}`,
+    );
+  }
+  const template = await decodeImage(await response.blob());
+  templateCache.set(url, template);
+  return template;
+}
+
+// Canvas of `imageData` resized to `width` x `height`, flattened onto white
+// unless `hasAlpha`
+function drawOutputCanvas(imageData, width, height, hasAlpha) {
+  const source = new OffscreenCanvas(imageData.width, imageData.height);
+  source
+    .getContext("2d")
+    .putImageData(
+      new ImageData(imageData.data, imageData.width, imageData.height),
+      0,
+      0,
+    );
+  if (hasAlpha && width === source.width && height === source.height) {
+    return source;
+  }
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  if (!hasAlpha) {
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, width, height);
+  return canvas;
+}
+
+/*
+Resize and encode the rendered mockup as requested by `output`, resolve with
+`{ blob, width, height }` of the encoded image.
+*/
+async function encodeOutput(imageData, output) {
+  const { width, height } = MockupProtocol.getOutputSize(
+    imageData.width,
+    imageData.height,
+    output?.resize,
   );
-  pyodide.runPython(
-    `
-        temp = image_process.save_image(output_img)
-    `,
-    { globals: pythonNamespace },
+  const canvas = drawOutputCanvas(
+    imageData,
+    width,
+    height,
+    MockupProtocol.hasOutputAlpha(output),
   );
-  return pythonNamespace.get("temp").toJs();
+  // Browsers without the requested type (e.g. webp) encode png instead, the
+  // blob type tells which one
+  const blob = await canvas.convertToBlob({
+    type: MockupProtocol.getOutputMimeType(output),
+    quality: output?.quality ?? MockupProtocol.DEFAULT_OUTPUT.quality,
+  });
+  return { blob, width, height };
 }
 
-async function main() {
-  let pyodideObject = initiatePyodide();
-  self["previewJobQueue"] = [];
-  self["orientationsQueue"] = [];
-  self.onmessage = async (event) => {
-    pyodideObject = await pyodideObject;
+function isOutOfMemoryError(error) {
+  return (
+    error instanceof RangeError &&
+    /allocation|array length|buffer/i.test(error.message)
+  );
+}
+
+// Resolve with `{ orientationSpec, template, mask }` of a mockup of `device`
+async function loadDeviceTemplates(device, orientation) {
+  const orientationSpec = device.orientations.find(
+    (o) => o.name === orientation,
+  );
+  if (orientationSpec == null) {
+    throw new MockupError(
+      ErrorCode.OrientationNotFound,
+      `Cannot find orientation ${orientation}`,
+    );
+  }
+  const templateUrl = new URL(
+    MockupRenderer.getTemplatePath(device.device_id, orientation),
+    self.location.href,
+  ).toString();
+  const maskUrl = new URL(
+    MockupRenderer.getMaskTemplatePath(device.device_id, orientation),
+    self.location.href,
+  ).toString();
+
+  for (const url of templateCache.keys()) {
+    if (url !== templateUrl && url !== maskUrl) {
+      templateCache.delete(url);
+    }
+  }
+  const [template, mask] = await Promise.all([
+    loadTemplate(templateUrl),
+    device.is_mockup_image_at_front ? loadTemplate(maskUrl) : null,
+  ]);
+  return { orientationSpec, template, mask };
+}
+
+async function runNativeMockup(request, reportProgress) {
+  const { image, device, orientation, options, output } = request;
+  const [screen, { orientationSpec, template, mask }] = await Promise.all([
+    decodeImage(image).catch((error) => {
+      throw new MockupError(ErrorCode.Decode, error.message);
+    }),
+    loadDeviceTemplates(device, orientation),
+  ]);
+  reportProgress(ProgressStage.Loaded);
+
+  const mockup = MockupRenderer.renderMockup({
+    screen,
+    template,
+    mask,
+    device,
+    orientation: orientationSpec,
+    options,
+  });
+  reportProgress(ProgressStage.Warped);
+
+  const { blob, width, height } = await encodeOutput(mockup, output);
+  reportProgress(ProgressStage.Encoded);
+
+  const basename = MockupRenderer.getOutputBasename(image.name, orientation);
+  // Same name format as `image_process.save_image`
+  return {
+    name: `img${basename}`,
+    buffer: await blob.arrayBuffer(),
+    mimeType: blob.type,
+    width,
+    height,
+    renderer: "native",
+  };
+}
+
+// Decoded frames and frames to encode waiting in WebCodecs queues
+const MAX_DECODE_QUEUE_SIZE = 8;
+const MAX_ENCODE_QUEUE_SIZE = 4;
+// VP9 is smaller, VP8 is encoded by more browsers
+const WEBM_CODECS = ["vp09.00.10.08", "vp8"];
+const WEBM_KEY_FRAME_INTERVAL_SEC = 2;
+const WEBM_BITS_PER_PIXEL = 0.1;
+// Browsers play GIF delays below 2/100 s as 1/10 s
+const MAX_GIF_FRAME_RATE = 50;
+
+function supportVideoRenderer(videoFormat) {
+  return (
+    supportNativeRenderer() &&
+    typeof VideoDecoder === "function" &&
+    (videoFormat !== VideoFormat.Webm || typeof VideoEncoder === "function")
+  );
+}
+
+function waitForNextTask() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function readVideoFrame(frame) {
+  const canvas = new OffscreenCanvas(frame.displayWidth, frame.displayHeight);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(frame, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
 
-    self["previewJobQueue"].push(event.data.imageUpload);
-    self["locationKey"] = event.data.location;
-    self["deviceId"] = event.data.deviceId;
-    self["deviceInfo"] = event.data.deviceInfo;
-    self["orientationsQueue"].push(event.data.orientation);
+/*
+Decode the samples of `track` (see `MockupVideo.demuxVideo`) and call
+`onFrame(frame, index)` with the frame shown at each time of `frameTimes`
+(seconds), one at a time. Frames are closed once it resolves.
+*/
+async function decodeVideoFrames(track, frameTimes, onFrame) {
+  const config = {
+    codec: track.codec,
+    codedWidth: track.width,
+    codedHeight: track.height,
+  };
+  if (track.description != null) {
+    config.description = track.description;
+  }
+  const { supported } = await VideoDecoder.isConfigSupported(config);
+  if (!supported) {
+    throw new MockupError(
+      ErrorCode.UnsupportedFileType,
+      `Cannot decode ${track.codec} videos in this browser`,
+    );
+  }
+
+  const decodedFrames = [];
+  let decodeError = null;
+  const decoder = new VideoDecoder({
+    output: (frame) => decodedFrames.push(frame),
+    error: (error) => {
+      decodeError = error;
+    },
+  });
+  decoder.configure(config);
+
+  const targets = frameTimes.map((time) => Math.round(time * 1e6));
+  let targetIndex = 0;
+  let shownFrame = null;
+  // A frame is shown until the timestamp of the next one
+  const handleDecodedFrames = async () => {
+    if (decodeError != null) {
+      throw new MockupError(ErrorCode.Decode, decodeError.message);
+    }
+    while (decodedFrames.length > 0) {
+      const frame = decodedFrames.shift();
+      while (
+        shownFrame != null &&
+        targetIndex < targets.length &&
+        targets[targetIndex] < frame.timestamp
+      ) {
+        await onFrame(shownFrame, targetIndex);
+        targetIndex += 1;
+      }
+      shownFrame?.close();
+      shownFrame = frame;
+    }
+  };
+
+  try {
+    const endTime = targets[targets.length - 1];
+    const startIndex = MockupVideo.findDecodeStartIndex(
+      track.samples,
+      targets[0],
+    );
+    for (const sample of track.samples.slice(startIndex)) {
+      if (targetIndex >= targets.length || sample.decodeTimestamp > endTime) {
+        break;
+      }
+      decoder.decode(
+        new EncodedVideoChunk({
+          type: sample.isKey ? "key" : "delta",
+          timestamp: sample.timestamp,
+          duration: sample.duration,
+          data: sample.data,
+        }),
+      );
+      while (decoder.decodeQueueSize > MAX_DECODE_QUEUE_SIZE) {
+        await handleDecodedFrames();
+        await waitForNextTask();
+      }
+      await handleDecodedFrames();
+    }
+    await decoder.flush().catch((error) => {
+      throw new MockupError(ErrorCode.Decode, error.message);
+    });
+    await handleDecodedFrames();
+    // The last frame is shown until the end
+    while (shownFrame != null && targetIndex < targets.length) {
+      await onFrame(shownFrame, targetIndex);
+      targetIndex += 1;
+    }
+  } finally {
+    shownFrame?.close();
+    decodedFrames.forEach((frame) => frame.close());
+    if (decoder.state !== "closed") {
+      decoder.close();
+    }
+  }
+  if (targetIndex === 0) {
+    throw new MockupError(ErrorCode.Decode, "No frame could be decoded");
+  }
+}
+
+/*
+Writers take the canvas of every frame with `addFrame(canvas, timestamp,
+duration)` (microseconds), `finalize()` resolves with the encoded blob.
+*/
+async function createWebmWriter(width, height, frameRate) {
+  const baseConfig = {
+    width,
+    height,
+    framerate: frameRate,
+    bitrate: Math.round(width * height * frameRate * WEBM_BITS_PER_PIXEL),
+    latencyMode: "quality",
+  };
+  let config = null;
+  for (const codec of WEBM_CODECS) {
+    const { supported } = await VideoEncoder.isConfigSupported({
+      ...baseConfig,
+      codec,
+    });
+    if (supported) {
+      config = { ...baseConfig, codec };
+      break;
+    }
+  }
+  if (config == null) {
+    throw new MockupError(
+      ErrorCode.UnsupportedFileType,
+      "Cannot encode WebM videos in this browser",
+    );
+  }
+
+  const muxer = new MockupVideo.WebmMuxer({
+    codec: config.codec,
+    width,
+    height,
+  });
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addChunk(
+        data,
+        chunk.timestamp,
+        chunk.duration ?? 0,
+        chunk.type === "key",
+      );
+    },
+    error: (error) => {
+      encodeError = error;
+    },
+  });
+  encoder.configure(config);
+  const throwIfFailed = () => {
+    if (encodeError != null) {
+      throw new MockupError(ErrorCode.Render, encodeError.message);
+    }
+  };
+  const keyFrameInterval = Math.max(
+    1,
+    Math.round(frameRate * WEBM_KEY_FRAME_INTERVAL_SEC),
+  );
+  let frameCount = 0;
+
+  return {
+    async addFrame(canvas, timestamp, duration) {
+      throwIfFailed();
+      const frame = new VideoFrame(canvas, { timestamp, duration });
+      encoder.encode(frame, { keyFrame: frameCount % keyFrameInterval === 0 });
+      frame.close();
+      frameCount += 1;
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE_SIZE) {
+        await waitForNextTask();
+      }
+    },
+    async finalize() {
+      await encoder.flush();
+      throwIfFailed();
+      return new Blob([muxer.finalize()], { type: "video/webm" });
+    },
+    close() {
+      if (encoder.state !== "closed") {
+        encoder.close();
+      }
+    },
+  };
+}
 
+function createGifWriter(width, height, frameRate) {
+  const gif = new MockupVideo.GifEncoder(width, height);
+  let frameCount = 0;
+  return {
+    async addFrame(canvas) {
+      const { data } = canvas
+        .getContext("2d")
+        .getImageData(0, 0, width, height);
+      // Delays are in 1/100 s, spread the rounding over the frames
+      const delay =
+        Math.round(((frameCount + 1) * 100) / frameRate) -
+        Math.round((frameCount * 100) / frameRate);
+      gif.addFrame(data, delay);
+      frameCount += 1;
+    },
+    async finalize() {
+      return new Blob([gif.finalize()], { type: "image/gif" });
+    },
+    close() {},
+  };
+}
+
+/*
+Render every frame of a screen recording through the device warp into a
+WebM or animated GIF, or a single frame as `output` for "still" requests.
+*/
+async function runVideoMockup(request, format, reportProgress) {
+  const { image, device, orientation, options, output } = request;
+  const video = { ...MockupProtocol.DEFAULT_VIDEO, ...request.video };
+  if (!supportVideoRenderer(video.format)) {
+    throw new MockupError(
+      ErrorCode.UnsupportedFileType,
+      "Video mockups need WebCodecs, which this browser does not support",
+    );
+  }
+  let track;
+  try {
+    track = MockupVideo.demuxVideo(await image.arrayBuffer(), format);
+  } catch (error) {
+    throw new MockupError(ErrorCode.Decode, error.message);
+  }
+  const { orientationSpec, template, mask } = await loadDeviceTemplates(
+    device,
+    orientation,
+  );
+  reportProgress(ProgressStage.Loaded);
+
+  const isStill = video.format === VideoFormat.Still;
+  const frameRate =
+    video.format === VideoFormat.Gif
+      ? Math.min(video.frameRate, MAX_GIF_FRAME_RATE)
+      : video.frameRate;
+  const frameTimes = MockupVideo.getFrameTimes(track.duration / 1e6, {
+    ...video,
+    frameRate,
+  });
+
+  let still = null;
+  let writer = null;
+  let outputSize = null;
+  let blob;
+  try {
+    await decodeVideoFrames(
+      track,
+      isStill ? frameTimes.slice(0, 1) : frameTimes,
+      async (frame, index) => {
+        const mockup = MockupRenderer.renderMockup({
+          screen: readVideoFrame(frame),
+          template,
+          mask,
+          device,
+          orientation: orientationSpec,
+          options,
+        });
+        if (isStill) {
+          still = await encodeOutput(mockup, output);
+          return;
+        }
+        if (writer == null) {
+          const size = MockupProtocol.getOutputSize(
+            mockup.width,
+            mockup.height,
+            output?.resize,
+          );
+          if (video.format === VideoFormat.Webm) {
+            // Even sizes for the chroma subsampling of VP8 and VP9
+            outputSize = {
+              width: Math.max(2, size.width - (size.width % 2)),
+              height: Math.max(2, size.height - (size.height % 2)),
+            };
+            writer = await createWebmWriter(
+              outputSize.width,
+              outputSize.height,
+              frameRate,
+            );
+          } else {
+            outputSize = size;
+            writer = createGifWriter(size.width, size.height, frameRate);
+          }
+        }
+        reportProgress(ProgressStage.Frame, {
+          frame: index + 1,
+          frameCount: frameTimes.length,
+        });
+        await writer.addFrame(
+          drawOutputCanvas(
+            mockup,
+            outputSize.width,
+            outputSize.height,
+            video.format === VideoFormat.Gif,
+          ),
+          Math.round((index * 1e6) / frameRate),
+          Math.round(1e6 / frameRate),
+        );
+      },
+    );
+    reportProgress(ProgressStage.Warped);
+    if (isStill) {
+      ({ blob } = still);
+      outputSize = { width: still.width, height: still.height };
+    } else {
+      blob = await writer.finalize();
+    }
+    reportProgress(ProgressStage.Encoded);
+  } finally {
+    writer?.close();
+  }
+
+  const basename = MockupRenderer.getOutputBasename(image.name, orientation);
+  return {
+    name: `img${basename}`,
+    buffer: await blob.arrayBuffer(),
+    mimeType: blob.type,
+    width: outputSize.width,
+    height: outputSize.height,
+    renderer: "native",
+  };
+}
+
+async function generateMockup(request, reportProgress) {
+  const format = await MockupImageFormat.detectImageFormat(request.image);
+  if (format == null) {
+    throw new MockupError(
+      ErrorCode.UnsupportedFileType,
+      `Unsupported file type, expected ${MockupImageFormat.SUPPORTED_FORMATS_READABLE}`,
+    );
+  }
+  if (MockupImageFormat.isPageRasterizedFormat(format)) {
+    throw new MockupError(
+      ErrorCode.UnsupportedFileType,
+      `${format} images should be rasterized before sending to the worker`,
+    );
+  }
+  if (MockupImageFormat.isVideoFormat(format)) {
+    // No fallback, pyodide cannot decode videos
+    try {
+      return await runVideoMockup(request, format, reportProgress);
+    } catch (error) {
+      if (isOutOfMemoryError(error)) {
+        throw new MockupError(ErrorCode.OutOfMemory, error.message);
+      }
+      throw error;
+    }
+  }
+  if (
+    !supportNativeRenderer() ||
+    MockupImageFormat.isPyodideOnlyFormat(format)
+  ) {
+    return await runPyodideMockup(request, reportProgress);
+  }
+  try {
+    return await runNativeMockup(request, reportProgress);
+  } catch (error) {
+    // Nothing the fallback renderer can do better for these
+    if (
+      error.code === ErrorCode.OrientationNotFound ||
+      error.code === ErrorCode.TemplateFetch
+    ) {
+      throw error;
+    }
+    if (isOutOfMemoryError(error)) {
+      throw new MockupError(ErrorCode.OutOfMemory, error.message);
+    }
+    console.warn("Native renderer failed, fallback to pyodide", error);
+    return await runPyodideMockup(request, reportProgress);
+  }
+}
+
+function main() {
+  self.onmessage = async (event) => {
+    const request = event.data;
+    if (request?.type === MockupProtocol.MessageType.ConnectPyodide) {
+      connectPyodide(request.port);
+      return;
+    }
+    const jobId = request?.jobId ?? null;
     try {
-      let results = await runMockup(pyodideObject);
-      console.log("mockup results", results);
-      self.postMessage({
-        ulid: event.data.ulid,
-        results: results,
+      MockupProtocol.validateRenderRequest(request);
+      const result = await generateMockup(request, (stage, details) => {
+        self.postMessage(MockupProtocol.createProgress(jobId, stage, details));
       });
+      console.log("mockup results", jobId, result.name);
+      // Transfer instead of copying the image bytes
+      self.postMessage(MockupProtocol.createResult(jobId, result), [
+        result.buffer,
+      ]);
     } catch (error) {
-      self.postMessage({ ulid: event.data.ulid, error: error.message });
+      self.postMessage(MockupProtocol.createError(jobId, error));
     }
   };
 }
@@ -0,0 +1,190 @@
+/*
+Service worker of MockUPhone, makes the site installable and usable offline.
+
+- Files listed in `precache-manifest.js` (written by the `precache-manifest`
+  integration on build) are cached on install: the pages, scripts, mockup
+  package and self-hosted pyodide needed to generate and download mockups
+- Templates of the devices a user has visited are cached on request of the
+  model page, see `precacheUrls` in src/scripts/serviceWorker.js
+- Pages and other same-origin files are network first, falling back to the
+  cache when offline. Files with a hash or version in their path are cache
+  first.
+
+Screenshots are never sent to the network, they are only read in the page and
+rendered in `mockup_worker.js`.
+*/
+importScripts("/precache-manifest.js");
+
+const { revision, urls: PRECACHE_URLS } = self.PRECACHE_MANIFEST;
+const PRECACHE_NAME_PREFIX = "mockuphone-precache-";
+const PRECACHE_NAME = `${PRECACHE_NAME_PREFIX}${revision}`;
+const RUNTIME_CACHE_NAME = "mockuphone-runtime";
+
+// Fall back to the cache when the network is this slow, e.g. on a captive
+// or restricted network
+const NETWORK_TIMEOUT_MS = 5000;
+
+// Same-origin paths which never change once deployed
+const IMMUTABLE_PATH_PATTERNS = [/^\/_astro\//, /^\/pyodide\/v[^/]+\//];
+
+// Version pinned libraries, fonts and styles used by every page. Analytics
+// and social widgets are not cached.
+const CACHED_CROSS_ORIGINS = [
+  "https://unpkg.com",
+  "https://cdn.jsdelivr.net",
+  "https://fonts.googleapis.com",
+  "https://fonts.gstatic.com",
+];
+
+const MessageType = {
+  Precache: "precache",
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(PRECACHE_NAME);
+      await cache.addAll(PRECACHE_URLS);
+      await self.skipWaiting();
+    })(),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cacheNames = await caches.keys();
+      await Promise.all(
+        cacheNames
+          .filter(
+            (name) =>
+              name.startsWith(PRECACHE_NAME_PREFIX) && name !== PRECACHE_NAME,
+          )
+          .map((name) => caches.delete(name)),
+      );
+      await self.clients.claim();
+    })(),
+  );
+});
+
+async function putInCache(request, response) {
+  if (!response.ok && response.type !== "opaque") {
+    return;
+  }
+  const cache = await caches.open(RUNTIME_CACHE_NAME);
+  await cache.put(request, response);
+}
+
+// Pages are requested with a query, e.g. `/download/?deviceId=`, and with or
+// without the trailing slash
+async function matchPage(request) {
+  const url = new URL(request.url);
+  const paths = url.pathname.endsWith("/")
+    ? [url.pathname]
+    : [url.pathname, `${url.pathname}/`];
+  for (const path of paths) {
+    const response = await caches.match(path);
+    if (response != null) {
+      return response;
+    }
+  }
+  return null;
+}
+
+function fetchWithTimeout(request) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NETWORK_TIMEOUT_MS);
+  return fetch(request, { signal: controller.signal }).finally(() =>
+    clearTimeout(timer),
+  );
+}
+
+async function networkFirst(event) {
+  const { request } = event;
+  try {
+    const response = await fetchWithTimeout(request);
+    event.waitUntil(putInCache(request, response.clone()));
+    return response;
+  } catch (error) {
+    const cached =
+      request.mode === "navigate"
+        ? await matchPage(request)
+        : await caches.match(request);
+    if (cached == null) {
+      throw error;
+    }
+    return cached;
+  }
+}
+
+async function cacheFirst(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+  if (cached != null) {
+    return cached;
+  }
+  const response = await fetch(request);
+  event.waitUntil(putInCache(request, response.clone()));
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+  const update = fetch(request).then(async (response) => {
+    await putInCache(request, response.clone());
+    return response;
+  });
+  if (cached == null) {
+    return update;
+  }
+  event.waitUntil(update.catch(() => {}));
+  return cached;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || request.headers.has("range")) {
+    return;
+  }
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (IMMUTABLE_PATH_PATTERNS.some((p) => p.test(url.pathname))) {
+      event.respondWith(cacheFirst(event));
+    } else {
+      event.respondWith(networkFirst(event));
+    }
+  } else if (CACHED_CROSS_ORIGINS.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// Cache `urls` which are not cached yet, resolve with the ones which cannot
+// be cached. A missing file does not fail the others.
+async function precacheUrls(urls) {
+  const cache = await caches.open(RUNTIME_CACHE_NAME);
+  const results = await Promise.allSettled(
+    urls.map(async (url) => {
+      if ((await caches.match(url)) != null) {
+        return;
+      }
+      await cache.add(url);
+    }),
+  );
+  return urls.filter((_, index) => results[index].status === "rejected");
+}
+
+self.addEventListener("message", (event) => {
+  const { type, urls } = event.data ?? {};
+  if (type !== MessageType.Precache) {
+    return;
+  }
+  // Reply `{ failedUrls }` to the port transferred with the message
+  const [port] = event.ports;
+  event.waitUntil(
+    precacheUrls(urls).then(
+      (failedUrls) => port?.postMessage({ failedUrls }),
+      () => port?.postMessage({ failedUrls: urls }),
+    ),
+  );
+});
@@ -0,0 +1,110 @@
+import * as fs from "fs";
+import * as path from "path";
+
+const GLOB_CHARACTERS = /[*?[{]/;
+
+// `a{b,c}d` to `abd` and `acd`, nested braces included
+function expandBraces(pattern: string): string[] {
+  const match = /\{([^{}]*)\}/.exec(pattern);
+  if (match == null) {
+    return [pattern];
+  }
+  const before = pattern.substring(0, match.index);
+  const after = pattern.substring(match.index + match[0].length);
+  const expanded: string[] = [];
+  match[1].split(",").forEach((option) => {
+    expanded.push(...expandBraces(before + option + after));
+  });
+  return expanded;
+}
+
+// Regex of one path segment, `*` and `?` never match `/`
+function segmentToRegex(segment: string): RegExp {
+  let source = "";
+  for (let i = 0; i < segment.length; i += 1) {
+    const c = segment[i];
+    if (c === "*") {
+      source += "[^/]*";
+    } else if (c === "?") {
+      source += "[^/]";
+    } else if (c === "[") {
+      const end = segment.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      source += `[${segment.substring(i + 1, end).replace(/^!/, "^")}]`;
+      i = end;
+    } else {
+      source += c.replace(/[.+^$()|\\\]]/g, "\\$&");
+    }
+  }
+  // Like shells, wildcards do not match hidden files
+  const hidden = segment.startsWith(".") ? "" : "(?!\\.)";
+  return new RegExp(`^${hidden}${source}$`);
+}
+
+function listDirectory(dirPath: string): fs.Dirent[] {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+}
+
+function matchSegments(dirPath: string, segments: string[]): string[] {
+  if (segments.length === 0) {
+    return [dirPath];
+  }
+  const [segment, ...rest] = segments;
+  if (segment === "**") {
+    // Zero or more directories
+    const matches = matchSegments(dirPath, rest);
+    listDirectory(dirPath)
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+      .forEach((entry) => {
+        matches.push(
+          ...matchSegments(path.join(dirPath, entry.name), segments),
+        );
+      });
+    return matches;
+  }
+  if (!GLOB_CHARACTERS.test(segment)) {
+    const nextPath = path.join(dirPath, segment);
+    return fs.existsSync(nextPath) ? matchSegments(nextPath, rest) : [];
+  }
+  const regex = segmentToRegex(segment);
+  const matches: string[] = [];
+  listDirectory(dirPath)
+    .filter((entry) => regex.test(entry.name))
+    .forEach((entry) => {
+      matches.push(...matchSegments(path.join(dirPath, entry.name), rest));
+    });
+  return matches;
+}
+
+/*
+Files matching `pattern` (`*`, `?`, `[...]`, `{a,b}` and `**`), sorted. A
+pattern without wildcards is returned as is, even if the file is missing,
+such that the caller can report it.
+*/
+export function expandGlob(pattern: string, cwd: string): string[] {
+  if (!GLOB_CHARACTERS.test(pattern)) {
+    return [pattern];
+  }
+  const files = new Set<string>();
+  expandBraces(pattern).forEach((expanded) => {
+    const isAbsolute = path.isAbsolute(expanded);
+    const root = isAbsolute ? path.parse(expanded).root : cwd;
+    const segments = expanded
+      .substring(isAbsolute ? root.length : 0)
+      .split(/[\\/]+/)
+      .filter((segment) => segment !== "" && segment !== ".");
+    matchSegments(root, segments)
+      .filter((file) => fs.statSync(file).isFile())
+      .forEach((file) => {
+        files.add(isAbsolute ? file : path.relative(cwd, file));
+      });
+  });
+  return Array.from(files).sort();
+}
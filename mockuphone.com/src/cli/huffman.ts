@@ -0,0 +1,72 @@
+// Prefix codes shared by the jpeg and webp encoders
+
+export interface HuffmanCode {
+  // Code length of every symbol, 0 for unused symbols
+  lengths: number[];
+  // Canonical code of every symbol, the first bit being the highest
+  codes: number[];
+}
+
+// Huffman code lengths of `frequencies`, the unused symbols getting none
+function buildLengths(frequencies: number[]): number[] {
+  const lengths = frequencies.map(() => 0);
+  let nodes = frequencies
+    .map((frequency, symbol) => ({ frequency, symbols: [symbol] }))
+    .filter((node) => node.frequency > 0);
+  if (nodes.length === 1) {
+    lengths[nodes[0].symbols[0]] = 1;
+  }
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => a.frequency - b.frequency);
+    const [first, second] = nodes;
+    const symbols = first.symbols.concat(second.symbols);
+    symbols.forEach((symbol) => {
+      lengths[symbol] += 1;
+    });
+    nodes = [
+      { frequency: first.frequency + second.frequency, symbols },
+      ...nodes.slice(2),
+    ];
+  }
+  return lengths;
+}
+
+/*
+Code lengths of at most `maxLength` bits. Rare symbols are counted as more
+frequent until the code fits, like libwebp does, which costs a little size but
+keeps a true Huffman code, i.e. a complete one.
+*/
+export function getCodeLengths(
+  frequencies: number[],
+  maxLength: number,
+): number[] {
+  let minFrequency = 1;
+  for (;;) {
+    const lengths = buildLengths(
+      frequencies.map((frequency) =>
+        frequency > 0 ? Math.max(frequency, minFrequency) : 0,
+      ),
+    );
+    if (Math.max(...lengths) <= maxLength) {
+      return lengths;
+    }
+    minFrequency *= 2;
+  }
+}
+
+// Codes of `lengths`, assigned by length then by symbol like deflate and jpeg
+export function createHuffmanCode(lengths: number[]): HuffmanCode {
+  const codes = lengths.map(() => 0);
+  const maxLength = Math.max(0, ...lengths);
+  let code = 0;
+  for (let length = 1; length <= maxLength; length += 1) {
+    lengths.forEach((symbolLength, symbol) => {
+      if (symbolLength === length) {
+        codes[symbol] = code;
+        code += 1;
+      }
+    });
+    code <<= 1;
+  }
+  return { lengths, codes };
+}
@@ -0,0 +1,272 @@
+/*
+Node API of mockuphone, the same device catalog and renderer as the site
+without Astro or a browser.
+
+  import { generateMockup, listModels } from "mockuphone";
+
+  const { buffer, width, height } = generateMockup({
+    modelId: "iphone-15-pro",
+    orientation: "portrait",
+    image: fs.readFileSync("screenshot.png"),
+  });
+
+Screenshots are png, mockups png, jpeg or lossless webp. Errors are
+`MockupError`s, with the same `code`s as the site (see mockup_protocol.js).
+*/
+import * as fs from "fs";
+import * as path from "path";
+import { DeviceManager, loadDeviceManager } from "../scripts/deviceCatalog";
+import type { Device, ModelValue } from "../scripts/model";
+import { ModelEnum } from "../scripts/parse";
+import { encodeJpeg } from "./jpeg";
+import { RgbaImage, decodePng, encodePng } from "./png";
+import { encodeWebp } from "./webp";
+
+export type { Device, ModelValue, Orientation } from "../scripts/model";
+
+// Project root, the same from src/cli and the compiled dist-cli/cli
+const ROOT_PATH = path.resolve(__dirname, "../..");
+
+// Same renderer, protocol and format detection as the web worker
+const MockupProtocol = require(path.join(
+  ROOT_PATH,
+  "public/scripts/mockup_protocol.js",
+));
+const MockupRenderer = require(path.join(
+  ROOT_PATH,
+  "public/scripts/mockup_renderer.js",
+));
+const MockupImageFormat = require(path.join(
+  ROOT_PATH,
+  "public/scripts/mockup_image_format.js",
+));
+
+export const { ErrorCode, FitMode, MockupError, OutputFormat, ResizeMode } =
+  MockupProtocol;
+
+// File name of a mockup like the site, e.g. `getOutputBasename("shot.png",
+// "portrait")` is `shot-portrait`
+export const { getOutputBasename } = MockupRenderer;
+
+export interface GenerateMockupOptions {
+  modelId: string;
+  // The first color of the model by default
+  colorId?: string;
+  // The first orientation of the device by default
+  orientation?: string;
+  // Content of a png screenshot
+  image: Uint8Array;
+  // "png" by default, webp is lossless
+  format?: "png" | "jpeg" | "webp";
+  // Quality of jpeg from 0 to 1, 0.92 by default like the site
+  quality?: number;
+  fit?: "contain" | "cover" | "stretch";
+  // Background of contain, black by default
+  fillColor?: string;
+  // Size of the mockup, the template size by default
+  resize?: { mode: "width" | "height" | "percent"; value: number };
+}
+
+export interface GeneratedMockup {
+  buffer: Buffer;
+  mimeType: string;
+  width: number;
+  height: number;
+  device: Device;
+  orientation: string;
+}
+
+// The catalog is only loaded on first use
+let deviceManager: DeviceManager | null = null;
+function getDeviceManager(): DeviceManager {
+  if (deviceManager == null) {
+    deviceManager = loadDeviceManager(ROOT_PATH);
+  }
+  return deviceManager;
+}
+
+// Every model of the catalog, each with its devices, one per color
+export function listModels(): ModelValue[] {
+  const models = getDeviceManager().allDeviceModels;
+  return Object.keys(models)
+    .map((modelId) => models[ModelEnum.parse(modelId)])
+    .filter((model): model is ModelValue => model != null);
+}
+
+// Device of `colorId` of a model, the first color by default
+export function getDevice(modelId: string, colorId?: string): Device {
+  const parsedModelId = ModelEnum.safeParse(modelId);
+  const model = parsedModelId.success
+    ? getDeviceManager().getModel(parsedModelId.data)
+    : undefined;
+  if (model == null || model.devices.length === 0) {
+    throw new MockupError(ErrorCode.InvalidRequest, `Unknown model ${modelId}`);
+  }
+  if (colorId == null) {
+    return model.devices[0];
+  }
+  const device = model.devices.find((d) => d.color?.id === colorId);
+  if (device == null) {
+    const colorIds = model.devices
+      .map((d) => d.color?.id)
+      .filter((id) => id != null);
+    throw new MockupError(
+      ErrorCode.InvalidRequest,
+      `Unknown color ${colorId} of ${modelId}, expected one of ${
+        colorIds.join(", ") || "(none)"
+      }`,
+    );
+  }
+  return device;
+}
+
+/*
+Render request of the options, validated like the requests of the site. The
+image is left out, it is decoded by `generateMockup`.
+*/
+export function createRequest(options: Omit<GenerateMockupOptions, "image">) {
+  const device = getDevice(options.modelId, options.colorId);
+  const orientation = options.orientation ?? device.orientations[0]?.name ?? "";
+  const fitOptions: Record<string, unknown> = {};
+  if (options.fit != null) {
+    fitOptions.fitMode = options.fit;
+  }
+  if (options.fillColor != null) {
+    fitOptions.fillColor = options.fillColor;
+  }
+  const output: Record<string, unknown> = {};
+  if (options.format != null) {
+    output.format = options.format;
+  }
+  if (options.quality != null) {
+    output.quality = options.quality;
+  }
+  if (options.resize != null) {
+    output.resize = options.resize;
+  }
+  const request = MockupProtocol.createRenderRequest({
+    jobId: "node",
+    image: {},
+    device,
+    orientation,
+    options: fitOptions,
+    output,
+  });
+  MockupProtocol.validateRenderRequest(request);
+  const orientationNames = device.orientations.map((o) => o.name);
+  if (!orientationNames.includes(orientation)) {
+    throw new MockupError(
+      ErrorCode.OrientationNotFound,
+      `Unknown orientation ${orientation}, expected one of ${orientationNames.join(
+        ", ",
+      )}`,
+    );
+  }
+  return request;
+}
+
+// Templates are large, only keep the ones of the last device, such that a
+// batch decodes each orientation once
+const templateCache = new Map<string, RgbaImage>();
+let templateCacheDeviceId: string | null = null;
+function loadTemplate(deviceId: string, templatePath: string): RgbaImage {
+  if (deviceId !== templateCacheDeviceId) {
+    templateCache.clear();
+    templateCacheDeviceId = deviceId;
+  }
+  const cached = templateCache.get(templatePath);
+  if (cached != null) {
+    return cached;
+  }
+  const filePath = path.join(ROOT_PATH, "public", templatePath);
+  let template: RgbaImage;
+  try {
+    template = decodePng(fs.readFileSync(filePath));
+  } catch (error) {
+    throw new MockupError(
+      ErrorCode.TemplateFetch,
+      `Failed to load template ${templatePath}: ${(error as Error).message}`,
+    );
+  }
+  templateCache.set(templatePath, template);
+  return template;
+}
+
+function decodeScreenshot(image: Uint8Array) {
+  const buffer = Buffer.from(image.buffer, image.byteOffset, image.byteLength);
+  const format = MockupImageFormat.sniffImageFormat(buffer.subarray(0, 1024));
+  if (format !== MockupImageFormat.ImageFormat.Png) {
+    throw new MockupError(
+      ErrorCode.UnsupportedFileType,
+      `Unsupported file type ${format ?? "unknown"}, expected png`,
+    );
+  }
+  try {
+    return decodePng(buffer);
+  } catch (error) {
+    throw new MockupError(ErrorCode.Decode, (error as Error).message);
+  }
+}
+
+function encodeMockup(
+  image: RgbaImage,
+  output: { format?: string; quality?: number },
+): Buffer {
+  switch (output.format ?? OutputFormat.Png) {
+    case OutputFormat.Jpeg:
+      return encodeJpeg(
+        image,
+        output.quality ?? MockupProtocol.DEFAULT_OUTPUT.quality,
+      );
+    case OutputFormat.Webp:
+      return encodeWebp(image);
+    default:
+      return encodePng(image);
+  }
+}
+
+// Same steps as `runNativeMockup` of mockup_worker.js
+export function generateMockup(
+  options: GenerateMockupOptions,
+): GeneratedMockup {
+  const {
+    device,
+    orientation,
+    options: fitOptions,
+    output,
+  } = createRequest(options);
+  const screen = decodeScreenshot(options.image);
+  const template = loadTemplate(
+    device.device_id,
+    MockupRenderer.getTemplatePath(device.device_id, orientation),
+  );
+  const mask = (device as { is_mockup_image_at_front?: boolean })
+    .is_mockup_image_at_front
+    ? loadTemplate(
+        device.device_id,
+        MockupRenderer.getMaskTemplatePath(device.device_id, orientation),
+      )
+    : null;
+  const mockup = MockupRenderer.renderMockup({
+    screen,
+    template,
+    mask,
+    device,
+    orientation: MockupRenderer.findOrientation(device, orientation),
+    options: fitOptions,
+  });
+  const { width, height } = MockupProtocol.getOutputSize(
+    mockup.width,
+    mockup.height,
+    output.resize,
+  );
+  const resized = MockupRenderer.resizeImage(mockup, width, height);
+  return {
+    buffer: encodeMockup(resized, output),
+    mimeType: MockupProtocol.getOutputMimeType(output),
+    width,
+    height,
+    device,
+    orientation,
+  };
+}
@@ -0,0 +1,360 @@
+import { createHuffmanCode, getCodeLengths, HuffmanCode } from "./huffman";
+import type { RgbaImage } from "./png";
+
+// Quantization tables of the JPEG spec (Annex K) at quality 50, row by row
+const LUMINANCE_QUANTIZATION = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16,
+  24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62, 18, 22, 37, 56, 68, 109,
+  103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+const CHROMINANCE_QUANTIZATION = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56,
+  99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99,
+];
+
+// Index in a row by row block of every coefficient, in zigzag order
+const ZIGZAG = (() => {
+  const order: number[] = [];
+  for (let sum = 0; sum < 15; sum += 1) {
+    for (let i = 0; i <= sum; i += 1) {
+      const row = sum % 2 === 0 ? sum - i : i;
+      const column = sum - row;
+      if (row < 8 && column < 8) {
+        order.push(row * 8 + column);
+      }
+    }
+  }
+  return order;
+})();
+
+// `DCT_COSINES[u * 8 + x]` is the weight of sample x in frequency u
+const DCT_COSINES = (() => {
+  const cosines = new Float64Array(64);
+  for (let u = 0; u < 8; u += 1) {
+    const scale = u === 0 ? Math.SQRT1_2 / 2 : 1 / 2;
+    for (let x = 0; x < 8; x += 1) {
+      cosines[u * 8 + x] = scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+    }
+  }
+  return cosines;
+})();
+
+// Symbol reserving the all-ones code, which jpeg does not allow
+const RESERVED_SYMBOL = 256;
+const MAX_CODE_LENGTH = 16;
+// End of block and run of 16 zeros of the AC codes
+const EOB = 0x00;
+const ZRL = 0xf0;
+
+// Scale a table like libjpeg, `quality` from 1 to 100
+function scaleQuantization(table: number[], quality: number): number[] {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return table.map((value) =>
+    Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))),
+  );
+}
+
+// Forward DCT of a block of level shifted samples, quantized
+function transformBlock(
+  samples: Float64Array,
+  quantization: number[],
+  coefficients: Int16Array,
+  offset: number,
+) {
+  const rows = new Float64Array(64);
+  for (let y = 0; y < 8; y += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      let sum = 0;
+      for (let x = 0; x < 8; x += 1) {
+        sum += DCT_COSINES[u * 8 + x] * samples[y * 8 + x];
+      }
+      rows[y * 8 + u] = sum;
+    }
+  }
+  for (let v = 0; v < 8; v += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      let sum = 0;
+      for (let y = 0; y < 8; y += 1) {
+        sum += DCT_COSINES[v * 8 + y] * rows[y * 8 + u];
+      }
+      const index = v * 8 + u;
+      coefficients[offset + index] = Math.max(
+        -1023,
+        Math.min(1023, Math.round(sum / quantization[index])),
+      );
+    }
+  }
+}
+
+// Number of bits of the magnitude of `value`
+function getCategory(value: number): number {
+  let magnitude = Math.abs(value);
+  let category = 0;
+  while (magnitude > 0) {
+    magnitude >>= 1;
+    category += 1;
+  }
+  return category;
+}
+
+// Bits of `value` following its category, negative values being decremented
+function getValueBits(value: number, category: number): number {
+  return value < 0 ? value + (1 << category) - 1 : value;
+}
+
+// Visit the DC and AC symbols of a block with their value bits
+function visitBlock(
+  coefficients: Int16Array,
+  offset: number,
+  previousDc: number,
+  onDc: (symbol: number, bits: number) => void,
+  onAc: (symbol: number, bits: number) => void,
+) {
+  const dcDiff = coefficients[offset] - previousDc;
+  const dcCategory = getCategory(dcDiff);
+  onDc(dcCategory, getValueBits(dcDiff, dcCategory));
+  let run = 0;
+  for (let i = 1; i < 64; i += 1) {
+    const value = coefficients[offset + ZIGZAG[i]];
+    if (value === 0) {
+      run += 1;
+      continue;
+    }
+    for (; run > 15; run -= 16) {
+      onAc(ZRL, 0);
+    }
+    const category = getCategory(value);
+    onAc((run << 4) | category, getValueBits(value, category));
+    run = 0;
+  }
+  if (run > 0) {
+    onAc(EOB, 0);
+  }
+}
+
+// Code of `frequencies` whose all-ones code is left to `RESERVED_SYMBOL`
+function createJpegCode(frequencies: number[]): HuffmanCode {
+  frequencies[RESERVED_SYMBOL] = 1;
+  const lengths = getCodeLengths(frequencies, MAX_CODE_LENGTH);
+  // The all-ones code is the last code of the longest length
+  const maxLength = Math.max(...lengths);
+  if (lengths[RESERVED_SYMBOL] !== maxLength) {
+    const symbol = lengths.indexOf(maxLength);
+    lengths[symbol] = lengths[RESERVED_SYMBOL];
+    lengths[RESERVED_SYMBOL] = maxLength;
+  }
+  return createHuffmanCode(lengths);
+}
+
+class BitWriter {
+  bytes = new Uint8Array(1 << 16);
+  length = 0;
+  private buffer = 0;
+  private bufferBits = 0;
+
+  writeByte(byte: number) {
+    if (this.length === this.bytes.length) {
+      const bytes = new Uint8Array(this.bytes.length * 2);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+    }
+    this.bytes[this.length] = byte;
+    this.length += 1;
+  }
+
+  writeBytes(bytes: number[]) {
+    bytes.forEach((byte) => this.writeByte(byte));
+  }
+
+  writeUint16(value: number) {
+    this.writeBytes([value >> 8, value & 0xff]);
+  }
+
+  // Entropy coded bits, the highest first, with 0xff bytes stuffed
+  writeBits(value: number, count: number) {
+    this.buffer = (this.buffer << count) | (value & ((1 << count) - 1));
+    this.bufferBits += count;
+    while (this.bufferBits >= 8) {
+      const byte = (this.buffer >> (this.bufferBits - 8)) & 0xff;
+      this.writeByte(byte);
+      if (byte === 0xff) {
+        this.writeByte(0);
+      }
+      this.bufferBits -= 8;
+      this.buffer &= (1 << this.bufferBits) - 1;
+    }
+  }
+
+  // Pad the last entropy coded byte with ones
+  flushBits() {
+    if (this.bufferBits > 0) {
+      this.writeBits(0x7f, 8 - this.bufferBits);
+    }
+  }
+
+  writeSegment(marker: number, data: number[]) {
+    this.writeUint16(marker);
+    this.writeUint16(data.length + 2);
+    this.writeBytes(data);
+  }
+}
+
+// Bit counts per code length and symbols of a DHT table
+function getHuffmanTableData(code: HuffmanCode): number[] {
+  const counts = new Array(MAX_CODE_LENGTH).fill(0);
+  const symbols: number[] = [];
+  for (let length = 1; length <= MAX_CODE_LENGTH; length += 1) {
+    code.lengths.forEach((symbolLength, symbol) => {
+      if (symbolLength === length && symbol !== RESERVED_SYMBOL) {
+        counts[length - 1] += 1;
+        symbols.push(symbol);
+      }
+    });
+  }
+  return counts.concat(symbols);
+}
+
+/*
+Encode as a baseline JPEG of `quality` (0 to 1), flattened onto white like the
+site. Every component is sampled at full size and the Huffman tables are
+optimized for the image.
+*/
+export function encodeJpeg(image: RgbaImage, quality: number): Buffer {
+  const { width, height, data } = image;
+  if (width > 0xffff || height > 0xffff) {
+    throw new Error("JPEG images are at most 65535 pixels wide and high");
+  }
+  const scaledQuality = Math.min(100, Math.max(1, Math.round(quality * 100)));
+  const quantizations = [
+    scaleQuantization(LUMINANCE_QUANTIZATION, scaledQuality),
+    scaleQuantization(CHROMINANCE_QUANTIZATION, scaledQuality),
+  ];
+
+  // Y, Cb and Cr of every pixel, level shifted
+  const planes = [0, 1, 2].map(() => new Float64Array(width * height));
+  for (let i = 0; i < width * height; i += 1) {
+    const alpha = data[i * 4 + 3];
+    const [r, g, b] = [0, 1, 2].map(
+      (c) => (data[i * 4 + c] * alpha + 255 * (255 - alpha)) / 255,
+    );
+    planes[0][i] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+    planes[1][i] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+    planes[2][i] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+  }
+
+  // Quantized coefficients of every block, the Y, Cb and Cr block of each
+  // 8x8 area in a row, edges repeating the last pixels
+  const blockColumns = Math.ceil(width / 8);
+  const blockRows = Math.ceil(height / 8);
+  const blockCount = blockColumns * blockRows * 3;
+  const coefficients = new Int16Array(blockCount * 64);
+  const samples = new Float64Array(64);
+  for (let blockY = 0; blockY < blockRows; blockY += 1) {
+    for (let blockX = 0; blockX < blockColumns; blockX += 1) {
+      planes.forEach((plane, component) => {
+        for (let y = 0; y < 8; y += 1) {
+          const row = Math.min(blockY * 8 + y, height - 1) * width;
+          for (let x = 0; x < 8; x += 1) {
+            samples[y * 8 + x] =
+              plane[row + Math.min(blockX * 8 + x, width - 1)];
+          }
+        }
+        const block = (blockY * blockColumns + blockX) * 3 + component;
+        transformBlock(
+          samples,
+          quantizations[component === 0 ? 0 : 1],
+          coefficients,
+          block * 64,
+        );
+      });
+    }
+  }
+
+  // Blocks in order with the table of their component, DC being predicted
+  // from the previous block of the same component
+  const visitBlocks = (
+    onDc: (table: number, symbol: number, bits: number) => void,
+    onAc: (table: number, symbol: number, bits: number) => void,
+  ) => {
+    const previousDcs = [0, 0, 0];
+    for (let block = 0; block < blockCount; block += 1) {
+      const component = block % 3;
+      const table = component === 0 ? 0 : 1;
+      const offset = block * 64;
+      visitBlock(
+        coefficients,
+        offset,
+        previousDcs[component],
+        (symbol, bits) => onDc(table, symbol, bits),
+        (symbol, bits) => onAc(table, symbol, bits),
+      );
+      previousDcs[component] = coefficients[offset];
+    }
+  };
+
+  const createFrequencies = () => new Array(RESERVED_SYMBOL + 1).fill(0);
+  const dcFrequencies = [createFrequencies(), createFrequencies()];
+  const acFrequencies = [createFrequencies(), createFrequencies()];
+  visitBlocks(
+    (table, symbol) => {
+      dcFrequencies[table][symbol] += 1;
+    },
+    (table, symbol) => {
+      acFrequencies[table][symbol] += 1;
+    },
+  );
+  const dcCodes = dcFrequencies.map(createJpegCode);
+  const acCodes = acFrequencies.map(createJpegCode);
+
+  const writer = new BitWriter();
+  writer.writeUint16(0xffd8);
+  // JFIF, version 1.1 without density
+  writer.writeSegment(
+    0xffe0,
+    [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0],
+  );
+  writer.writeSegment(
+    0xffdb,
+    quantizations.flatMap((quantization, id) => [
+      id,
+      ...ZIGZAG.map((index) => quantization[index]),
+    ]),
+  );
+  // 8-bit samples, components 1 to 3 at full size with their table
+  writer.writeSegment(0xffc0, [
+    8,
+    height >> 8,
+    height & 0xff,
+    width >> 8,
+    width & 0xff,
+    3,
+    ...[1, 2, 3].flatMap((id) => [id, 0x11, id === 1 ? 0 : 1]),
+  ]);
+  writer.writeSegment(0xffc4, [
+    ...dcCodes.flatMap((code, id) => [id, ...getHuffmanTableData(code)]),
+    ...acCodes.flatMap((code, id) => [0x10 | id, ...getHuffmanTableData(code)]),
+  ]);
+  writer.writeSegment(0xffda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+  const writeSymbol = (
+    code: HuffmanCode,
+    symbol: number,
+    bits: number,
+    category: number,
+  ) => {
+    writer.writeBits(code.codes[symbol], code.lengths[symbol]);
+    if (category > 0) {
+      writer.writeBits(bits, category);
+    }
+  };
+  visitBlocks(
+    (table, symbol, bits) => writeSymbol(dcCodes[table], symbol, bits, symbol),
+    (table, symbol, bits) =>
+      writeSymbol(acCodes[table], symbol, bits, symbol & 0x0f),
+  );
+  writer.flushBits();
+  writer.writeUint16(0xffd9);
+  return Buffer.from(writer.bytes.buffer, 0, writer.length);
+}
@@ -0,0 +1,315 @@
+import * as fs from "fs";
+import * as path from "path";
+import { parseArgs } from "util";
+import { expandGlob } from "./glob";
+import {
+  ErrorCode,
+  GenerateMockupOptions,
+  MockupError,
+  ResizeMode,
+  createRequest,
+  generateMockup,
+  getDevice,
+  getOutputBasename,
+} from "./index";
+
+const ExitCode = {
+  Success: 0,
+  // Some mockups failed or no screenshot matched
+  Failure: 1,
+  Usage: 2,
+};
+
+const USAGE = `Usage: mockuphone generate --model <model> [options] <screenshot>...
+
+Generate device mockups of png screenshots, <screenshot> can be a glob such as
+"shots/**/*.png".
+
+Options:
+  --model <model>              Model id, e.g. iphone-15-pro
+  --color <color>              Color id, the first color of the model by default
+  --orientation <orientation>  Repeatable, every orientation by default
+  --fit <contain|cover|stretch>
+  --fill-color <#rrggbb>       Background of contain, black by default
+  --format <png|jpeg|webp>     png by default, webp is lossless
+  --quality <0-1>              Quality of jpeg, 0.92 by default
+  --width <px> | --height <px> | --scale <percent>
+                               Resize the mockups, the template size by default
+  -o, --output <dir>           Output directory, the current one by default
+                               Same names are suffixed with -2, -3...
+  --json                       Print the results as JSON
+  -h, --help
+
+Exits with 1 if any mockup failed and 2 on invalid options.`;
+
+// Extension of each output mime type, like the zip of the site
+// (src/pages/download/_filename.js)
+const OUTPUT_EXTENSIONS: Record<string, string> = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/webp": ".webp",
+};
+
+class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+interface GenerateOptions {
+  // Options of every mockup but the image and orientation
+  mockupOptions: Omit<GenerateMockupOptions, "image">;
+  orientations: string[];
+  outputPath: string;
+}
+
+interface MockupResult {
+  input: string;
+  device: string;
+  orientation: string;
+  status: "success" | "failed";
+  output?: string;
+  width?: number;
+  height?: number;
+  error?: { code: string; message: string };
+}
+
+function parseNumberOption(name: string, value: string | undefined) {
+  if (value == null) {
+    return null;
+  }
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw new UsageError(`--${name} should be a positive number`);
+  }
+  return number;
+}
+
+function parseQuality(value: string | undefined) {
+  if (value == null) {
+    return undefined;
+  }
+  const quality = Number(value);
+  if (!(quality >= 0 && quality <= 1)) {
+    throw new UsageError("--quality should be a number from 0 to 1");
+  }
+  return quality;
+}
+
+function parseResize(values: Record<string, unknown>) {
+  const resizes = [
+    [ResizeMode.Width, "width"],
+    [ResizeMode.Height, "height"],
+    [ResizeMode.Percent, "scale"],
+  ]
+    .map(([mode, name]) => ({
+      mode,
+      value: parseNumberOption(name, values[name] as string | undefined),
+    }))
+    .filter(
+      (resize): resize is NonNullable<GenerateMockupOptions["resize"]> =>
+        resize.value != null,
+    );
+  if (resizes.length > 1) {
+    throw new UsageError(
+      "Only one of --width, --height and --scale is allowed",
+    );
+  }
+  return resizes[0];
+}
+
+function parseGenerateOptions(
+  values: Record<string, unknown>,
+  cwd: string,
+): GenerateOptions {
+  if (typeof values.model !== "string") {
+    throw new UsageError("--model is required");
+  }
+  const mockupOptions: Omit<GenerateMockupOptions, "image"> = {
+    modelId: values.model,
+    colorId: values.color as string | undefined,
+    fit: values.fit as GenerateMockupOptions["fit"],
+    fillColor: values["fill-color"] as string | undefined,
+    format: values.format as GenerateMockupOptions["format"],
+    quality: parseQuality(values.quality as string | undefined),
+    resize: parseResize(values),
+  };
+  let orientations = (values.orientation as string[] | undefined) ?? [];
+  try {
+    if (orientations.length === 0) {
+      const device = getDevice(mockupOptions.modelId, mockupOptions.colorId);
+      orientations = device.orientations.map((o) => o.name ?? "");
+    }
+    // Same validation as the render requests of the site
+    orientations.forEach((orientation) => {
+      createRequest({ ...mockupOptions, orientation });
+    });
+  } catch (error) {
+    if (error instanceof MockupError) {
+      throw new UsageError((error as Error).message);
+    }
+    throw error;
+  }
+
+  return {
+    mockupOptions,
+    orientations,
+    outputPath: path.resolve(cwd, (values.output as string) ?? "."),
+  };
+}
+
+/*
+Return a function which makes each file name unique by suffixing `-2`,
+`-3`... before the extension, like `createUniquePaths` of the zip of the site
+(src/pages/download/_filename.js), such that screenshots of the same name in
+different folders do not overwrite each other.
+*/
+function createUniqueFilenames() {
+  const usedFilenames = new Set<string>();
+  return (filename: string) => {
+    const { name, ext } = path.parse(filename);
+    let uniqueFilename = filename;
+    for (let n = 2; usedFilenames.has(uniqueFilename.toLowerCase()); n++) {
+      uniqueFilename = `${name}-${n}${ext}`;
+    }
+    usedFilenames.add(uniqueFilename.toLowerCase());
+    return uniqueFilename;
+  };
+}
+
+function runGenerate(
+  inputs: string[],
+  { mockupOptions, orientations, outputPath }: GenerateOptions,
+  cwd: string,
+  onResult: (result: MockupResult) => void,
+) {
+  fs.mkdirSync(outputPath, { recursive: true });
+  const getUniqueFilename = createUniqueFilenames();
+  const { device_id } = getDevice(mockupOptions.modelId, mockupOptions.colorId);
+  inputs.forEach((input) => {
+    let image: Buffer | null = null;
+    let readError: unknown = null;
+    try {
+      image = fs.readFileSync(path.resolve(cwd, input));
+    } catch (error) {
+      readError = new MockupError(ErrorCode.Decode, (error as Error).message);
+    }
+    orientations.forEach((orientation) => {
+      const result: MockupResult = {
+        input,
+        device: device_id,
+        orientation,
+        status: "success",
+      };
+      try {
+        if (image == null) {
+          throw readError;
+        }
+        const mockup = generateMockup({ ...mockupOptions, orientation, image });
+        const basename = getOutputBasename(path.basename(input), orientation);
+        const outputFile = path.join(
+          outputPath,
+          getUniqueFilename(`${basename}${OUTPUT_EXTENSIONS[mockup.mimeType]}`),
+        );
+        fs.writeFileSync(outputFile, mockup.buffer);
+        result.output = path.relative(cwd, outputFile);
+        result.width = mockup.width;
+        result.height = mockup.height;
+      } catch (error) {
+        const { code, message } =
+          error instanceof MockupError
+            ? error
+            : new MockupError(ErrorCode.Render, (error as Error).message);
+        result.status = "failed";
+        result.error = { code, message };
+      }
+      onResult(result);
+    });
+  });
+}
+
+function printResult(result: MockupResult) {
+  if (result.status === "success") {
+    console.log(`ok ${result.output} (${result.width}x${result.height})`);
+  } else {
+    console.error(
+      `failed ${result.input} (${result.orientation}): ${result.error?.message}`,
+    );
+  }
+}
+
+/*
+Run the CLI with `args` (without the node and script path), resolving paths
+against `cwd`. Return the exit code.
+*/
+export function main(args: string[], cwd: string): number {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        model: { type: "string" },
+        color: { type: "string" },
+        orientation: { type: "string", multiple: true },
+        fit: { type: "string" },
+        "fill-color": { type: "string" },
+        format: { type: "string" },
+        quality: { type: "string" },
+        width: { type: "string" },
+        height: { type: "string" },
+        scale: { type: "string" },
+        output: { type: "string", short: "o" },
+        json: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    console.error(`${(error as Error).message}\n\n${USAGE}`);
+    return ExitCode.Usage;
+  }
+  const { values, positionals } = parsed;
+  const [command, ...patterns] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return ExitCode.Success;
+  }
+  if (command !== "generate") {
+    console.error(USAGE);
+    return ExitCode.Usage;
+  }
+
+  let generateOptions: GenerateOptions;
+  try {
+    generateOptions = parseGenerateOptions(values, cwd);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return ExitCode.Usage;
+    }
+    throw error;
+  }
+  const inputs: string[] = [];
+  patterns.forEach((pattern) => {
+    inputs.push(...expandGlob(pattern, cwd));
+  });
+  if (inputs.length === 0) {
+    console.error("No screenshot matched");
+    return ExitCode.Failure;
+  }
+
+  const results: MockupResult[] = [];
+  runGenerate(inputs, generateOptions, cwd, (result) => {
+    results.push(result);
+    if (!values.json) {
+      printResult(result);
+    }
+  });
+  if (values.json) {
+    console.log(JSON.stringify({ results }, null, 2));
+  }
+  return results.every((result) => result.status === "success")
+    ? ExitCode.Success
+    : ExitCode.Failure;
+}
@@ -0,0 +1,310 @@
+import * as zlib from "zlib";
+
+// ImageData-like object used by `MockupRenderer`
+export interface RgbaImage {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+}
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const ColorType = {
+  Gray: 0,
+  Rgb: 2,
+  Palette: 3,
+  GrayAlpha: 4,
+  Rgba: 6,
+};
+
+const CHANNEL_COUNTS: Record<number, number> = {
+  [ColorType.Gray]: 1,
+  [ColorType.Rgb]: 3,
+  [ColorType.Palette]: 1,
+  [ColorType.GrayAlpha]: 2,
+  [ColorType.Rgba]: 4,
+};
+
+// x, y offset and step of the 7 passes of Adam7 interlacing
+const ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes: Buffer): number {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+// Reverse the filter of every scanline in place, return the raw rows
+function unfilter(
+  data: Buffer,
+  offset: number,
+  rowBytes: number,
+  rowCount: number,
+  bytesPerPixel: number,
+): Buffer[] {
+  const rows: Buffer[] = [];
+  let previous = Buffer.alloc(rowBytes);
+  for (let y = 0; y < rowCount; y += 1) {
+    const filterType = data[offset];
+    const row = data.subarray(offset + 1, offset + 1 + rowBytes);
+    for (let i = 0; i < rowBytes; i += 1) {
+      const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      switch (filterType) {
+        case 0:
+          break;
+        case 1:
+          row[i] = (row[i] + left) & 0xff;
+          break;
+        case 2:
+          row[i] = (row[i] + up) & 0xff;
+          break;
+        case 3:
+          row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+          break;
+        case 4:
+          row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff;
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filterType}`);
+      }
+    }
+    rows.push(row);
+    previous = row;
+    offset += rowBytes + 1;
+  }
+  return rows;
+}
+
+// Sample `index` of a row, scaled to 8 bits unless it is a palette index
+function readSample(
+  row: Buffer,
+  index: number,
+  bitDepth: number,
+  isPalette: boolean,
+): number {
+  if (bitDepth === 8) {
+    return row[index];
+  }
+  if (bitDepth === 16) {
+    return row[index * 2];
+  }
+  const samplesPerByte = 8 / bitDepth;
+  const byte = row[Math.floor(index / samplesPerByte)];
+  const shift = 8 - bitDepth * ((index % samplesPerByte) + 1);
+  const value = (byte >> shift) & ((1 << bitDepth) - 1);
+  return isPalette ? value : Math.round((value * 255) / ((1 << bitDepth) - 1));
+}
+
+// Decode a PNG of any color type and bit depth to 8-bit RGBA
+export function decodePng(buffer: Buffer): RgbaImage {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG file");
+  }
+  let width = 0;
+  let height = 0;
+  let bitDepth = 8;
+  let colorType = ColorType.Rgba;
+  let interlace = 0;
+  let palette: Buffer | null = null;
+  let transparency: Buffer | null = null;
+  const idatChunks: Buffer[] = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      bitDepth = chunk[8];
+      colorType = chunk[9];
+      interlace = chunk[12];
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      idatChunks.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += length + 12;
+  }
+  const channels = CHANNEL_COUNTS[colorType];
+  if (width === 0 || height === 0 || channels == null) {
+    throw new Error("Invalid PNG header");
+  }
+
+  const isPalette = colorType === ColorType.Palette;
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const inflated = zlib.inflateSync(Buffer.concat(idatChunks));
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  // Transparent color of gray and rgb images, compared at the source depth
+  const transparentSample = (i: number): number =>
+    transparency == null ? -1 : transparency.readUInt16BE(i * 2);
+  const readRawSample = (row: Buffer, index: number): number =>
+    bitDepth === 16
+      ? row.readUInt16BE(index * 2)
+      : bitDepth === 8
+      ? row[index]
+      : readSample(row, index, bitDepth, true);
+
+  const writePixel = (row: Buffer, x: number, target: number) => {
+    const sample = (c: number) =>
+      readSample(row, x * channels + c, bitDepth, isPalette);
+    let r: number, g: number, b: number;
+    let a = 255;
+    switch (colorType) {
+      case ColorType.Gray:
+        r = g = b = sample(0);
+        if (readRawSample(row, x) === transparentSample(0)) {
+          a = 0;
+        }
+        break;
+      case ColorType.Rgb:
+        r = sample(0);
+        g = sample(1);
+        b = sample(2);
+        if (
+          transparency != null &&
+          readRawSample(row, x * 3) === transparentSample(0) &&
+          readRawSample(row, x * 3 + 1) === transparentSample(1) &&
+          readRawSample(row, x * 3 + 2) === transparentSample(2)
+        ) {
+          a = 0;
+        }
+        break;
+      case ColorType.Palette: {
+        const index = sample(0);
+        if (palette == null || index * 3 + 2 >= palette.length) {
+          throw new Error("Invalid PNG palette");
+        }
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency != null && index < transparency.length) {
+          a = transparency[index];
+        }
+        break;
+      }
+      case ColorType.GrayAlpha:
+        r = g = b = sample(0);
+        a = sample(1);
+        break;
+      default:
+        r = sample(0);
+        g = sample(1);
+        b = sample(2);
+        a = sample(3);
+    }
+    data[target] = r;
+    data[target + 1] = g;
+    data[target + 2] = b;
+    data[target + 3] = a;
+  };
+
+  const passes = interlace === 1 ? ADAM7_PASSES : [[0, 0, 1, 1]];
+  let passOffset = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) {
+      continue;
+    }
+    const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+    const rows = unfilter(
+      inflated,
+      passOffset,
+      rowBytes,
+      passHeight,
+      bytesPerPixel,
+    );
+    rows.forEach((row, passY) => {
+      const y = startY + passY * stepY;
+      for (let passX = 0; passX < passWidth; passX += 1) {
+        const x = startX + passX * stepX;
+        writePixel(row, passX, (y * width + x) * 4);
+      }
+    });
+    passOffset += (rowBytes + 1) * passHeight;
+  }
+  return { width, height, data };
+}
+
+function createChunk(type: string, data: Buffer): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+// Encode 8-bit RGBA, every row with the Paeth filter which suits mockups best
+export function encodePng(image: RgbaImage): Buffer {
+  const { width, height, data } = image;
+  const rowBytes = width * 4;
+  const filtered = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    const rowOffset = y * rowBytes;
+    const target = y * (rowBytes + 1);
+    filtered[target] = 4;
+    for (let i = 0; i < rowBytes; i += 1) {
+      const left = i >= 4 ? data[rowOffset + i - 4] : 0;
+      const up = y > 0 ? data[rowOffset - rowBytes + i] : 0;
+      const upLeft = i >= 4 && y > 0 ? data[rowOffset - rowBytes + i - 4] : 0;
+      filtered[target + 1 + i] =
+        (data[rowOffset + i] - paeth(left, up, upLeft)) & 0xff;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = ColorType.Rgba;
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", zlib.deflateSync(filtered)),
+    createChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,304 @@
+import { createHuffmanCode, getCodeLengths, HuffmanCode } from "./huffman";
+import type { RgbaImage } from "./png";
+
+const VP8L_SIGNATURE = 0x2f;
+const MAX_SIZE = 16384;
+const SUBTRACT_GREEN_TRANSFORM = 2;
+
+// Alphabet sizes of the green (with the length codes), red, blue, alpha and
+// distance codes
+const LENGTH_CODE_COUNT = 24;
+const ALPHABET_SIZES = [256 + LENGTH_CODE_COUNT, 256, 256, 256, 40];
+const MAX_CODE_LENGTH = 15;
+const MAX_CODE_LENGTH_CODE_LENGTH = 7;
+// Order of the code length code lengths in the stream
+const CODE_LENGTH_CODE_ORDER = [
+  17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+];
+// Code length codes repeating zeros 3 to 10 and 11 to 138 times
+const REPEAT_ZEROS = 17;
+const REPEAT_MORE_ZEROS = 18;
+
+// Copies reach back to the pixel above or to the left, which are distance
+// codes 1 and 2 of the 2D neighborhood of VP8L
+const DistanceCode = {
+  Above: 1,
+  Left: 2,
+};
+const MIN_COPY_LENGTH = 3;
+const MAX_COPY_LENGTH = 4096;
+
+class BitWriter {
+  bytes = new Uint8Array(1 << 16);
+  length = 0;
+  private buffer = 0;
+  private bufferBits = 0;
+
+  // `count` bits of `value`, the lowest first
+  writeBits(value: number, count: number) {
+    this.buffer |= value << this.bufferBits;
+    this.bufferBits += count;
+    while (this.bufferBits >= 8) {
+      this.writeByte(this.buffer & 0xff);
+      this.buffer >>>= 8;
+      this.bufferBits -= 8;
+    }
+  }
+
+  flushBits() {
+    if (this.bufferBits > 0) {
+      this.writeBits(0, 8 - this.bufferBits);
+    }
+  }
+
+  private writeByte(byte: number) {
+    if (this.length === this.bytes.length) {
+      const bytes = new Uint8Array(this.bytes.length * 2);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+    }
+    this.bytes[this.length] = byte;
+    this.length += 1;
+  }
+}
+
+/*
+Code as written by `BitWriter`, the first bit of each code being the lowest.
+Decoders read no bits for the symbol of a code of a single symbol.
+*/
+function toStreamCode({ lengths, codes }: HuffmanCode): HuffmanCode {
+  if (lengths.filter((length) => length > 0).length === 1) {
+    return { lengths: lengths.map(() => 0), codes };
+  }
+  return {
+    lengths,
+    codes: codes.map((code, symbol) => {
+      let reversed = 0;
+      for (let i = 0; i < lengths[symbol]; i += 1) {
+        reversed = (reversed << 1) | ((code >> i) & 1);
+      }
+      return reversed;
+    }),
+  };
+}
+
+function writeSymbol(writer: BitWriter, code: HuffmanCode, symbol: number) {
+  writer.writeBits(code.codes[symbol], code.lengths[symbol]);
+}
+
+// Prefix code and extra bits of a copy length or distance code
+function getPrefix(value: number): [number, number, number] {
+  const offset = value - 1;
+  if (offset < 4) {
+    return [offset, 0, 0];
+  }
+  const highestBit = 31 - Math.clz32(offset);
+  const extraBitCount = highestBit - 1;
+  return [
+    2 * highestBit + ((offset >> extraBitCount) & 1),
+    extraBitCount,
+    offset & ((1 << extraBitCount) - 1),
+  ];
+}
+
+// Code lengths as code length codes, with the extra bits of the repeats
+function getCodeLengthTokens(lengths: number[]): [number, number, number][] {
+  const tokens: [number, number, number][] = [];
+  for (let i = 0; i < lengths.length; ) {
+    let zeros = 0;
+    while (i + zeros < lengths.length && lengths[i + zeros] === 0) {
+      zeros += 1;
+    }
+    if (zeros >= 11) {
+      const count = Math.min(zeros, 138);
+      tokens.push([REPEAT_MORE_ZEROS, 7, count - 11]);
+      i += count;
+    } else if (zeros >= 3) {
+      tokens.push([REPEAT_ZEROS, 3, zeros - 3]);
+      i += zeros;
+    } else {
+      tokens.push([lengths[i], 0, 0]);
+      i += 1;
+    }
+  }
+  return tokens;
+}
+
+// Write the code of `frequencies`, return it as written
+function writePrefixCode(
+  writer: BitWriter,
+  frequencies: number[],
+): HuffmanCode {
+  const symbols = frequencies
+    .map((frequency, symbol) => (frequency > 0 ? symbol : -1))
+    .filter((symbol) => symbol >= 0);
+  if (symbols.length === 0) {
+    symbols.push(0);
+  }
+  // Simple code of one or two 8-bit symbols
+  if (symbols.length <= 2 && symbols.every((symbol) => symbol < 256)) {
+    writer.writeBits(1, 1);
+    writer.writeBits(symbols.length - 1, 1);
+    const is8Bits = symbols[0] > 1 ? 1 : 0;
+    writer.writeBits(is8Bits, 1);
+    writer.writeBits(symbols[0], is8Bits ? 8 : 1);
+    if (symbols.length === 2) {
+      writer.writeBits(symbols[1], 8);
+    }
+    const lengths = frequencies.map(() => 0);
+    symbols.forEach((symbol) => {
+      lengths[symbol] = 1;
+    });
+    return toStreamCode(createHuffmanCode(lengths));
+  }
+
+  const lengths = getCodeLengths(frequencies, MAX_CODE_LENGTH);
+  const tokens = getCodeLengthTokens(lengths);
+  const tokenFrequencies = new Array(CODE_LENGTH_CODE_ORDER.length).fill(0);
+  tokens.forEach(([symbol]) => {
+    tokenFrequencies[symbol] += 1;
+  });
+  const tokenLengths = getCodeLengths(
+    tokenFrequencies,
+    MAX_CODE_LENGTH_CODE_LENGTH,
+  );
+  let tokenLengthCount = CODE_LENGTH_CODE_ORDER.length;
+  while (
+    tokenLengthCount > 4 &&
+    tokenLengths[CODE_LENGTH_CODE_ORDER[tokenLengthCount - 1]] === 0
+  ) {
+    tokenLengthCount -= 1;
+  }
+  writer.writeBits(0, 1);
+  writer.writeBits(tokenLengthCount - 4, 4);
+  CODE_LENGTH_CODE_ORDER.slice(0, tokenLengthCount).forEach((symbol) => {
+    writer.writeBits(tokenLengths[symbol], 3);
+  });
+  // Code lengths of the whole alphabet
+  writer.writeBits(0, 1);
+  const tokenCode = toStreamCode(createHuffmanCode(tokenLengths));
+  tokens.forEach(([symbol, extraBitCount, extraBits]) => {
+    writeSymbol(writer, tokenCode, symbol);
+    writer.writeBits(extraBits, extraBitCount);
+  });
+  return toStreamCode(createHuffmanCode(lengths));
+}
+
+/*
+Encode as a lossless WebP. Green is subtracted from red and blue, and runs of
+pixels repeating the pixel to the left or above, e.g. the background and frame
+of a mockup, are copies.
+*/
+export function encodeWebp(image: RgbaImage): Buffer {
+  const { width, height, data } = image;
+  if (width > MAX_SIZE || height > MAX_SIZE) {
+    throw new Error(`WebP images are at most ${MAX_SIZE} pixels wide and high`);
+  }
+  const pixels = new Uint32Array(width * height);
+  let hasAlpha = false;
+  for (let i = 0; i < pixels.length; i += 1) {
+    const [r, g, b, a] = data.subarray(i * 4, i * 4 + 4);
+    pixels[i] =
+      ((a << 24) | (((r - g) & 0xff) << 16) | (g << 8) | ((b - g) & 0xff)) >>>
+      0;
+    hasAlpha = hasAlpha || a !== 255;
+  }
+
+  const getCopyLength = (start: number, distance: number) => {
+    const end = Math.min(pixels.length, start + MAX_COPY_LENGTH);
+    let i = start;
+    while (i < end && pixels[i] === pixels[i - distance]) {
+      i += 1;
+    }
+    return i - start;
+  };
+  // Pixels in order as literals or copies of the longer of both runs
+  const visitPixels = (
+    onLiteral: (pixel: number) => void,
+    onCopy: (length: number, distanceCode: number) => void,
+  ) => {
+    for (let i = 0; i < pixels.length; ) {
+      const leftLength = i >= 1 ? getCopyLength(i, 1) : 0;
+      const aboveLength = i >= width ? getCopyLength(i, width) : 0;
+      const length = Math.max(leftLength, aboveLength);
+      if (length >= MIN_COPY_LENGTH) {
+        onCopy(
+          length,
+          aboveLength > leftLength ? DistanceCode.Above : DistanceCode.Left,
+        );
+        i += length;
+      } else {
+        onLiteral(pixels[i]);
+        i += 1;
+      }
+    }
+  };
+
+  const [green, red, blue, alpha, distance] = ALPHABET_SIZES.map((size) =>
+    new Array(size).fill(0),
+  );
+  visitPixels(
+    (pixel) => {
+      green[(pixel >> 8) & 0xff] += 1;
+      red[(pixel >> 16) & 0xff] += 1;
+      blue[pixel & 0xff] += 1;
+      alpha[pixel >>> 24] += 1;
+    },
+    (length, distanceCode) => {
+      green[256 + getPrefix(length)[0]] += 1;
+      distance[getPrefix(distanceCode)[0]] += 1;
+    },
+  );
+
+  const writer = new BitWriter();
+  writer.writeBits(VP8L_SIGNATURE, 8);
+  writer.writeBits(width - 1, 14);
+  writer.writeBits(height - 1, 14);
+  writer.writeBits(hasAlpha ? 1 : 0, 1);
+  // Version
+  writer.writeBits(0, 3);
+  writer.writeBits(1, 1);
+  writer.writeBits(SUBTRACT_GREEN_TRANSFORM, 2);
+  writer.writeBits(0, 1);
+  // Neither a color cache nor meta prefix codes
+  writer.writeBits(0, 1);
+  writer.writeBits(0, 1);
+  const [greenCode, redCode, blueCode, alphaCode, distanceCode] = [
+    green,
+    red,
+    blue,
+    alpha,
+    distance,
+  ].map((frequencies) => writePrefixCode(writer, frequencies));
+  const writePrefix = (code: HuffmanCode, offset: number, value: number) => {
+    const [prefix, extraBitCount, extraBits] = getPrefix(value);
+    writeSymbol(writer, code, offset + prefix);
+    writer.writeBits(extraBits, extraBitCount);
+  };
+  visitPixels(
+    (pixel) => {
+      writeSymbol(writer, greenCode, (pixel >> 8) & 0xff);
+      writeSymbol(writer, redCode, (pixel >> 16) & 0xff);
+      writeSymbol(writer, blueCode, pixel & 0xff);
+      writeSymbol(writer, alphaCode, pixel >>> 24);
+    },
+    (length, distanceCodeValue) => {
+      writePrefix(greenCode, 256, length);
+      writePrefix(distanceCode, 0, distanceCodeValue);
+    },
+  );
+  writer.flushBits();
+
+  const chunkSize = writer.length;
+  const padding = chunkSize % 2;
+  const header = Buffer.alloc(20);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(12 + chunkSize + padding, 4);
+  header.write("WEBPVP8L", 8, "ascii");
+  header.writeUInt32LE(chunkSize, 16);
+  return Buffer.concat([
+    header,
+    Buffer.from(writer.bytes.buffer, 0, chunkSize),
+    Buffer.alloc(padding),
+  ]);
+}
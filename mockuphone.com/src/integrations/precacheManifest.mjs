@@ -0,0 +1,74 @@
+import { createHash } from "crypto";
+import { readdir, readFile, writeFile } from "fs/promises";
+import { join } from "path";
+import { fileURLToPath } from "url";
+
+// Pages needed offline even if they have not been visited yet, e.g. the
+// download page is only opened once mockups are generated
+const PRECACHE_PAGES = ["/", "/download/"];
+
+// Files in `dist` needed offline, device templates are excluded as they are
+// cached per visited device instead
+const PRECACHE_FILE_PATTERNS = [
+  /^_astro\/.*\.(js|css)$/,
+  /^scripts\//,
+  /^pyodide\//,
+  /^mockup\.zip$/,
+  /^image_process\.py$/,
+  /^manifest\.webmanifest$/,
+  /^images\/(favicon|mockuphone-logo)\.png$/,
+];
+
+// Paths of every file under `dirPath`, relative to it and separated by `/`
+async function listFiles(dirPath, prefix = "") {
+  const entries = await readdir(join(dirPath, prefix), { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const path = prefix === "" ? entry.name : `${prefix}/${entry.name}`;
+      return entry.isDirectory() ? listFiles(dirPath, path) : [path];
+    }),
+  );
+  return files.flat();
+}
+
+/*
+Write `precache-manifest.js` for `public/sw.js` on build. It sets
+`self.PRECACHE_MANIFEST` to `{ revision, urls }`, where `revision` changes
+whenever any of `urls` does, such that the service worker is updated and
+precaches again.
+*/
+export default function precacheManifest() {
+  return {
+    name: "precache-manifest",
+    hooks: {
+      "astro:build:done": async ({ dir }) => {
+        const distPath = fileURLToPath(dir);
+        const files = (await listFiles(distPath))
+          .filter((file) => PRECACHE_FILE_PATTERNS.some((p) => p.test(file)))
+          .sort();
+        if (!files.some((file) => file.startsWith("pyodide/"))) {
+          console.warn(
+            "public/pyodide is missing, the built site loads pyodide from the CDN and cannot use it offline. Run `make bundle-pyodide` before building.",
+          );
+        }
+        const pageFiles = PRECACHE_PAGES.map((page) =>
+          `${page}index.html`.substring(1),
+        );
+
+        const hash = createHash("sha256");
+        for (const file of [...pageFiles, ...files]) {
+          hash.update(file);
+          hash.update(await readFile(join(distPath, file)));
+        }
+        const manifest = {
+          revision: hash.digest("hex").substring(0, 16),
+          urls: [...PRECACHE_PAGES, ...files.map((file) => `/${file}`)],
+        };
+        await writeFile(
+          join(distPath, "precache-manifest.js"),
+          `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n`,
+        );
+      },
+    },
+  };
+}
@@ -1,3 +1,5 @@
+import { registerServiceWorker } from "../../scripts/serviceWorker";
+
 function ready(fn) {
   if (document.readyState != "loading") {
     fn();
@@ -6,6 +8,7 @@ function ready(fn) {
   }
 }
 ready(main);
+registerServiceWorker();
 
 function main() {
   const mobileShareBtn = document.querySelector(".header__share-small");
@@ -19,6 +22,8 @@ function main() {
     defaultShareSection.classList.remove("d-none", "d-sm-flex");
   }
 
+  handleOfflineBanner();
+
   mobileShareBtn.addEventListener("click", () => {
     if (!navigator.share) {
       alert("Your browser does not support native sharing yet.");
@@ -31,3 +36,13 @@ function main() {
     });
   });
 }
+
+function handleOfflineBanner() {
+  const offlineBanner = document.querySelector(".offline-banner");
+  const updateOfflineBanner = () => {
+    offlineBanner.classList.toggle("d-none", navigator.onLine);
+  };
+  window.addEventListener("online", updateOfflineBanner);
+  window.addEventListener("offline", updateOfflineBanner);
+  updateOfflineBanner();
+}
@@ -0,0 +1,445 @@
+/*
+Require: mobx, psd.js, mockup_protocol.js, mockup_image_format.js
+*/
+import { ulid } from "ulid";
+import { ImageUpload } from "../model/models/_image-upload";
+import {
+  JobCancelledError,
+  JobPriority,
+  MockupScheduler,
+} from "../model/models/_mockup-scheduler";
+import { getMatchingOrientations } from "../model/utils/_images";
+import { getMaxWorkers } from "../model/utils/_workers";
+import { saveGeneratedMockups } from "../../scripts/mockupStorage";
+import { showToast } from "../../scripts/utils/toast/toast";
+
+const MAX_FILE_SIZE_BYTE = 104857600;
+// `deviceId` of the download page, which names the combined zip
+const DOWNLOAD_ID = "device-matrix";
+
+function findDevice(deviceId) {
+  return window.deviceInfo.devices.find(
+    (device) => device.device_id === deviceId,
+  );
+}
+
+function findModel(modelId) {
+  return window.matrixModels.find((model) => model.id === modelId);
+}
+
+/*
+Generate mockups of every selected model with one shared screenshot set.
+Each model can override the shared set with its own screenshots.
+*/
+class DeviceMatrixViewModel {
+  sharedFiles = [];
+  // Model id to the screenshots used instead of `sharedFiles`
+  overrideFiles = {};
+  selectedModelIds = [];
+  isAutoAssignOrientation = false;
+  isGeneratingMockup = false;
+  scheduler = null;
+  // Bumped on each run such that results of a cancelled run are dropped
+  _runId = 0;
+
+  constructor(selectedModelIds) {
+    mobx.makeObservable(this, {
+      sharedFiles: mobx.observable.ref,
+      overrideFiles: mobx.observable.ref,
+      selectedModelIds: mobx.observable.ref,
+      isAutoAssignOrientation: mobx.observable,
+      isGeneratingMockup: mobx.observable,
+      combinationCount: mobx.computed,
+      isReadyForMockup: mobx.computed,
+      setSharedFiles: mobx.action,
+      setOverrideFiles: mobx.action,
+      setModelSelected: mobx.action,
+      setAutoAssignOrientation: mobx.action,
+      generateMockup: mobx.action,
+      cancelMockup: mobx.action,
+    });
+    this.selectedModelIds = window.matrixModels
+      .map((model) => model.id)
+      .filter((modelId) => selectedModelIds.includes(modelId));
+    this.scheduler = new MockupScheduler(
+      "/scripts/mockup_worker.js",
+      getMaxWorkers(),
+    );
+  }
+
+  getFiles(modelId) {
+    return this.overrideFiles[modelId] ?? this.sharedFiles;
+  }
+
+  // Number of (model, screenshot) pairs to generate
+  get combinationCount() {
+    return this.selectedModelIds.reduce(
+      (count, modelId) => count + this.getFiles(modelId).length,
+      0,
+    );
+  }
+
+  get isReadyForMockup() {
+    return (
+      !this.isGeneratingMockup &&
+      this.selectedModelIds.length > 0 &&
+      this.selectedModelIds.every(
+        (modelId) => this.getFiles(modelId).length > 0,
+      )
+    );
+  }
+
+  setSharedFiles(files) {
+    this.sharedFiles = files;
+  }
+
+  // Empty `files` falls back to the shared screenshots
+  setOverrideFiles(modelId, files) {
+    const { [modelId]: _, ...others } = this.overrideFiles;
+    this.overrideFiles =
+      files.length > 0 ? { ...others, [modelId]: files } : others;
+  }
+
+  setModelSelected(modelId, selected) {
+    const others = this.selectedModelIds.filter((id) => id !== modelId);
+    // Keep the same order as the model list
+    this.selectedModelIds = window.matrixModels
+      .map((model) => model.id)
+      .filter((id) => others.includes(id) || (selected && id === modelId));
+  }
+
+  setAutoAssignOrientation(isAutoAssignOrientation) {
+    this.isAutoAssignOrientation = isAutoAssignOrientation;
+  }
+
+  /*
+  Resolve with `{ mockups, sources }` of every combination, the arguments of
+  `saveGeneratedMockups`, or null if cancelled.
+  */
+  async generateMockup() {
+    if (!this.isReadyForMockup) {
+      console.warn("Cannot generate mockup at this moment");
+      return null;
+    }
+    this.isGeneratingMockup = true;
+    const runId = ++this._runId;
+
+    const results = await Promise.all(
+      this.selectedModelIds.flatMap((modelId) =>
+        this.getFiles(modelId).map((file) =>
+          this._generateModelMockups(findModel(modelId), file),
+        ),
+      ),
+    );
+    if (runId !== this._runId) {
+      return null;
+    }
+    mobx.action(() => {
+      this.isGeneratingMockup = false;
+    })();
+    return {
+      mockups: results.flatMap((result) => result.mockups),
+      sources: Object.fromEntries(
+        results.map((result) => [result.sourceId, result.source]),
+      ),
+    };
+  }
+
+  cancelMockup() {
+    if (!this.isGeneratingMockup) {
+      return;
+    }
+    this._runId += 1;
+    this.isGeneratingMockup = false;
+    this.scheduler.cancelAll();
+  }
+
+  getMockupOrientations(device, imageUpload) {
+    const orientations = device.orientations.map((o) => o.name);
+    if (!this.isAutoAssignOrientation) {
+      return orientations;
+    }
+    const matchedOrientations = getMatchingOrientations(
+      device,
+      { width: imageUpload.width, height: imageUpload.height },
+      orientations,
+    );
+    return matchedOrientations.length > 0 ? matchedOrientations : orientations;
+  }
+
+  async _generateModelMockups(model, file) {
+    const device = findDevice(model.deviceId);
+    // Read per device such that SVG is rasterized at its display resolution
+    const imageUpload = new ImageUpload(
+      file,
+      MAX_FILE_SIZE_BYTE,
+      device.display_resolution,
+    );
+    await imageUpload.read();
+    const sourceId = ulid();
+    // Used by the download page to put mockups of each model in a folder,
+    // name the files and generate them again from the history
+    const mockupFields = {
+      deviceId: device.device_id,
+      colorName: null,
+      group: model.name,
+      sourceId: sourceId,
+      sourceName: file.name,
+      options: imageUpload.fitOptions,
+    };
+    if (imageUpload.isErrorState) {
+      const failedMockup = {
+        image: file.name,
+        results: null,
+        status: "failed",
+        error: {
+          code: imageUpload.state,
+          message: `Cannot read ${file.name}`,
+        },
+        ...mockupFields,
+      };
+      return {
+        sourceId,
+        source: imageUpload.file,
+        mockups: [failedMockup],
+      };
+    }
+
+    const mockups = await Promise.all(
+      this.getMockupOrientations(device, imageUpload).map(
+        async (orientation) => {
+          const data = await this._runJob(imageUpload, device, orientation);
+          if (data == null) {
+            return null;
+          }
+          const image = `${file.name}-${orientation}`;
+          if (data.type === MockupProtocol.MessageType.Error) {
+            console.log("Get error while generating mockup", data.error);
+            return {
+              image,
+              results: null,
+              status: "failed",
+              error: data.error,
+              orientation,
+              ...mockupFields,
+            };
+          }
+          return {
+            image,
+            results: [
+              data.result.name,
+              MockupProtocol.createResultBlob(data.result),
+            ],
+            status: "success",
+            width: data.result.width,
+            height: data.result.height,
+            generatedAt: Date.now(),
+            orientation,
+            ...mockupFields,
+          };
+        },
+      ),
+    );
+    return {
+      sourceId,
+      source: imageUpload.file,
+      mockups: mockups.filter((mockup) => mockup != null),
+    };
+  }
+
+  // Resolve with the final worker response, or null if the job is cancelled
+  async _runJob(imageUpload, device, orientation) {
+    const request = MockupProtocol.createRenderRequest({
+      jobId: ulid(),
+      image: imageUpload.file,
+      device: device,
+      orientation: orientation,
+      options: imageUpload.fitOptions,
+    });
+    try {
+      return await this.scheduler.schedule(request, {
+        priority: JobPriority.Mockup,
+        tags: { deviceId: device.device_id },
+      });
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        return null;
+      }
+      return MockupProtocol.createError(request.jobId, error);
+    }
+  }
+}
+
+function getFileCountText(count) {
+  return `${count} screenshot(s)`;
+}
+
+function handleSharedFiles(viewModel) {
+  const fileInput = document.querySelector(".device-matrix__shared-input");
+  const fileList = document.querySelector(".device-matrix__shared-files");
+  const uploadGuide = document.querySelector(".upload-guide");
+  uploadGuide.addEventListener("click", (e) => {
+    if (e.target !== fileInput) {
+      fileInput.click();
+    }
+  });
+  fileInput.addEventListener("change", () => {
+    viewModel.setSharedFiles(Array.from(fileInput.files));
+  });
+
+  mobx.autorun(() => {
+    fileList.replaceChildren(
+      ...viewModel.sharedFiles.map((file) => {
+        const itemNode = document.createElement("li");
+        itemNode.classList.add("device-matrix__shared-file");
+        itemNode.innerText = file.name;
+        return itemNode;
+      }),
+    );
+  });
+}
+
+function handleModelList(viewModel) {
+  const searchInput = document.querySelector(".device-matrix__search");
+  const modelNodes = document.querySelectorAll(".device-matrix__model");
+
+  searchInput.addEventListener("input", () => {
+    const keyword = searchInput.value.trim().toLowerCase();
+    modelNodes.forEach((node) => {
+      node.classList.toggle(
+        "d-none",
+        !node.dataset.modelName.includes(keyword),
+      );
+    });
+  });
+
+  modelNodes.forEach((node) => {
+    const modelId = node.dataset.modelId;
+    const checkbox = node.querySelector(".device-matrix__model-checkbox");
+    const overrideInput = node.querySelector(".device-matrix__override-input");
+    const overrideCount = node.querySelector(".device-matrix__override-count");
+    const overrideClear = node.querySelector(".device-matrix__override-clear");
+
+    checkbox.addEventListener("change", () => {
+      viewModel.setModelSelected(modelId, checkbox.checked);
+    });
+    overrideInput.addEventListener("change", () => {
+      viewModel.setOverrideFiles(modelId, Array.from(overrideInput.files));
+      // Overriding a model implies generating it
+      viewModel.setModelSelected(modelId, true);
+      overrideInput.value = "";
+    });
+    overrideClear.addEventListener("click", () => {
+      viewModel.setOverrideFiles(modelId, []);
+    });
+
+    mobx.autorun(() => {
+      const isSelected = viewModel.selectedModelIds.includes(modelId);
+      const files = viewModel.overrideFiles[modelId];
+      checkbox.checked = isSelected;
+      node.classList.toggle("device-matrix__model--selected", isSelected);
+      overrideCount.innerText =
+        files == null ? "" : getFileCountText(files.length);
+      overrideClear.classList.toggle("d-none", files == null);
+    });
+  });
+}
+
+function handleGenerating(viewModel) {
+  const autoAssignCheckbox = document.querySelector(
+    ".device-matrix__auto-assign-checkbox",
+  );
+  const summary = document.querySelector(".device-matrix__summary");
+  const generateBtn = document.querySelector(".generate-btn");
+  const generatingModal = document.querySelector(".generating-modal");
+  const cancelMockupBtn = document.querySelector(
+    ".generating-modal-dialog__cancel-btn",
+  );
+  const generatingProgress = document.querySelector(
+    ".generating-modal-dialog__progress",
+  );
+
+  function handleNoGeneratedMockup() {
+    const description = `
+      <div>Try a different image/device. <br> If the issue persists, please report it on <a href='https://github.com/oursky/mockuphone.com/issues'>Github</a></div>
+    `;
+    showToast({
+      title: "No generated mockup",
+      description: description,
+      avatar: "/images/upload-error.svg",
+    });
+  }
+
+  autoAssignCheckbox.addEventListener("change", () => {
+    viewModel.setAutoAssignOrientation(autoAssignCheckbox.checked);
+  });
+
+  generateBtn.addEventListener("click", async () => {
+    const generated = await viewModel.generateMockup();
+    if (generated == null) {
+      return;
+    }
+    const { mockups, sources } = generated;
+    if (!mockups.some((mockup) => mockup.status === "success")) {
+      handleNoGeneratedMockup();
+      return;
+    }
+    await saveGeneratedMockups(mockups, sources);
+    window.location.href = "/download/?deviceId=" + DOWNLOAD_ID;
+  });
+
+  cancelMockupBtn.addEventListener("click", () => {
+    viewModel.cancelMockup();
+  });
+
+  // observe viewModel: selected models and screenshots
+  mobx.autorun(() => {
+    const modelCount = viewModel.selectedModelIds.length;
+    summary.innerText =
+      modelCount === 0
+        ? "Select the devices to generate mockups with."
+        : `${modelCount} device(s), ${viewModel.combinationCount} screenshot combination(s)`;
+    generateBtn.disabled = !viewModel.isReadyForMockup;
+  });
+
+  // observe viewModel: isGeneratingMockup
+  mobx.autorun(() => {
+    generatingModal.classList.toggle("d-none", !viewModel.isGeneratingMockup);
+  });
+
+  // observe scheduler: queue depth and eta
+  mobx.autorun(() => {
+    const { pendingCount, etaSec } = viewModel.scheduler;
+    if (pendingCount === 0) {
+      generatingProgress.innerText = "";
+      return;
+    }
+    const remaining = `${pendingCount} image(s) remaining`;
+    generatingProgress.innerText =
+      etaSec == null ? remaining : `${remaining}, about ${etaSec}s left`;
+  });
+}
+
+function main() {
+  // e.g. /device-matrix/?models=iphone-15,pixel-8
+  const urlParams = new URLSearchParams(window.location.search);
+  const modelIds = (urlParams.get("models") ?? "")
+    .split(",")
+    .map((modelId) => modelId.trim())
+    .filter((modelId) => modelId.length > 0);
+
+  const viewModel = new DeviceMatrixViewModel(modelIds);
+  handleSharedFiles(viewModel);
+  handleModelList(viewModel);
+  handleGenerating(viewModel);
+  window.viewModel = viewModel;
+}
+
+function ready(fn) {
+  if (document.readyState != "loading") {
+    fn();
+  } else {
+    document.addEventListener("DOMContentLoaded", fn);
+  }
+}
+ready(main);
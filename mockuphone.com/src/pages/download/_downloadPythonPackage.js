@@ -1,37 +1,59 @@
 import JSZip from "jszip";
-import localforage from "localforage";
 import { saveAs } from "file-saver";
+import { loadGeneratedMockups } from "../../scripts/mockupStorage";
 import { showToast } from "../../scripts/utils/toast/toast";
+import { composeStoreScreenshots } from "./_storeExport";
+import { MANIFEST_FILENAME, createManifest } from "./_manifest";
+import { ZipStage, generateZipBlob, runZipJob, zipJob } from "./_zipJob";
+import {
+  createUniquePaths,
+  formatMockupFilename,
+  getMockupModelName,
+  loadFilenameTemplate,
+  sanitizeFilename,
+} from "./_filename";
 
-async function allStorage() {
-  var values = new Map(),
-    keys = Object.keys(localStorage),
-    i = keys.length;
-  return localforage
-    .getItem("generatedMockups")
-    .then(function (generatedMockups) {
-      generatedMockups.forEach(function (mockup) {
-        if (mockup.status === "success") {
-          const [filename, fileBytes] = mockup.results;
-          values.set(filename, fileBytes);
-        } else {
-          values.set(mockup.image, null);
-        }
+// Folder by model, color and orientation, e.g. `iPhone 15/Black/portrait/`
+function getMockupFolder(mockup) {
+  return [getMockupModelName(mockup), mockup.colorName, mockup.orientation]
+    .filter((name) => name != null && name.length > 0)
+    .map((name) => `${sanitizeFilename(name)}/`)
+    .join("");
+}
+
+/*
+Map zip path (or name of the failed image) to `{ blob, mockup }`, where
+`blob` is null if failed. Files are named by the saved file name template,
+see `formatMockupFilename`. `indexes` are the `{index}` of each mockup within
+its generation, its position in `generatedMockups` by default.
+*/
+function getZipEntries(generatedMockups, indexes = null) {
+  var values = new Map();
+  const template = loadFilenameTemplate();
+  // manifest.json is at the root of the zip
+  const getUniquePath = createUniquePaths();
+  getUniquePath(MANIFEST_FILENAME);
+  generatedMockups.forEach(function (mockup, index) {
+    const folder = getMockupFolder(mockup);
+    if (mockup.status === "success") {
+      const filename = formatMockupFilename(
+        mockup,
+        indexes?.[index] ?? index,
+        template,
+      );
+      values.set(getUniquePath(folder + filename), {
+        blob: mockup.results[1],
+        mockup,
       });
-      return values;
-    });
+    } else {
+      values.set(getUniquePath(folder + mockup.image), { blob: null, mockup });
+    }
+  });
+  return values;
 }
 
-function dataURLtoFile(dataurl, filename) {
-  var arr = dataurl.split(","),
-    mime = arr[0].match(/:(.*?);/)[1],
-    bstr = atob(arr[arr.length - 1]),
-    n = bstr.length,
-    u8arr = new Uint8Array(n);
-  while (n--) {
-    u8arr[n] = bstr.charCodeAt(n);
-  }
-  return new File([u8arr], filename, { type: mime });
+async function allStorage() {
+  return getZipEntries((await loadGeneratedMockups()) ?? []);
 }
 
 function getJSZipDateWithOffset() {
@@ -44,61 +66,116 @@ function getJSZipDateWithOffset() {
   return dateWithOffset;
 }
 
-function handlePartialSuccess(failedImages) {
-  const description = `
+function getFailedImagesDescription(failedImages) {
+  return `
     <div>Image(s) failed to generate. Try a different image/device:</div>
     <ul>
       ${failedImages.map((failedImage) => `<li>${failedImage}</li>`).join("")}
     </ul>
     <div>If the issue persists, please report it on <a href='https://github.com/oursky/mockuphone.com/issues'>Github</a></div>
   `;
+}
 
+function handlePartialSuccess(failedImages) {
   showToast({
     title: "Partial Success",
-    description: description,
+    description: getFailedImagesDescription(failedImages),
     avatar: "/images/upload-warning.svg",
   });
 }
 
-function downloadGeneratedMockup(deviceId, images) {
+function handleAllFailed(failedImages) {
+  showToast({
+    title: "Nothing to download",
+    description: getFailedImagesDescription(failedImages),
+    avatar: "/images/upload-error.svg",
+  });
+}
+
+// Resolve with the zip blob, images are read one by one while compressing
+async function downloadGeneratedMockup(images, manifest, signal) {
   var zip = new JSZip();
-  var count = 0;
-  const zipFilename = !!deviceId ? `${deviceId}-mockup.zip` : "mockup.zip";
 
-  images.forEach(async function (imgURL, k) {
-    var filename = unescape(k.substring(3, k.length)) + ".png";
-    var image = await fetch(imgURL);
-    var imageBlob = await image.blob();
+  images.forEach(function (imageBlob, filename) {
     zip.file(filename, imageBlob, {
       binary: true,
       date: getJSZipDateWithOffset(),
     });
-    count++;
-    if (count == images.size) {
-      zip.generateAsync({ type: "blob" }).then(function (content) {
-        saveAs(content, zipFilename);
-      });
-    }
+  });
+  zip.file(MANIFEST_FILENAME, JSON.stringify(manifest, null, 2), {
+    date: getJSZipDateWithOffset(),
+  });
+  return await generateZipBlob(zip, signal, function (metadata) {
+    zipJob.update(ZipStage.Compressing, metadata.percent, metadata.currentFile);
   });
 }
 
-export async function generateZIP(deviceId) {
+async function zipEntries(entries, zipFilename, signal) {
   var images = new Map();
-  var dataurlkey = await allStorage();
   var failedImages = [];
-  dataurlkey.forEach(function (value, key) {
+  entries.forEach(function ({ blob }, key) {
     // Only zip successfully generated mockups
-    if (value !== null) {
-      var file = dataURLtoFile(value, key.substring(3, key.length) + ".png");
-      images.set(key, URL.createObjectURL(file));
+    if (blob !== null) {
+      images.set(key, blob);
     } else {
       failedImages.push(key);
     }
   });
+  if (images.size === 0) {
+    if (failedImages.length > 0) {
+      handleAllFailed(failedImages);
+    }
+    return;
+  }
 
-  downloadGeneratedMockup(deviceId, images);
+  // Failures are listed in the manifest too, with their reasons
+  const manifest = await createManifest(entries, {
+    signal,
+    onProgress: (percent, path) => {
+      zipJob.update(ZipStage.Preparing, percent, path);
+    },
+  });
+  const content = await downloadGeneratedMockup(images, manifest, signal);
+  saveAs(content, zipFilename);
 
-  if (failedImages.length > 0 && images.size > 0) {
+  if (failedImages.length > 0) {
     handlePartialSuccess(failedImages);
   }
 }
+
+// Every generate*ZIP resolves when done, or cancelled from the zipping modal
+export async function generateZIP(deviceId) {
+  const zipFilename = !!deviceId ? `${deviceId}-mockup.zip` : "mockup.zip";
+  await runZipJob(async (signal) => {
+    await zipEntries(await allStorage(), zipFilename, signal);
+  });
+}
+
+// Zip `mockups` picked from the history, `indexes` as of `getZipEntries`
+export async function generateSelectedZIP(mockups, indexes) {
+  await runZipJob(async (signal) => {
+    await zipEntries(
+      getZipEntries(mockups, indexes),
+      "mockup-selection.zip",
+      signal,
+    );
+  });
+}
+
+// Zip the latest mockups composed onto the store screenshots of `presetIds`
+export async function generateStoreZIP(presetIds, design) {
+  await runZipJob(async (signal) => {
+    const entries = await composeStoreScreenshots(
+      await allStorage(),
+      presetIds,
+      design,
+      {
+        signal,
+        onProgress: (percent, path) => {
+          zipJob.update(ZipStage.Composing, percent, path);
+        },
+      },
+    );
+    await zipEntries(entries, "store-screenshots.zip", signal);
+  });
+}
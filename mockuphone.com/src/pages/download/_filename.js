@@ -0,0 +1,159 @@
+import { loadGeneratedMockups } from "../../scripts/mockupStorage";
+
+/*
+File names of the downloaded mockups, from a template of `{token}` such as
+`{model}-{color}-{orientation}-{original}-{index}`. The template is kept in
+localStorage between sessions.
+*/
+const FILENAME_TEMPLATE_KEY = "mockupFilenameTemplate";
+
+export const DEFAULT_FILENAME_TEMPLATE = "{original}-{orientation}";
+
+export const FILENAME_TOKENS = [
+  "model",
+  "device",
+  "color",
+  "orientation",
+  "original",
+  "index",
+];
+
+// Extension of each output mime type, see `MockupProtocol.OutputFormat` and
+// `MockupProtocol.VideoFormat`
+const OUTPUT_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "video/webm": ".webm",
+};
+
+const INVALID_FILENAME_CHARACTERS = /[\\/:*?"<>|]/g;
+
+export function loadFilenameTemplate() {
+  return (
+    localStorage.getItem(FILENAME_TEMPLATE_KEY) ?? DEFAULT_FILENAME_TEMPLATE
+  );
+}
+
+export function saveFilenameTemplate(template) {
+  if (template.trim().length === 0) {
+    localStorage.removeItem(FILENAME_TEMPLATE_KEY);
+    return;
+  }
+  localStorage.setItem(FILENAME_TEMPLATE_KEY, template);
+}
+
+function removeExtension(filename) {
+  const dotIndex = filename.lastIndexOf(".");
+  return dotIndex > 0 ? filename.substring(0, dotIndex) : filename;
+}
+
+// Replace characters not allowed in file names on common file systems
+export function sanitizeFilename(name) {
+  return name.replace(INVALID_FILENAME_CHARACTERS, "-");
+}
+
+// Model of the device matrix, or name of the device
+export function getMockupModelName(mockup) {
+  if (mockup.group != null) {
+    return mockup.group;
+  }
+  const device = window.deviceInfo?.devices.find(
+    (d) => d.device_id === mockup.deviceId,
+  );
+  return device?.name ?? "";
+}
+
+function getTokenValues(mockup, index) {
+  // Mockups stored before `sourceName` only have the output name, which
+  // already ends with the orientation
+  const original =
+    mockup.sourceName != null
+      ? removeExtension(mockup.sourceName)
+      : unescape(mockup.results[0].substring(3));
+  return {
+    model: getMockupModelName(mockup),
+    device: mockup.deviceId ?? "",
+    color: mockup.colorName ?? "",
+    orientation: mockup.sourceName != null ? mockup.orientation ?? "" : "",
+    original: original,
+    index: String(index + 1),
+  };
+}
+
+/*
+File name of the successfully generated `mockup`, the `index`-th one of the
+download, with the extension of its format. Empty tokens are dropped with the
+separator before them, unknown tokens are kept as is.
+*/
+export function formatMockupFilename(
+  mockup,
+  index,
+  template = loadFilenameTemplate(),
+) {
+  const values = getTokenValues(mockup, index);
+  const name = sanitizeFilename(
+    template.replace(/([-_. ]?)\{(\w+)\}/g, (match, separator, token) => {
+      const value = values[token];
+      if (value == null) {
+        return match;
+      }
+      return value.length > 0 ? separator + value : "";
+    }),
+  ).replace(/^[-_. ]+|[-_. ]+$/g, "");
+  const extension = OUTPUT_EXTENSIONS[mockup.results[1].type] ?? ".png";
+  return (name.length > 0 ? name : "mockup") + extension;
+}
+
+/*
+Return a function which makes each path unique by suffixing `-2`, `-3`...
+before the extension. Paths differing by case collide, as they do on most
+desktop file systems.
+*/
+export function createUniquePaths() {
+  const usedPaths = new Set();
+  return (path) => {
+    const dotIndex = path.lastIndexOf(".");
+    const hasExtension = dotIndex > path.lastIndexOf("/") + 1;
+    const stem = hasExtension ? path.substring(0, dotIndex) : path;
+    const extension = hasExtension ? path.substring(dotIndex) : "";
+    let uniquePath = path;
+    for (let n = 2; usedPaths.has(uniquePath.toLowerCase()); n++) {
+      uniquePath = `${stem}-${n}${extension}`;
+    }
+    usedPaths.add(uniquePath.toLowerCase());
+    return uniquePath;
+  };
+}
+
+// Bind the file name template input of the download page
+export async function registerFilenameTemplate() {
+  const templateInput = document.querySelector(".filename-template__input");
+  const previewNode = document.querySelector(".filename-template__preview");
+  if (templateInput == null) {
+    return;
+  }
+  const generatedMockups = (await loadGeneratedMockups()) ?? [];
+  const sampleIndex = generatedMockups.findIndex(
+    (mockup) => mockup.status === "success",
+  );
+
+  const updatePreview = () => {
+    if (previewNode == null || sampleIndex < 0) {
+      return;
+    }
+    previewNode.innerText = formatMockupFilename(
+      generatedMockups[sampleIndex],
+      sampleIndex,
+      loadFilenameTemplate(),
+    );
+  };
+
+  templateInput.value = loadFilenameTemplate();
+  templateInput.addEventListener("input", () => {
+    saveFilenameTemplate(templateInput.value);
+    updatePreview();
+  });
+  updatePreview();
+}
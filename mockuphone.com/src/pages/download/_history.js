@@ -0,0 +1,538 @@
+/*
+Require: mobx, mockup_protocol.js
+*/
+import { ulid } from "ulid";
+import { saveAs } from "file-saver";
+import {
+  deleteMockupGeneration,
+  getLatestGenerationId,
+  loadMockupHistory,
+  updateMockupGeneration,
+} from "../../scripts/mockupStorage";
+import {
+  JobCancelledError,
+  MockupScheduler,
+} from "../model/models/_mockup-scheduler";
+import { getMaxWorkers } from "../model/utils/_workers";
+import { showToast } from "../../scripts/utils/toast/toast";
+import { generateSelectedZIP } from "./_downloadPythonPackage";
+import { formatMockupFilename } from "./_filename";
+
+const THUMBNAIL_WIDTH = 240;
+
+function findDevice(deviceId) {
+  return window.deviceInfo.devices.find(
+    (device) => device.device_id === deviceId,
+  );
+}
+
+// e.g. "iPhone 15 Pro - Black Titanium", or the model of the device matrix
+function getDeviceLabel(mockup) {
+  if (mockup.group != null) {
+    return mockup.group;
+  }
+  const name = findDevice(mockup.deviceId)?.name ?? mockup.deviceId;
+  if (name == null) {
+    return "Unknown device";
+  }
+  return mockup.colorName != null ? `${name} - ${mockup.colorName}` : name;
+}
+
+// First frame of a video mockup, browsers cannot create bitmaps from videos
+async function loadVideoFrame(blob) {
+  const video = document.createElement("video");
+  const url = URL.createObjectURL(blob);
+  video.muted = true;
+  try {
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error("Cannot load video"));
+      video.src = url;
+    });
+    return await createImageBitmap(video);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function createThumbnail(blob) {
+  const bitmap = blob.type.startsWith("video/")
+    ? await loadVideoFrame(blob)
+    : await createImageBitmap(blob);
+  const width = Math.min(THUMBNAIL_WIDTH, bitmap.width);
+  const height = Math.max(
+    1,
+    Math.round((bitmap.height * width) / bitmap.width),
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// Object urls of stored blobs, reused across renders
+const objectUrls = new WeakMap();
+function getObjectUrl(blob) {
+  if (!objectUrls.has(blob)) {
+    objectUrls.set(blob, URL.createObjectURL(blob));
+  }
+  return objectUrls.get(blob);
+}
+
+/*
+Past generations stored by `saveGeneratedMockups`. Mockups can be
+downloaded, deleted or generated again one by one, or zipped together.
+*/
+export class MockupHistoryViewModel {
+  generations = [];
+  latestGenerationId = null;
+  selectedMockupIds = [];
+  regeneratingMockupIds = [];
+  _scheduler = null;
+
+  constructor() {
+    mobx.makeObservable(this, {
+      generations: mobx.observable.ref,
+      latestGenerationId: mobx.observable,
+      selectedMockupIds: mobx.observable.ref,
+      regeneratingMockupIds: mobx.observable.ref,
+      groups: mobx.computed,
+      selectedMockups: mobx.computed,
+      hasOldHistory: mobx.computed,
+      setGenerations: mobx.action,
+      replaceGeneration: mobx.action,
+      setSelected: mobx.action,
+      clearSelection: mobx.action,
+      setRegenerating: mobx.action,
+    });
+  }
+
+  async load() {
+    const [generations, latestGenerationId] = await Promise.all([
+      loadMockupHistory(),
+      getLatestGenerationId(),
+    ]);
+    mobx.action(() => {
+      this.latestGenerationId = latestGenerationId;
+    })();
+    this.setGenerations(generations);
+  }
+
+  /*
+  Mockups grouped by date then by device, newest first:
+  [{ date, deviceGroups: [{ label, items: [{ generation, mockup }] }] }]
+  */
+  get groups() {
+    const dateGroups = [];
+    this.generations.forEach((generation) => {
+      const date = new Date(generation.savedAt).toLocaleDateString();
+      let dateGroup = dateGroups.find((group) => group.date === date);
+      if (dateGroup == null) {
+        dateGroup = { date, deviceGroups: [] };
+        dateGroups.push(dateGroup);
+      }
+      generation.mockups.forEach((mockup) => {
+        const label = getDeviceLabel(mockup);
+        let deviceGroup = dateGroup.deviceGroups.find(
+          (group) => group.label === label,
+        );
+        if (deviceGroup == null) {
+          deviceGroup = { label, items: [] };
+          dateGroup.deviceGroups.push(deviceGroup);
+        }
+        deviceGroup.items.push({ generation, mockup });
+      });
+    });
+    return dateGroups;
+  }
+
+  get selectedMockups() {
+    return this.generations.flatMap((generation) =>
+      generation.mockups.filter((mockup) =>
+        this.selectedMockupIds.includes(mockup.id),
+      ),
+    );
+  }
+
+  get hasOldHistory() {
+    return this.generations.some(
+      (generation) => generation.id !== this.latestGenerationId,
+    );
+  }
+
+  setGenerations(generations) {
+    this.generations = generations;
+    const mockupIds = generations.flatMap((generation) =>
+      generation.mockups.map((mockup) => mockup.id),
+    );
+    this.selectedMockupIds = this.selectedMockupIds.filter((id) =>
+      mockupIds.includes(id),
+    );
+  }
+
+  replaceGeneration(generation) {
+    this.setGenerations(
+      this.generations.map((g) => (g.id === generation.id ? generation : g)),
+    );
+  }
+
+  setSelected(mockupId, selected) {
+    const others = this.selectedMockupIds.filter((id) => id !== mockupId);
+    this.selectedMockupIds = selected ? [...others, mockupId] : others;
+  }
+
+  clearSelection() {
+    this.selectedMockupIds = [];
+  }
+
+  setRegenerating(mockupId, regenerating) {
+    const others = this.regeneratingMockupIds.filter((id) => id !== mockupId);
+    this.regeneratingMockupIds = regenerating ? [...others, mockupId] : others;
+  }
+
+  // Index of a mockup within its generation, the `{index}` of its file name
+  getMockupIndex(mockup) {
+    const generation = this.generations.find((g) => g.mockups.includes(mockup));
+    return generation?.mockups.indexOf(mockup) ?? 0;
+  }
+
+  // Named as the `index`-th mockup of its generation, same as in the zips
+  getMockupFilename(generation, mockup) {
+    return formatMockupFilename(mockup, generation.mockups.indexOf(mockup));
+  }
+
+  downloadMockup(generation, mockup) {
+    saveAs(mockup.results[1], this.getMockupFilename(generation, mockup));
+  }
+
+  downloadSelected() {
+    const mockups = this.selectedMockups;
+    generateSelectedZIP(
+      mockups,
+      mockups.map((mockup) => this.getMockupIndex(mockup)),
+    );
+  }
+
+  // Delete mockups, and the generations left without any mockup
+  async deleteMockups(mockupIds) {
+    for (const generation of this.generations) {
+      const mockups = generation.mockups.filter(
+        (mockup) => !mockupIds.includes(mockup.id),
+      );
+      if (mockups.length === generation.mockups.length) {
+        continue;
+      }
+      if (mockups.length === 0) {
+        await deleteMockupGeneration(generation.id);
+        this.setGenerations(
+          this.generations.filter((g) => g.id !== generation.id),
+        );
+        continue;
+      }
+      // Drop screenshots no longer used by any mockup
+      const sources = Object.fromEntries(
+        Object.entries(generation.sources).filter(([sourceId]) =>
+          mockups.some((mockup) => mockup.sourceId === sourceId),
+        ),
+      );
+      const updatedGeneration = { ...generation, sources, mockups };
+      await updateMockupGeneration(updatedGeneration);
+      this.replaceGeneration(updatedGeneration);
+    }
+  }
+
+  async deleteSelected() {
+    await this.deleteMockups(this.selectedMockupIds);
+    this.clearSelection();
+  }
+
+  // Delete every generation except the latest one
+  async clearOldHistory() {
+    const oldGenerations = this.generations.filter(
+      (generation) => generation.id !== this.latestGenerationId,
+    );
+    for (const generation of oldGenerations) {
+      await deleteMockupGeneration(generation.id);
+    }
+    this.setGenerations(
+      this.generations.filter(
+        (generation) => generation.id === this.latestGenerationId,
+      ),
+    );
+  }
+
+  canRegenerate(generation, mockup) {
+    return (
+      generation.sources[mockup.sourceId] != null &&
+      mockup.orientation != null &&
+      findDevice(mockup.deviceId) != null
+    );
+  }
+
+  // Generate `mockup` again from its stored screenshot and options
+  async regenerate(generation, mockup) {
+    if (
+      !this.canRegenerate(generation, mockup) ||
+      this.regeneratingMockupIds.includes(mockup.id)
+    ) {
+      return;
+    }
+    if (this._scheduler == null) {
+      this._scheduler = new MockupScheduler(
+        "/scripts/mockup_worker.js",
+        getMaxWorkers(),
+      );
+    }
+    this.setRegenerating(mockup.id, true);
+    const request = MockupProtocol.createRenderRequest({
+      jobId: ulid(),
+      image: generation.sources[mockup.sourceId],
+      device: findDevice(mockup.deviceId),
+      orientation: mockup.orientation,
+      options: mockup.options,
+      output: mockup.output,
+      video: mockup.video,
+    });
+    try {
+      const data = await this._scheduler.schedule(request);
+      const updatedMockup =
+        data.type === MockupProtocol.MessageType.Error
+          ? {
+              ...mockup,
+              results: null,
+              status: "failed",
+              error: data.error,
+              thumbnail: null,
+            }
+          : {
+              ...mockup,
+              results: [
+                data.result.name,
+                MockupProtocol.createResultBlob(data.result),
+              ],
+              status: "success",
+              error: undefined,
+              width: data.result.width,
+              height: data.result.height,
+              generatedAt: Date.now(),
+              thumbnail: null,
+            };
+      if (data.type === MockupProtocol.MessageType.Error) {
+        showToast({
+          title: "Failed to generate again",
+          description: data.error.message,
+          avatar: "/images/upload-error.svg",
+        });
+      }
+      // The generation may have changed while generating
+      const currentGeneration = this.generations.find(
+        (g) => g.id === generation.id,
+      );
+      if (currentGeneration == null) {
+        return;
+      }
+      const updatedGeneration = {
+        ...currentGeneration,
+        mockups: currentGeneration.mockups.map((m) =>
+          m.id === mockup.id ? updatedMockup : m,
+        ),
+      };
+      await updateMockupGeneration(updatedGeneration);
+      this.replaceGeneration(updatedGeneration);
+    } catch (error) {
+      if (!(error instanceof JobCancelledError)) {
+        console.error("Failed to generate mockup again", error);
+      }
+    } finally {
+      this.setRegenerating(mockup.id, false);
+    }
+  }
+
+  // Create the missing thumbnails one by one, stored once per generation
+  async createMissingThumbnails() {
+    for (const generation of this.generations) {
+      const missingMockups = generation.mockups.filter(
+        (mockup) => mockup.status === "success" && mockup.thumbnail == null,
+      );
+      if (missingMockups.length === 0) {
+        continue;
+      }
+      const thumbnails = new Map();
+      for (const mockup of missingMockups) {
+        try {
+          thumbnails.set(mockup.id, await createThumbnail(mockup.results[1]));
+        } catch (e) {
+          console.warn("Failed to create thumbnail", mockup.image, e);
+        }
+      }
+      const currentGeneration = this.generations.find(
+        (g) => g.id === generation.id,
+      );
+      if (currentGeneration == null) {
+        continue;
+      }
+      const updatedGeneration = {
+        ...currentGeneration,
+        mockups: currentGeneration.mockups.map((mockup) =>
+          thumbnails.has(mockup.id) && mockup.thumbnail == null
+            ? { ...mockup, thumbnail: thumbnails.get(mockup.id) }
+            : mockup,
+        ),
+      };
+      this.replaceGeneration(updatedGeneration);
+      await updateMockupGeneration(updatedGeneration);
+    }
+  }
+}
+
+function createButton(className, text, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("history-item__btn", className);
+  button.innerText = text;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function createHistoryItem(viewModel, { generation, mockup }) {
+  const isSuccess = mockup.status === "success";
+  const itemNode = document.createElement("li");
+  itemNode.classList.add("history-item");
+  itemNode.classList.toggle("history-item--failed", !isSuccess);
+
+  if (isSuccess) {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.classList.add("history-item__checkbox");
+    checkbox.checked = viewModel.selectedMockupIds.includes(mockup.id);
+    checkbox.setAttribute("aria-label", `Select ${mockup.image}`);
+    checkbox.addEventListener("change", () => {
+      viewModel.setSelected(mockup.id, checkbox.checked);
+    });
+    itemNode.appendChild(checkbox);
+  }
+
+  const previewNode = document.createElement("div");
+  previewNode.classList.add("history-item__preview");
+  if (isSuccess && mockup.thumbnail != null) {
+    const image = document.createElement("img");
+    image.classList.add("history-item__thumbnail");
+    image.src = getObjectUrl(mockup.thumbnail);
+    image.alt = mockup.image;
+    previewNode.appendChild(image);
+  } else {
+    previewNode.innerText = isSuccess ? "" : "Failed";
+  }
+  itemNode.appendChild(previewNode);
+
+  const nameNode = document.createElement("p");
+  nameNode.classList.add("history-item__name");
+  nameNode.innerText = isSuccess
+    ? viewModel.getMockupFilename(generation, mockup)
+    : mockup.image;
+  nameNode.title = nameNode.innerText;
+  itemNode.appendChild(nameNode);
+
+  const timeNode = document.createElement("p");
+  timeNode.classList.add("history-item__time");
+  timeNode.innerText = new Date(generation.savedAt).toLocaleTimeString();
+  itemNode.appendChild(timeNode);
+
+  const actionsNode = document.createElement("div");
+  actionsNode.classList.add("history-item__actions");
+  if (isSuccess) {
+    actionsNode.appendChild(
+      createButton("history-item__download-btn", "Download", () =>
+        viewModel.downloadMockup(generation, mockup),
+      ),
+    );
+  }
+  if (viewModel.canRegenerate(generation, mockup)) {
+    const isRegenerating = viewModel.regeneratingMockupIds.includes(mockup.id);
+    const regenerateBtn = createButton(
+      "history-item__regenerate-btn",
+      isRegenerating ? "Generating..." : "Regenerate",
+      () => viewModel.regenerate(generation, mockup),
+    );
+    regenerateBtn.disabled = isRegenerating;
+    actionsNode.appendChild(regenerateBtn);
+  }
+  actionsNode.appendChild(
+    createButton("history-item__delete-btn", "Delete", () =>
+      viewModel.deleteMockups([mockup.id]),
+    ),
+  );
+  itemNode.appendChild(actionsNode);
+  return itemNode;
+}
+
+function renderGroups(viewModel, groupsNode) {
+  groupsNode.replaceChildren(
+    ...viewModel.groups.map((dateGroup) => {
+      const dateNode = document.createElement("section");
+      dateNode.classList.add("history__date-group");
+      const dateHeading = document.createElement("h3");
+      dateHeading.classList.add("history__date");
+      dateHeading.innerText = dateGroup.date;
+      dateNode.appendChild(dateHeading);
+
+      dateGroup.deviceGroups.forEach((deviceGroup) => {
+        const deviceHeading = document.createElement("h4");
+        deviceHeading.classList.add("history__device");
+        deviceHeading.innerText = deviceGroup.label;
+        dateNode.appendChild(deviceHeading);
+
+        const listNode = document.createElement("ul");
+        listNode.classList.add("history__list");
+        deviceGroup.items.forEach((item) => {
+          listNode.appendChild(createHistoryItem(viewModel, item));
+        });
+        dateNode.appendChild(listNode);
+      });
+      return dateNode;
+    }),
+  );
+}
+
+// Bind the history section of the download page to `viewModel`
+export function registerMockupHistory(viewModel) {
+  const historyNode = document.querySelector(".history");
+  const groupsNode = historyNode.querySelector(".history__groups");
+  const downloadSelectedBtn = historyNode.querySelector(
+    ".history__download-selected-btn",
+  );
+  const deleteSelectedBtn = historyNode.querySelector(
+    ".history__delete-selected-btn",
+  );
+  const clearBtn = historyNode.querySelector(".history__clear-btn");
+
+  downloadSelectedBtn.addEventListener("click", () => {
+    viewModel.downloadSelected();
+  });
+  deleteSelectedBtn.addEventListener("click", () => {
+    viewModel.deleteSelected();
+  });
+  clearBtn.addEventListener("click", () => {
+    viewModel.clearOldHistory();
+  });
+
+  // observe viewModel: generations, selection and regenerating mockups
+  mobx.autorun(() => {
+    historyNode.classList.toggle("d-none", viewModel.generations.length === 0);
+    renderGroups(viewModel, groupsNode);
+  });
+
+  // observe viewModel: selectedMockups, hasOldHistory
+  mobx.autorun(() => {
+    const selectedCount = viewModel.selectedMockups.length;
+    downloadSelectedBtn.disabled = selectedCount === 0;
+    deleteSelectedBtn.disabled = selectedCount === 0;
+    downloadSelectedBtn.innerText =
+      selectedCount === 0
+        ? "Download selected"
+        : `Download selected (${selectedCount})`;
+    clearBtn.disabled = !viewModel.hasOldHistory;
+  });
+}
@@ -0,0 +1,95 @@
+import { getMockupModelName } from "./_filename";
+import { throwIfCancelled } from "./_zipJob";
+
+/*
+`manifest.json` at the root of the downloaded zip, for asset pipelines:
+
+{
+  version: 1,
+  createdAt: ISO time of the download,
+  files: [{ path, source, deviceId, model, color, orientation, width,
+            height, mimeType, size, sha256, generatedAt }],
+  failures: [{ image, source, deviceId, model, color, orientation,
+               error: { code, message } }]
+}
+*/
+export const MANIFEST_FILENAME = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+async function getSha256(blob) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await blob.arrayBuffer(),
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Stored by the generation, otherwise (e.g. composed or older mockups) decoded
+async function getImageSize(blob, mockup) {
+  if (blob === mockup.results?.[1] && mockup.width != null) {
+    return { width: mockup.width, height: mockup.height };
+  }
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+  } catch (e) {
+    console.warn("Cannot read the image size", e);
+    return { width: null, height: null };
+  }
+}
+
+function getMockupFields(mockup) {
+  return {
+    source: mockup.sourceName ?? null,
+    deviceId: mockup.deviceId ?? null,
+    model: getMockupModelName(mockup) || null,
+    color: mockup.colorName ?? null,
+    orientation: mockup.orientation ?? null,
+  };
+}
+
+/*
+Manifest of the zip `entries`, a map of zip path to `{ blob, mockup }` where
+`blob` is null if the mockup failed. `onProgress` is called with the percent
+done and the current path.
+*/
+export async function createManifest(entries, { signal, onProgress } = {}) {
+  const files = [];
+  const failures = [];
+  let doneCount = 0;
+  // One by one, hashing reads the whole image in memory
+  for (const [path, { blob, mockup }] of entries) {
+    throwIfCancelled(signal);
+    onProgress?.((doneCount++ / entries.size) * 100, path);
+    if (blob == null) {
+      failures.push({
+        image: mockup.image,
+        ...getMockupFields(mockup),
+        error: mockup.error ?? null,
+      });
+      continue;
+    }
+    files.push({
+      path,
+      ...getMockupFields(mockup),
+      ...(await getImageSize(blob, mockup)),
+      mimeType: blob.type,
+      size: blob.size,
+      sha256: await getSha256(blob),
+      generatedAt:
+        mockup.generatedAt != null
+          ? new Date(mockup.generatedAt).toISOString()
+          : null,
+    });
+  }
+  return {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    files,
+    failures,
+  };
+}
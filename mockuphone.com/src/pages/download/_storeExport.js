@@ -0,0 +1,266 @@
+import { loadGeneratedMockups } from "../../scripts/mockupStorage";
+import { throwIfCancelled } from "./_zipJob";
+import { STORE_PRESETS } from "./_storePresets";
+
+/*
+Compose generated mockups onto screenshots of the exact sizes required by
+App Store Connect and Google Play Console, with a background and a caption.
+*/
+
+export const DEFAULT_STORE_DESIGN = {
+  backgroundColor: "#f2f2f2",
+  // Vertical gradient from `backgroundColor` if set
+  gradientColor: null,
+  caption: "",
+  captionColor: "#000000",
+};
+
+// Relative to the shorter side of the screenshot
+const PADDING_RATIO = 0.06;
+const CAPTION_FONT_RATIO = 0.065;
+const CAPTION_LINE_HEIGHT = 1.2;
+const CAPTION_FONT_FAMILY =
+  'Inter, apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif';
+const SCREENSHOT_QUALITY = 0.92;
+
+function getStorePreset(presetId) {
+  return STORE_PRESETS.find((preset) => preset.id === presetId) ?? null;
+}
+
+// Same as `getExportDimensions` of the multi device editor, by orientation
+export function getStorePresetDimensions(preset, isLandscape) {
+  return isLandscape
+    ? { width: preset.height, height: preset.width }
+    : { width: preset.width, height: preset.height };
+}
+
+// Presets matching the device class of `device`, checked by default
+export function getDefaultStorePresetIds(device) {
+  const isTablet = /ipad|tab|pad/i.test(device?.name ?? "");
+  switch (device?.device_type) {
+    case "iOS":
+      return isTablet
+        ? ["app-store-ipad-12.9"]
+        : [
+            "app-store-iphone-6.7",
+            "app-store-iphone-6.5",
+            "app-store-iphone-5.5",
+          ];
+    case "Android":
+      return isTablet ? ["google-play-tablet"] : ["google-play-phone"];
+    default:
+      return [];
+  }
+}
+
+// Break `text` into lines no wider than `maxWidth`, words longer than that
+// (e.g. text without spaces) are broken by character
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  text.split("\n").forEach((paragraph) => {
+    let line = "";
+    const tokens = paragraph
+      .split(/(\s+)/)
+      .flatMap((token) =>
+        ctx.measureText(token).width > maxWidth ? Array.from(token) : [token],
+      );
+    tokens.forEach((token) => {
+      const candidate = line + token;
+      if (
+        line.trim().length > 0 &&
+        ctx.measureText(candidate).width > maxWidth
+      ) {
+        lines.push(line.trim());
+        line = token.trimStart();
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line.trim());
+  });
+  return lines;
+}
+
+function fillBackground(ctx, width, height, design) {
+  if (design.gradientColor == null) {
+    ctx.fillStyle = design.backgroundColor;
+  } else {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, design.backgroundColor);
+    gradient.addColorStop(1, design.gradientColor);
+    ctx.fillStyle = gradient;
+  }
+  ctx.fillRect(0, 0, width, height);
+}
+
+// Draw the caption at the top, return the y below it
+function drawCaption(ctx, width, padding, design) {
+  const caption = design.caption.trim();
+  if (caption.length === 0) {
+    return padding;
+  }
+  const fontSize = Math.round(
+    Math.min(width, ctx.canvas.height) * CAPTION_FONT_RATIO,
+  );
+  const lineHeight = fontSize * CAPTION_LINE_HEIGHT;
+  ctx.font = `bold ${fontSize}px ${CAPTION_FONT_FAMILY}`;
+  ctx.fillStyle = design.captionColor;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  const lines = wrapText(ctx, caption, width - padding * 2);
+  lines.forEach((line, index) => {
+    ctx.fillText(line, width / 2, padding + index * lineHeight);
+  });
+  return padding + lines.length * lineHeight + padding;
+}
+
+// Resolve with a jpeg of `mockupBlob` on a screenshot of `preset`
+export async function composeStoreScreenshot(mockupBlob, preset, design) {
+  const bitmap = await createImageBitmap(mockupBlob);
+  const { width, height } = getStorePresetDimensions(
+    preset,
+    bitmap.width > bitmap.height,
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  fillBackground(ctx, width, height, design);
+
+  const padding = Math.round(Math.min(width, height) * PADDING_RATIO);
+  const top = drawCaption(ctx, width, padding, design);
+
+  // Fit the mockup into the rest of the screenshot
+  const areaWidth = width - padding * 2;
+  const areaHeight = Math.max(1, height - top - padding);
+  const scale = Math.min(areaWidth / bitmap.width, areaHeight / bitmap.height);
+  const drawWidth = bitmap.width * scale;
+  const drawHeight = bitmap.height * scale;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(
+    bitmap,
+    (width - drawWidth) / 2,
+    top + (areaHeight - drawHeight) / 2,
+    drawWidth,
+    drawHeight,
+  );
+  bitmap.close();
+
+  // App Store Connect rejects screenshots with alpha channel, jpeg has none
+  return await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/jpeg", SCREENSHOT_QUALITY),
+  );
+}
+
+// Mockups of screen recordings, unless rendered as a still image
+function isAnimatedMockup(mockup) {
+  return (
+    mockup.video != null &&
+    MockupProtocol.getVideoMimeType(mockup.video) != null
+  );
+}
+
+/*
+Compose every mockup of `entries` (zip path to `{ blob, mockup }`, see
+`getZipEntries`) for every preset of `presetIds`, into a folder per store and
+device class. Failed and animated mockups (app previews rather than
+screenshots) are kept as is. `onProgress` is called with the percent done and
+the current path.
+*/
+export async function composeStoreScreenshots(
+  entries,
+  presetIds,
+  design,
+  { signal, onProgress } = {},
+) {
+  const screenshots = new Map();
+  const presets = presetIds.map(getStorePreset).filter((p) => p != null);
+  let doneCount = 0;
+  // One by one, screenshots of the larger presets take a lot of memory
+  for (const [path, { blob, mockup }] of entries) {
+    throwIfCancelled(signal);
+    onProgress?.((doneCount++ / entries.size) * 100, path);
+    if (blob == null || isAnimatedMockup(mockup)) {
+      screenshots.set(path, { blob, mockup });
+      continue;
+    }
+    const basename = path.replace(/\.[^./]+$/, "");
+    for (const preset of presets) {
+      screenshots.set(`${preset.store}/${preset.deviceClass}/${basename}.jpg`, {
+        blob: await composeStoreScreenshot(blob, preset, design),
+        mockup,
+      });
+    }
+  }
+  return screenshots;
+}
+
+function getDesign() {
+  const value = (selector) => document.querySelector(selector)?.value;
+  const isGradient = document.querySelector(
+    ".store-export__gradient-checkbox",
+  )?.checked;
+  return {
+    backgroundColor:
+      value(".store-export__background") ??
+      DEFAULT_STORE_DESIGN.backgroundColor,
+    gradientColor: isGradient
+      ? value(".store-export__gradient") ?? null
+      : DEFAULT_STORE_DESIGN.gradientColor,
+    caption: value(".store-export__caption") ?? DEFAULT_STORE_DESIGN.caption,
+    captionColor:
+      value(".store-export__caption-color") ??
+      DEFAULT_STORE_DESIGN.captionColor,
+  };
+}
+
+/*
+Bind the store screenshots form of the download page, `exportZip` is called
+with the checked preset ids and the design.
+*/
+export async function registerStoreExport(exportZip) {
+  const presetCheckboxes = Array.from(
+    document.querySelectorAll(".store-export__preset-checkbox"),
+  );
+  const exportButton = document.querySelector(".store-export__btn");
+  if (exportButton == null) {
+    return;
+  }
+  const buttonText = exportButton.innerText;
+
+  const updateExportButton = () => {
+    exportButton.disabled = !presetCheckboxes.some((node) => node.checked);
+  };
+  presetCheckboxes.forEach((node) => {
+    node.addEventListener("change", updateExportButton);
+  });
+  exportButton.addEventListener("click", async () => {
+    const presetIds = presetCheckboxes
+      .filter((node) => node.checked)
+      .map((node) => node.dataset.presetId);
+    exportButton.disabled = true;
+    exportButton.innerText = "Preparing...";
+    try {
+      await exportZip(presetIds, getDesign());
+    } finally {
+      exportButton.innerText = buttonText;
+      updateExportButton();
+    }
+  });
+
+  // Check the presets of the generated devices
+  const generatedMockups = (await loadGeneratedMockups()) ?? [];
+  const defaultPresetIds = new Set(
+    generatedMockups.flatMap((mockup) =>
+      getDefaultStorePresetIds(
+        window.deviceInfo.devices.find(
+          (device) => device.device_id === mockup.deviceId,
+        ),
+      ),
+    ),
+  );
+  presetCheckboxes.forEach((node) => {
+    node.checked = defaultPresetIds.has(node.dataset.presetId);
+  });
+  updateExportButton();
+}
@@ -0,0 +1,48 @@
+/*
+Screenshot sizes required by App Store Connect and Google Play Console, in
+portrait. Landscape mockups use the transpose.
+*/
+export const STORE_PRESETS = [
+  {
+    id: "app-store-iphone-6.7",
+    store: "App Store",
+    deviceClass: "iPhone 6.7 inch",
+    width: 1290,
+    height: 2796,
+  },
+  {
+    id: "app-store-iphone-6.5",
+    store: "App Store",
+    deviceClass: "iPhone 6.5 inch",
+    width: 1242,
+    height: 2688,
+  },
+  {
+    id: "app-store-iphone-5.5",
+    store: "App Store",
+    deviceClass: "iPhone 5.5 inch",
+    width: 1242,
+    height: 2208,
+  },
+  {
+    id: "app-store-ipad-12.9",
+    store: "App Store",
+    deviceClass: "iPad 12.9 inch",
+    width: 2048,
+    height: 2732,
+  },
+  {
+    id: "google-play-phone",
+    store: "Google Play",
+    deviceClass: "Phone",
+    width: 1080,
+    height: 1920,
+  },
+  {
+    id: "google-play-tablet",
+    store: "Google Play",
+    deviceClass: "Tablet",
+    width: 1600,
+    height: 2560,
+  },
+];
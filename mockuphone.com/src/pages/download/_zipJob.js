@@ -0,0 +1,155 @@
+/*
+Require: mobx
+
+Zips are built one at a time, file by file, such that the tab stays
+responsive. The running job reports its progress to `zipJob`, shown by the
+zipping modal, and can be cancelled from there.
+*/
+
+export class ZipCancelledError extends Error {
+  constructor() {
+    super("Zip cancelled");
+    this.name = "ZipCancelledError";
+  }
+}
+
+export const ZipStage = {
+  Composing: "composing",
+  Preparing: "preparing",
+  Compressing: "compressing",
+};
+
+const STAGE_LABELS = {
+  [ZipStage.Composing]: "Composing screenshots",
+  [ZipStage.Preparing]: "Preparing files",
+  [ZipStage.Compressing]: "Compressing",
+};
+
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new ZipCancelledError();
+  }
+}
+
+class ZipJobViewModel {
+  isRunning = false;
+  stage = null;
+  // 0 to 100, of the current stage
+  percent = 0;
+  currentFile = null;
+  _abortController = null;
+
+  constructor() {
+    mobx.makeObservable(this, {
+      isRunning: mobx.observable,
+      stage: mobx.observable,
+      percent: mobx.observable,
+      currentFile: mobx.observable,
+      start: mobx.action,
+      update: mobx.action,
+      finish: mobx.action,
+      stageLabel: mobx.computed,
+    });
+  }
+
+  // Return the abort signal of the new job
+  start() {
+    this._abortController = new AbortController();
+    this.isRunning = true;
+    this.stage = null;
+    this.percent = 0;
+    this.currentFile = null;
+    return this._abortController.signal;
+  }
+
+  update(stage, percent, currentFile = null) {
+    this.stage = stage;
+    this.percent = percent;
+    this.currentFile = currentFile;
+  }
+
+  finish() {
+    this._abortController = null;
+    this.isRunning = false;
+  }
+
+  cancel() {
+    this._abortController?.abort();
+  }
+
+  get stageLabel() {
+    return STAGE_LABELS[this.stage] ?? "Preparing";
+  }
+}
+
+export const zipJob = new ZipJobViewModel();
+
+/*
+Run `fn(signal)` as the zip job, unless another one is running. Resolve with
+false if cancelled.
+*/
+export async function runZipJob(fn) {
+  if (zipJob.isRunning) {
+    return false;
+  }
+  const signal = zipJob.start();
+  try {
+    await fn(signal);
+    return true;
+  } catch (error) {
+    if (error instanceof ZipCancelledError) {
+      return false;
+    }
+    throw error;
+  } finally {
+    zipJob.finish();
+  }
+}
+
+/*
+Generate `zip` as a blob through its internal stream, which can be paused
+when `signal` is aborted. `onUpdate` is called with JSZip update metadata.
+*/
+export function generateZipBlob(zip, signal, onUpdate) {
+  throwIfCancelled(signal);
+  const stream = zip.generateInternalStream({
+    type: "blob",
+    mimeType: "application/zip",
+  });
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      stream.pause();
+      reject(new ZipCancelledError());
+    };
+    signal?.addEventListener("abort", handleAbort, { once: true });
+    stream
+      .accumulate(onUpdate)
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener("abort", handleAbort));
+  });
+}
+
+// Bind the zipping modal of the download page to `zipJob`
+export function registerZipProgress() {
+  const modal = document.querySelector(".zipping-modal");
+  if (modal == null) {
+    return;
+  }
+  const stageNode = modal.querySelector(".zipping-modal-dialog__text");
+  const progressBar = modal.querySelector(".zipping-modal-dialog__bar");
+  const fileNode = modal.querySelector(".zipping-modal-dialog__file");
+  const cancelButton = modal.querySelector(".zipping-modal-dialog__cancel-btn");
+  cancelButton.addEventListener("click", () => {
+    zipJob.cancel();
+  });
+
+  // observe zipJob: isRunning, stage, percent, currentFile
+  mobx.autorun(() => {
+    modal.classList.toggle("d-none", !zipJob.isRunning);
+    document.body.classList.toggle("body--modal-open", zipJob.isRunning);
+    const percent = Math.floor(zipJob.percent);
+    stageNode.innerText = `${zipJob.stageLabel}... ${percent}%`;
+    progressBar.style.width = `${percent}%`;
+    fileNode.innerText = zipJob.currentFile ?? "";
+  });
+}
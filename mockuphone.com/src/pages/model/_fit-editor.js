@@ -0,0 +1,282 @@
+/*
+Require: mobx, mockup_protocol.js, mockup_image_format.js
+*/
+
+const MIN_CROP_SIZE_PX = 16;
+
+const DEFAULT_FIT_OPTIONS = {
+  fitMode: MockupProtocol.FitMode.Contain,
+  fillColor: "#000000",
+  focalPoint: { x: 0.5, y: 0.5 },
+  crop: null,
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/*
+Draft of the fit options of one `ImageUpload`, only written back to the
+upload when the user applies the changes.
+*/
+export class FitEditorViewModel {
+  imageUpload = null;
+  fitMode = DEFAULT_FIT_OPTIONS.fitMode;
+  fillColor = DEFAULT_FIT_OPTIONS.fillColor;
+  focalPoint = DEFAULT_FIT_OPTIONS.focalPoint;
+  crop = DEFAULT_FIT_OPTIONS.crop;
+
+  constructor() {
+    mobx.makeObservable(this, {
+      imageUpload: mobx.observable.ref,
+      fitMode: mobx.observable,
+      fillColor: mobx.observable,
+      focalPoint: mobx.observable,
+      crop: mobx.observable,
+      isOpen: mobx.computed,
+      canCrop: mobx.computed,
+      cropRect: mobx.computed,
+      fitOptions: mobx.computed,
+      open: mobx.action,
+      close: mobx.action,
+      reset: mobx.action,
+      setFitMode: mobx.action,
+      setFillColor: mobx.action,
+      setFocalPoint: mobx.action,
+      setCrop: mobx.action,
+    });
+  }
+
+  get isOpen() {
+    return this.imageUpload != null;
+  }
+
+  // PSD and TIFF cannot be displayed by the browser, the crop canvas only
+  // draws still images
+  get canCrop() {
+    return (
+      this.imageUpload != null &&
+      !MockupImageFormat.isPyodideOnlyFormat(this.imageUpload.imageFormat) &&
+      !this.imageUpload.isVideo
+    );
+  }
+
+  // Crop rect in pixels of the image, the whole image if not cropped
+  get cropRect() {
+    if (this.crop != null) {
+      return this.crop;
+    }
+    return {
+      x: 0,
+      y: 0,
+      width: this.imageUpload?.width ?? 0,
+      height: this.imageUpload?.height ?? 0,
+    };
+  }
+
+  get fitOptions() {
+    return {
+      fitMode: this.fitMode,
+      fillColor: this.fillColor,
+      focalPoint: { ...this.focalPoint },
+      crop: this.crop == null ? null : { ...this.crop },
+    };
+  }
+
+  open(imageUpload) {
+    const { fitMode, fillColor, focalPoint, crop } = imageUpload.fitOptions;
+    this.imageUpload = imageUpload;
+    this.fitMode = fitMode;
+    this.fillColor = fillColor;
+    this.focalPoint = focalPoint;
+    this.crop = crop;
+  }
+
+  close() {
+    this.imageUpload = null;
+  }
+
+  reset() {
+    this.fitMode = DEFAULT_FIT_OPTIONS.fitMode;
+    this.fillColor = DEFAULT_FIT_OPTIONS.fillColor;
+    this.focalPoint = DEFAULT_FIT_OPTIONS.focalPoint;
+    this.crop = DEFAULT_FIT_OPTIONS.crop;
+  }
+
+  setFitMode(fitMode) {
+    this.fitMode = fitMode;
+  }
+
+  setFillColor(fillColor) {
+    this.fillColor = fillColor;
+  }
+
+  setFocalPoint(focalPoint) {
+    this.focalPoint = {
+      x: clamp(focalPoint.x, 0, 1),
+      y: clamp(focalPoint.y, 0, 1),
+    };
+  }
+
+  // Clamp `crop` into the image, null if it covers the whole image
+  setCrop(crop) {
+    const { width: imageWidth, height: imageHeight } = this.imageUpload;
+    const width = clamp(
+      Math.round(crop.width),
+      Math.min(MIN_CROP_SIZE_PX, imageWidth),
+      imageWidth,
+    );
+    const height = clamp(
+      Math.round(crop.height),
+      Math.min(MIN_CROP_SIZE_PX, imageHeight),
+      imageHeight,
+    );
+    const x = clamp(Math.round(crop.x), 0, imageWidth - width);
+    const y = clamp(Math.round(crop.y), 0, imageHeight - height);
+    this.crop =
+      x === 0 && y === 0 && width === imageWidth && height === imageHeight
+        ? null
+        : { x, y, width, height };
+  }
+}
+
+/*
+Bind the fit editor dialog in [model].astro to `viewModel`.
+`onApply(imageUpload, fitOptions)` is called when the user applies changes.
+*/
+export function registerFitEditor(viewModel, onApply) {
+  const modal = document.querySelector(".fit-editor-modal");
+  const overlay = modal.querySelector(".fit-editor-modal__overlay");
+  const canvas = modal.querySelector(".fit-editor-dialog__canvas");
+  const image = modal.querySelector(".fit-editor-dialog__image");
+  const cropRectNode = modal.querySelector(".fit-editor-dialog__crop-rect");
+  const cropHandle = modal.querySelector(".fit-editor-dialog__crop-handle");
+  const focalPointNode = modal.querySelector(".fit-editor-dialog__focal-point");
+  const noCropHint = modal.querySelector(".fit-editor-dialog__no-crop-hint");
+  const cropHint = modal.querySelector(".fit-editor-dialog__crop-hint");
+  const fitModeSelect = modal.querySelector(".fit-editor-dialog__fit-mode");
+  const fillField = modal.querySelector(".fit-editor-dialog__fill-field");
+  const fillColorInput = modal.querySelector(".fit-editor-dialog__fill-color");
+  const focalField = modal.querySelector(".fit-editor-dialog__focal-field");
+  const focalXInput = modal.querySelector(".fit-editor-dialog__focal-x");
+  const focalYInput = modal.querySelector(".fit-editor-dialog__focal-y");
+  const resetBtn = modal.querySelector(".fit-editor-dialog__reset-btn");
+  const cancelBtn = modal.querySelector(".fit-editor-dialog__cancel-btn");
+  const applyBtn = modal.querySelector(".fit-editor-dialog__apply-btn");
+
+  let imageUrl = null;
+  let drag = null;
+
+  function onPointerDown(e, mode) {
+    e.preventDefault();
+    e.stopPropagation();
+    drag = {
+      mode,
+      startX: e.clientX,
+      startY: e.clientY,
+      startCrop: { ...viewModel.cropRect },
+      // Image pixels per css pixel
+      scale: viewModel.imageUpload.width / image.clientWidth,
+    };
+  }
+
+  function onPointerMove(e) {
+    if (drag == null) {
+      return;
+    }
+    const dx = (e.clientX - drag.startX) * drag.scale;
+    const dy = (e.clientY - drag.startY) * drag.scale;
+    const { x, y, width, height } = drag.startCrop;
+    if (drag.mode === "move") {
+      viewModel.setCrop({ x: x + dx, y: y + dy, width, height });
+    } else {
+      viewModel.setCrop({ x, y, width: width + dx, height: height + dy });
+    }
+  }
+
+  cropRectNode.addEventListener("pointerdown", (e) => onPointerDown(e, "move"));
+  cropHandle.addEventListener("pointerdown", (e) => onPointerDown(e, "resize"));
+  window.addEventListener("pointermove", onPointerMove);
+  window.addEventListener("pointerup", () => {
+    drag = null;
+  });
+
+  fitModeSelect.addEventListener("change", () => {
+    viewModel.setFitMode(fitModeSelect.value);
+  });
+  fillColorInput.addEventListener("input", () => {
+    viewModel.setFillColor(fillColorInput.value);
+  });
+  [focalXInput, focalYInput].forEach((input) => {
+    input.addEventListener("input", () => {
+      viewModel.setFocalPoint({
+        x: Number(focalXInput.value) / 100,
+        y: Number(focalYInput.value) / 100,
+      });
+    });
+  });
+  resetBtn.addEventListener("click", () => viewModel.reset());
+  cancelBtn.addEventListener("click", () => viewModel.close());
+  overlay.addEventListener("click", () => viewModel.close());
+  applyBtn.addEventListener("click", () => {
+    onApply(viewModel.imageUpload, viewModel.fitOptions);
+    viewModel.close();
+  });
+
+  // observe viewModel: imageUpload
+  mobx.reaction(
+    () => viewModel.imageUpload,
+    (imageUpload) => {
+      if (imageUrl != null) {
+        URL.revokeObjectURL(imageUrl);
+        imageUrl = null;
+      }
+      if (imageUpload == null) {
+        modal.classList.add("d-none");
+        return;
+      }
+      if (viewModel.canCrop) {
+        imageUrl = URL.createObjectURL(imageUpload.file);
+        image.src = imageUrl;
+      }
+      canvas.classList.toggle("d-none", !viewModel.canCrop);
+      cropHint.classList.toggle("d-none", !viewModel.canCrop);
+      noCropHint.classList.toggle("d-none", viewModel.canCrop);
+      modal.classList.remove("d-none");
+    },
+  );
+
+  // observe viewModel: fit options
+  mobx.autorun(() => {
+    if (!viewModel.isOpen) {
+      return;
+    }
+    const { fitMode, fillColor, focalPoint } = viewModel;
+    fitModeSelect.value = fitMode;
+    fillColorInput.value = fillColor;
+    focalXInput.value = String(Math.round(focalPoint.x * 100));
+    focalYInput.value = String(Math.round(focalPoint.y * 100));
+    fillField.classList.toggle(
+      "d-none",
+      fitMode !== MockupProtocol.FitMode.Contain,
+    );
+    focalField.classList.toggle(
+      "d-none",
+      fitMode !== MockupProtocol.FitMode.Cover,
+    );
+    focalPointNode.classList.toggle(
+      "d-none",
+      fitMode !== MockupProtocol.FitMode.Cover,
+    );
+
+    // Position in percentage such that it follows the image size
+    const { width: imageWidth, height: imageHeight } = viewModel.imageUpload;
+    const rect = viewModel.cropRect;
+    cropRectNode.style.left = `${(rect.x / imageWidth) * 100}%`;
+    cropRectNode.style.top = `${(rect.y / imageHeight) * 100}%`;
+    cropRectNode.style.width = `${(rect.width / imageWidth) * 100}%`;
+    cropRectNode.style.height = `${(rect.height / imageHeight) * 100}%`;
+    focalPointNode.style.left = `${focalPoint.x * 100}%`;
+    focalPointNode.style.top = `${focalPoint.y * 100}%`;
+  });
+}
@@ -0,0 +1,67 @@
+/*
+Require: mobx, mockup_renderer.js
+*/
+import {
+  isServiceWorkerEnabled,
+  precacheUrls,
+} from "../../scripts/serviceWorker";
+
+export const OfflineState = {
+  Unavailable: "unavailable",
+  Preparing: "preparing",
+  Ready: "ready",
+  Partial: "partial",
+};
+
+const OFFLINE_STATE_TEXTS = {
+  [OfflineState.Unavailable]: "",
+  [OfflineState.Preparing]: "Preparing this device for offline use...",
+  [OfflineState.Ready]: "This device is available offline.",
+  [OfflineState.Partial]:
+    "Some images of this device are not available offline.",
+};
+
+// Whether the templates of the visited devices are cached for offline use
+export class OfflineStatusViewModel {
+  offlineState = OfflineState.Unavailable;
+
+  constructor() {
+    mobx.makeObservable(this, {
+      offlineState: mobx.observable,
+      setOfflineState: mobx.action,
+    });
+  }
+
+  setOfflineState(offlineState) {
+    this.offlineState = offlineState;
+  }
+
+  async prepareDevices(devices) {
+    if (!isServiceWorkerEnabled()) {
+      this.setOfflineState(OfflineState.Unavailable);
+      return;
+    }
+    this.setOfflineState(OfflineState.Preparing);
+    const urls = devices.flatMap((device) =>
+      MockupRenderer.getDeviceTemplatePaths(device),
+    );
+    const failedUrls = await precacheUrls(urls);
+    this.setOfflineState(
+      failedUrls.length === 0 ? OfflineState.Ready : OfflineState.Partial,
+    );
+  }
+}
+
+// Bind the offline status below the upload guide in [model].astro
+export function registerOfflineStatus(viewModel) {
+  const stateNode = document.querySelector(".offline-status__state");
+
+  // observe viewModel: offlineState
+  mobx.autorun(() => {
+    stateNode.innerText = OFFLINE_STATE_TEXTS[viewModel.offlineState];
+    stateNode.classList.toggle(
+      "d-none",
+      viewModel.offlineState === OfflineState.Unavailable,
+    );
+  });
+}
@@ -0,0 +1,194 @@
+/*
+Require: mobx
+*/
+import { PsdSourceType } from "./utils/_psd";
+
+const SOURCE_TYPE_TITLES = {
+  [PsdSourceType.Artboard]: "Artboards",
+  [PsdSourceType.LayerComp]: "Layer comps",
+  [PsdSourceType.Group]: "Layer groups",
+};
+
+/*
+Pick the artboards, layer comps and top-level groups of a PSD to import, each
+becomes its own upload. The flattened PSD can be imported as well.
+*/
+export class PsdPickerViewModel {
+  psdDocument = null;
+  selectedSourceIds = [];
+  isFlattenedSelected = false;
+  isImporting = false;
+  _resolve = null;
+
+  constructor() {
+    mobx.makeObservable(this, {
+      psdDocument: mobx.observable.ref,
+      selectedSourceIds: mobx.observable,
+      isFlattenedSelected: mobx.observable,
+      isImporting: mobx.observable,
+      isOpen: mobx.computed,
+      hasSelection: mobx.computed,
+      open: mobx.action,
+      close: mobx.action,
+      setSourceSelected: mobx.action,
+      setFlattenedSelected: mobx.action,
+      confirm: mobx.action,
+    });
+  }
+
+  get isOpen() {
+    return this.psdDocument != null;
+  }
+
+  get hasSelection() {
+    return this.selectedSourceIds.length > 0 || this.isFlattenedSelected;
+  }
+
+  /*
+  Resolve with `{ sources, isFlattenedSelected }` once confirmed, or null if
+  cancelled. The dialog stays open until `close()` such that it can show the
+  import progress.
+  */
+  open(psdDocument) {
+    this._resolve?.(null);
+    this.psdDocument = psdDocument;
+    // Artboards are usually the screens, otherwise the layer comps
+    const defaultType = [
+      PsdSourceType.Artboard,
+      PsdSourceType.LayerComp,
+      PsdSourceType.Group,
+    ].find((type) => psdDocument.sources.some((s) => s.type === type));
+    this.selectedSourceIds = psdDocument.sources
+      .filter((source) => source.type === defaultType)
+      .map((source) => source.id);
+    this.isFlattenedSelected = false;
+    this.isImporting = false;
+    return new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+  }
+
+  close() {
+    this._resolve?.(null);
+    this._resolve = null;
+    this.psdDocument = null;
+    this.isImporting = false;
+  }
+
+  setSourceSelected(sourceId, isSelected) {
+    const ids = this.selectedSourceIds.filter((id) => id !== sourceId);
+    this.selectedSourceIds = isSelected ? [...ids, sourceId] : ids;
+  }
+
+  setFlattenedSelected(isSelected) {
+    this.isFlattenedSelected = isSelected;
+  }
+
+  confirm() {
+    if (!this.hasSelection || this._resolve == null) {
+      return;
+    }
+    this.isImporting = true;
+    this._resolve({
+      // In the order of the document
+      sources: this.psdDocument.sources.filter((source) =>
+        this.selectedSourceIds.includes(source.id),
+      ),
+      isFlattenedSelected: this.isFlattenedSelected,
+    });
+    this._resolve = null;
+  }
+}
+
+function createCheckboxItem(labelText, detailText, isChecked, onChange) {
+  const label = document.createElement("label");
+  label.className = "psd-picker-dialog__item";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = isChecked;
+  checkbox.addEventListener("change", () => onChange(checkbox.checked));
+  const name = document.createElement("span");
+  name.className = "psd-picker-dialog__item-name";
+  name.innerText = labelText;
+  const detail = document.createElement("span");
+  detail.className = "psd-picker-dialog__item-detail";
+  detail.innerText = detailText;
+  label.append(checkbox, name, detail);
+  return label;
+}
+
+// Bind the PSD picker dialog in [model].astro to `viewModel`
+export function registerPsdPicker(viewModel) {
+  const modal = document.querySelector(".psd-picker-modal");
+  const overlay = modal.querySelector(".psd-picker-modal__overlay");
+  const filenameNode = modal.querySelector(".psd-picker-dialog__filename");
+  const listNode = modal.querySelector(".psd-picker-dialog__list");
+  const cancelBtn = modal.querySelector(".psd-picker-dialog__cancel-btn");
+  const importBtn = modal.querySelector(".psd-picker-dialog__import-btn");
+  const importBtnText = importBtn.innerText;
+
+  cancelBtn.addEventListener("click", () => viewModel.close());
+  overlay.addEventListener("click", () => {
+    if (!viewModel.isImporting) {
+      viewModel.close();
+    }
+  });
+  importBtn.addEventListener("click", () => viewModel.confirm());
+
+  // observe viewModel: psdDocument
+  mobx.reaction(
+    () => viewModel.psdDocument,
+    (psdDocument) => {
+      modal.classList.toggle("d-none", psdDocument == null);
+      document.body.classList.toggle("body--modal-open", psdDocument != null);
+      listNode.replaceChildren();
+      if (psdDocument == null) {
+        return;
+      }
+      filenameNode.innerText = psdDocument.name;
+      Object.entries(SOURCE_TYPE_TITLES).forEach(([type, title]) => {
+        const sources = psdDocument.sources.filter((s) => s.type === type);
+        if (sources.length === 0) {
+          return;
+        }
+        const titleNode = document.createElement("h4");
+        titleNode.className = "psd-picker-dialog__group-title";
+        titleNode.innerText = title;
+        listNode.append(titleNode);
+        sources.forEach((source) => {
+          listNode.append(
+            createCheckboxItem(
+              source.name,
+              `${source.width} × ${source.height}`,
+              viewModel.selectedSourceIds.includes(source.id),
+              (isChecked) => viewModel.setSourceSelected(source.id, isChecked),
+            ),
+          );
+        });
+      });
+      const titleNode = document.createElement("h4");
+      titleNode.className = "psd-picker-dialog__group-title";
+      titleNode.innerText = "Whole document";
+      listNode.append(
+        titleNode,
+        createCheckboxItem(
+          "Flattened image",
+          `${psdDocument.width} × ${psdDocument.height}`,
+          viewModel.isFlattenedSelected,
+          (isChecked) => viewModel.setFlattenedSelected(isChecked),
+        ),
+      );
+    },
+  );
+
+  // observe viewModel: hasSelection, isImporting
+  mobx.autorun(() => {
+    importBtn.disabled = !viewModel.hasSelection || viewModel.isImporting;
+    importBtn.innerText = viewModel.isImporting
+      ? "Importing..."
+      : importBtnText;
+    listNode
+      .querySelectorAll("input")
+      .forEach((input) => (input.disabled = viewModel.isImporting));
+  });
+}
@@ -1,154 +1,229 @@
 import { ulid } from "ulid";
-import localforage from "localforage";
 import { ImageUpload, ImageUploadState } from "./models/_image-upload";
-import { isSameAspectRatio } from "./utils/_images";
+import { FitEditorViewModel, registerFitEditor } from "./_fit-editor";
+import { PsdPickerViewModel, registerPsdPicker } from "./_psd-picker";
+import {
+  OfflineStatusViewModel,
+  registerOfflineStatus,
+} from "./_offline-status";
+import { readPsdDocument, renderPsdSource } from "./utils/_psd";
+import {
+  JobCancelledError,
+  JobPriority,
+  MockupScheduler,
+} from "./models/_mockup-scheduler";
+import {
+  clearUploadSession,
+  loadUploadSession,
+  saveUploadSession,
+} from "./models/_upload-session";
+import { getMatchingOrientations, isSameAspectRatio } from "./utils/_images";
+import { getMaxWorkers } from "./utils/_workers";
+import { getFailureReason, getFailureReasonLabel } from "./utils/_failures";
 import { scrollToElementTop } from "./utils/_scroll";
+import { saveGeneratedMockups } from "../../scripts/mockupStorage";
 import { showToast } from "../../scripts/utils/toast/toast";
 
 let dragZoneCounter = 0; // https://stackoverflow.com/a/21002544/19287186
 const MAX_FILE_SIZE_BYTE = 104857600;
 const MAX_FILE_SIZE_READABLE = "100 MB";
-const MAX_MOCKUP_WAIT_SEC = 1000000000;
+// A job is stuck after this long without any message from its worker, e.g.
+// the first job of a worker which has to load pyodide
+const MAX_MOCKUP_WAIT_SEC = 180;
 
-const MAX_FIREFOX_WEB_WORKERS = 2;
-const DEFAULT_MAX_WEB_WORKERS = 4; // most CPUs at least have 4 cores nowadays
-function isUserAgentFirefox() {
-  return navigator.userAgent.match(/firefox|fxios/i);
+function findDevice(deviceId) {
+  return window.deviceInfo.devices.find(
+    (device) => device.device_id === deviceId,
+  );
 }
 
-function getMaxWorkers() {
-  if (isUserAgentFirefox()) {
-    return MAX_FIREFOX_WEB_WORKERS;
-  }
-  if (navigator.hardwareConcurrency == null) {
-    // browser does not support navigator.hardwareConcurrency, fallback to default
-    return DEFAULT_MAX_WEB_WORKERS;
-  }
-  return navigator.hardwareConcurrency;
+function getWorkerDevice() {
+  return findDevice(window.workerDeviceId);
+}
+
+// Devices of every color of the current model, from the color picker
+function getColorDevices() {
+  return Array.from(document.querySelectorAll(".color-picker-item"))
+    .map((node) => findDevice(node.dataset.deviceId))
+    .filter((device) => device != null);
+}
+
+function getMockupKey(device, orientation) {
+  return `${device.device_id}/${orientation}`;
 }
 
-function runWorker(worker, imageUpload, orientation) {
-  const imageUploadFile = imageUpload.file;
-  worker.worker.postMessage({
-    imageUpload: imageUploadFile,
-    location: window.location.toString(),
-    deviceId: window.workerDeviceId,
-    deviceInfo: window.deviceInfo,
-    ulid: imageUpload.ulid,
+// Resolve with the final worker response, or null if the job is cancelled
+async function scheduleJob(
+  scheduler,
+  imageUpload,
+  orientation,
+  priority,
+  device = getWorkerDevice(),
+  output = undefined,
+  video = undefined,
+) {
+  const request = MockupProtocol.createRenderRequest({
+    jobId: ulid(),
+    image: imageUpload.file,
+    device: device,
     orientation: orientation,
+    options: imageUpload.fitOptions,
+    output: output,
+    video: video,
   });
-  worker.worker.addEventListener(
-    "message",
-    function (e) {
-      if (e.data["error"] !== undefined) {
-        const { error, ulid } = e.data;
-        console.log("Get error while generating mockup", error);
-
-        window.viewModel.fileList.addGeneratedMockupToImageUploadByULID(ulid, {
-          [orientation]: {
-            image: `${imageUpload.file.name}-${orientation}`,
-            results: null,
-            status: "failed",
-          },
-        });
-
-        return;
-      }
+  try {
+    return await scheduler.schedule(request, {
+      priority: priority,
+      tags: {
+        ulid: imageUpload.ulid,
+        isPreview: priority === JobPriority.Preview,
+      },
+    });
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      return null;
+    }
+    return MockupProtocol.createError(request.jobId, error);
+  }
+}
 
-      const { ulid, results } = e.data;
+async function runWorker(
+  scheduler,
+  imageUpload,
+  orientation,
+  device,
+  output,
+  video,
+) {
+  const data = await scheduleJob(
+    scheduler,
+    imageUpload,
+    orientation,
+    JobPriority.Mockup,
+    device,
+    output,
+    video,
+  );
+  if (data == null) {
+    return;
+  }
+  // Used by the download page to group mockups by color, name the files and
+  // generate them again from the history
+  const mockupFields = {
+    deviceId: device.device_id,
+    colorName: device.color?.name ?? null,
+    sourceId: imageUpload.ulid,
+    sourceName: imageUpload.file.name,
+    orientation: orientation,
+    options: imageUpload.fitOptions,
+    output: output,
+    video: imageUpload.isVideo ? video : null,
+  };
+  if (data.type === MockupProtocol.MessageType.Error) {
+    console.log("Get error while generating mockup", data.error);
 
-      window.viewModel.fileList.addGeneratedMockupToImageUploadByULID(ulid, {
-        [orientation]: {
+    window.viewModel.fileList.addGeneratedMockupToImageUploadByULID(
+      imageUpload.ulid,
+      {
+        [getMockupKey(device, orientation)]: {
           image: `${imageUpload.file.name}-${orientation}`,
-          results: results,
-          status: "success",
+          results: null,
+          status: "failed",
+          error: data.error,
+          ...mockupFields,
         },
-      });
+      },
+    );
+
+    return;
+  }
 
-      window.viewModel.idleWorker(worker);
+  const blob = MockupProtocol.createResultBlob(data.result);
+
+  window.viewModel.fileList.addGeneratedMockupToImageUploadByULID(
+    imageUpload.ulid,
+    {
+      [getMockupKey(device, orientation)]: {
+        image: `${imageUpload.file.name}-${orientation}`,
+        results: [data.result.name, blob],
+        status: "success",
+        width: data.result.width,
+        height: data.result.height,
+        generatedAt: Date.now(),
+        ...mockupFields,
+      },
     },
-    { once: true },
   );
 }
 
-function runPreviewWorker(worker, imageUpload, orientation) {
-  const imageUploadFile = imageUpload.file;
-  worker.worker.postMessage({
-    imageUpload: imageUploadFile,
-    location: window.location.toString(),
-    deviceId: window.workerDeviceId,
-    deviceInfo: window.deviceInfo,
-    ulid: imageUpload.ulid,
-    orientation: orientation,
-  });
-  worker.worker.addEventListener(
-    "message",
-    function (e) {
-      if (e.data["error"] !== undefined) {
-        console.log(
-          "Get error while generating preview image",
-          e.data["error"],
-        );
-        window.viewModel.fileList.updateImageUploadStateByULID(
-          e.data["ulid"],
-          ImageUploadState.ErrPreview,
-        );
-        return;
-      }
-
-      const ulid = e.data["ulid"];
-      const [_, previewUrl] = e.data["results"];
-
-      const imageContainer = document.querySelector(
-        ".upload__device-image-rect",
+async function runPreviewWorker(
+  scheduler,
+  imageUpload,
+  orientation,
+  isFirstPreview,
+) {
+  const fitRevision = imageUpload.fitRevision;
+  // Previews of screen recordings are their first frame
+  const data = await scheduleJob(
+    scheduler,
+    imageUpload,
+    orientation,
+    JobPriority.Preview,
+    getWorkerDevice(),
+    undefined,
+    { format: MockupProtocol.VideoFormat.Still },
+  );
+  if (data == null) {
+    return;
+  }
+  const ulid = imageUpload.ulid;
+  if (imageUpload.fitRevision !== fitRevision) {
+    // Fit options changed while generating, a new preview is on the way
+    return;
+  }
+  if (data.type === MockupProtocol.MessageType.Error) {
+    console.log("Get error while generating preview image", data.error);
+    // Other orientations can still be generated if the first preview works
+    if (isFirstPreview) {
+      window.viewModel.fileList.updateImageUploadStateByULID(
+        ulid,
+        ImageUploadState.ErrPreview,
       );
+    }
+    return;
+  }
 
-      // If no existing preview, set first success preview
-      if (window.viewModel.selectedPreviewImageULID == null) {
-        window.viewModel.selectedPreviewImageULID = ulid;
-      }
-
-      /* Put first generated mockup to preview area */
-      if (
-        window.viewModel.selectedPreviewImageULID === ulid &&
-        orientation === window.viewModel.selectedOrientation
-      ) {
-        imageContainer.style.backgroundImage = `url(${previewUrl})`;
-
-        const imageUploadHints = document.querySelectorAll(
-          ".upload__device-hint",
-        );
-        imageUploadHints.forEach((imageUploadHint) => {
-          imageUploadHint.style.display = "none";
-        });
-
-        // scroll to preview section on mobile devices
-        if (window.innerWidth <= 992) {
-          const previewSection = document.querySelector(".device");
-          const HEADER_HEIGHT = 80;
-          scrollToElementTop(previewSection, HEADER_HEIGHT);
-        }
-      }
+  window.viewModel.fileList.updateImageUploadPreviewUrlByULID(
+    ulid,
+    orientation,
+    URL.createObjectURL(MockupProtocol.createResultBlob(data.result)),
+  );
+  if (!isFirstPreview) {
+    return;
+  }
 
-      window.viewModel.fileList.updateImageUploadPreviewUrlByULID(
-        ulid,
-        previewUrl,
-      );
+  // If no existing preview, set first success preview
+  if (window.viewModel.selectedPreviewImageULID == null) {
+    window.viewModel.selectedPreviewImageULID = ulid;
 
-      window.viewModel.fileList.updateImageUploadStateByULID(
-        ulid,
-        ImageUploadState.ReadSuccess,
-      );
+    // scroll to preview section on mobile devices
+    if (window.innerWidth <= 992) {
+      const previewSection = document.querySelector(".device");
+      const HEADER_HEIGHT = 80;
+      scrollToElementTop(previewSection, HEADER_HEIGHT);
+    }
+  }
 
-      window.viewModel.idleWorker(worker);
-    },
-    { once: true },
+  window.viewModel.fileList.updateImageUploadStateByULID(
+    ulid,
+    ImageUploadState.ReadSuccess,
   );
 }
 
 class FileListViewModel {
   maxFileSizeByte = null;
   _imageUploads = [];
+  psdPicker = new PsdPickerViewModel();
 
   constructor(maxFileSizeByte) {
     mobx.makeObservable(this, {
@@ -157,7 +232,10 @@ class FileListViewModel {
       isProcessing: mobx.computed,
       isReadyForMockup: mobx.computed,
       add: mobx.action,
+      restore: mobx.action,
+      removeGeneratedMockupsByULID: mobx.action,
       remove: mobx.action,
+      clear: mobx.action,
     });
     this.maxFileSizeByte = maxFileSizeByte;
   }
@@ -187,26 +265,110 @@ class FileListViewModel {
       files = [file];
     }
 
+    const uploadFiles = [];
     for (let i = 0; i < files.length; i += 1) {
-      const imageUpload = new ImageUpload(files[i], MAX_FILE_SIZE_BYTE);
+      uploadFiles.push(...(await this._pickPsdFiles(files[i])));
+    }
+
+    for (let i = 0; i < uploadFiles.length; i += 1) {
+      const imageUpload = new ImageUpload(
+        uploadFiles[i],
+        MAX_FILE_SIZE_BYTE,
+        getWorkerDevice().display_resolution,
+      );
       await imageUpload.read();
       imageUpload.ulid = ulid();
       this._imageUploads.push(imageUpload);
     }
   }
 
+  /*
+  Let the user pick the artboards, layer comps or groups of a PSD with layers,
+  each is rendered to its own png. Other files are uploaded as is.
+  */
+  async _pickPsdFiles(file) {
+    if (
+      (await MockupImageFormat.detectImageFormat(file)) !==
+      MockupImageFormat.ImageFormat.Psd
+    ) {
+      return [file];
+    }
+    let psdDocument = null;
+    try {
+      psdDocument = await readPsdDocument(file);
+    } catch (e) {
+      console.warn("Cannot read PSD layers", e);
+    }
+    if (psdDocument == null || psdDocument.sources.length === 0) {
+      return [file];
+    }
+
+    const selection = await this.psdPicker.open(psdDocument);
+    if (selection == null) {
+      return [];
+    }
+    const files = selection.isFlattenedSelected ? [file] : [];
+    for (const source of selection.sources) {
+      // Cancelled while importing
+      if (!this.psdPicker.isOpen) {
+        return [];
+      }
+      try {
+        files.push(await renderPsdSource(psdDocument, source));
+      } catch (e) {
+        console.warn("Cannot render PSD layers", e);
+        showToast({
+          title: "Cannot import PSD layers",
+          description: `${source.name} of ${file.name} cannot be rendered.`,
+          avatar: "/images/upload-error.svg",
+        });
+      }
+    }
+    this.psdPicker.close();
+    return files;
+  }
+
+  // Read the uploads of a stored session again, see `sessionSnapshot`
+  async restore(storedUploads) {
+    for (const storedUpload of storedUploads) {
+      const imageUpload = new ImageUpload(
+        storedUpload.file,
+        MAX_FILE_SIZE_BYTE,
+        getWorkerDevice().display_resolution,
+      );
+      imageUpload.updateFitOptions(storedUpload.fitOptions);
+      imageUpload.generatedMockups = storedUpload.generatedMockups;
+      imageUpload.mockupOrientations = storedUpload.mockupOrientations;
+      imageUpload.mockupDeviceIds = storedUpload.mockupDeviceIds;
+      await imageUpload.read();
+      imageUpload.ulid = storedUpload.ulid;
+      this._imageUploads.push(imageUpload);
+    }
+  }
+
   async remove(filename, fileUlid) {
     this._imageUploads = this._imageUploads.filter((upload) => {
       const isSameFilename = upload.file.name === filename;
       const isSameULID = fileUlid === upload.ulid;
+      if (isSameFilename && isSameULID) {
+        upload.dispose();
+      }
       return !(isSameFilename && isSameULID);
     });
 
+    // Stop generating mockups for the removed file only
+    viewModel.scheduler.cancel((tags) => tags.ulid === fileUlid);
+
     if (viewModel.selectedPreviewImageULID === fileUlid) {
       viewModel.selectedPreviewImageULID = viewModel.defaultImageUploadULID;
     }
   }
 
+  clear() {
+    this._imageUploads.forEach((imageUpload) => imageUpload.dispose());
+    this._imageUploads = [];
+  }
+
   updateImageUploadStateByULID(ulid, state) {
     this._imageUploads = this._imageUploads.map((imageUpload) => {
       if (imageUpload.ulid == ulid) {
@@ -216,10 +378,44 @@ class FileListViewModel {
     });
   }
 
-  updateImageUploadPreviewUrlByULID(ulid, previewUrl) {
+  updateImageUploadPreviewUrlByULID(ulid, orientation, previewUrl) {
+    this._imageUploads = this._imageUploads.map((imageUpload) => {
+      if (imageUpload.ulid == ulid) {
+        imageUpload.updatePreviewUrl(orientation, previewUrl);
+      }
+      return imageUpload;
+    });
+  }
+
+  resetGeneratedMockupsByULID(ulid, mockupOrientations, mockupDeviceIds) {
+    this._imageUploads = this._imageUploads.map((imageUpload) => {
+      if (imageUpload.ulid == ulid) {
+        imageUpload.generatedMockups = {};
+        imageUpload.mockupOrientations = mockupOrientations;
+        imageUpload.mockupDeviceIds = mockupDeviceIds;
+      }
+      return imageUpload;
+    });
+  }
+
+  updateImageUploadFitOptionsByULID(ulid, fitOptions) {
+    this._imageUploads = this._imageUploads.map((imageUpload) => {
+      if (imageUpload.ulid == ulid) {
+        imageUpload.updateFitOptions(fitOptions);
+      }
+      return imageUpload;
+    });
+  }
+
+  // Drop the mockups of `keys`, e.g. to generate them again
+  removeGeneratedMockupsByULID(ulid, keys) {
     this._imageUploads = this._imageUploads.map((imageUpload) => {
       if (imageUpload.ulid == ulid) {
-        imageUpload.previewUrl = previewUrl;
+        imageUpload.generatedMockups = Object.fromEntries(
+          Object.entries(imageUpload.generatedMockups).filter(
+            ([key]) => !keys.includes(key),
+          ),
+        );
       }
       return imageUpload;
     });
@@ -243,13 +439,21 @@ class RootViewModel {
   fileList;
   isFileDragEnter = false;
   _isGeneratingMockup = false;
-  workerPool = [];
-  maxWorkers = 0;
+  scheduler = null;
+  fitEditor = new FitEditorViewModel();
   selectedColorId = null;
   selectedPreviewImageULID = null;
   orientations = null;
   isAllMockupGenerationFinished = false;
   selectedOrientation = null;
+  enabledOrientations = [];
+  isAutoAssignOrientation = false;
+  isAllColorsMode = false;
+  // Format and size of the generated mockups, previews are always png
+  outputOptions = { ...MockupProtocol.DEFAULT_OUTPUT };
+  // Animation of the mockups of screen recordings
+  videoOptions = { ...MockupProtocol.DEFAULT_VIDEO };
+  _pendingPreviews = new Set();
 
   constructor(maxMockupWaitSec, fileListViewModel, selectedColorId) {
     mobx.makeObservable(this, {
@@ -258,129 +462,410 @@ class RootViewModel {
       _isGeneratingMockup: mobx.observable,
       isGeneratingMockup: mobx.computed,
       generateMockup: mobx.action,
+      resumeMockup: mobx.action,
+      retryFailedMockups: mobx.action,
       cancelMockup: mobx.action,
+      isMockupGenerationComplete: mobx.computed,
+      failedMockupCount: mobx.computed,
+      succeededMockupCount: mobx.computed,
+      restoreSession: mobx.action,
+      clearSession: mobx.action,
       selectedPreviewImageULID: mobx.observable,
+      selectedPreviewImageUpload: mobx.computed,
+      selectedOrientation: mobx.observable,
+      selectOrientation: mobx.action,
+      enabledOrientations: mobx.observable,
+      isAutoAssignOrientation: mobx.observable,
+      isReadyForMockup: mobx.computed,
+      setOrientationEnabled: mobx.action,
+      setAutoAssignOrientation: mobx.action,
+      isAllColorsMode: mobx.observable,
+      setAllColorsMode: mobx.action,
+      outputOptions: mobx.observable.ref,
+      updateOutputOptions: mobx.action,
+      videoOptions: mobx.observable.ref,
+      updateVideoOptions: mobx.action,
+      hasVideoUpload: mobx.computed,
       isAllMockupGenerationFinished: mobx.observable,
     });
     this.selectedColorId = selectedColorId;
     this.maxMockupWaitSec = maxMockupWaitSec;
     this.fileList = fileListViewModel;
-    this.maxWorkers = getMaxWorkers();
+    this.scheduler = new MockupScheduler(
+      "/scripts/mockup_worker.js",
+      getMaxWorkers(),
+      maxMockupWaitSec * 1000,
+    );
     this.orientations = Array.from(
       document.querySelectorAll(".device-support__orientation-image"),
     ).map((orientationNode) => {
       return orientationNode.dataset.orientation;
     });
-
-    // TODO: support select orientation for preview, now only support first orientation
     this.selectedOrientation = this.orientations[0];
-
-    for (let i = 0; i < this.maxWorkers; i += 1) {
-      const newWorker = new Worker("/scripts/mockup_worker.js");
-      this.workerPool.push({
-        worker: newWorker,
-        ulid: ulid(),
-        isIdle: true,
-      });
-    }
+    this.enabledOrientations = [...this.orientations];
   }
 
   get isGeneratingMockup() {
     return this._isGeneratingMockup;
   }
 
-  async generatePreviewMockup(imageUpload) {
-    if (imageUpload.isErrorState) {
-      return;
+  get selectedPreviewImageUpload() {
+    return (
+      this.fileList.imageUploads.find(
+        (imageUpload) => imageUpload.ulid === this.selectedPreviewImageULID,
+      ) ?? null
+    );
+  }
+
+  selectOrientation(orientation) {
+    if (this.orientations.includes(orientation)) {
+      this.selectedOrientation = orientation;
     }
-    window.viewModel.fileList.updateImageUploadStateByULID(
+  }
+
+  updateFitOptions(imageUpload, fitOptions) {
+    // Previews of the old fit options are no longer needed
+    this.scheduler.cancel(
+      (tags) => tags.ulid === imageUpload.ulid && tags.isPreview,
+    );
+    this.fileList.updateImageUploadFitOptionsByULID(
       imageUpload.ulid,
-      ImageUploadState.GeneratingPreview,
+      fitOptions,
     );
+  }
 
-    // Only support preview first orientation now.
-    runPreviewWorker(
-      await this.getWorker(),
-      imageUpload,
-      window.viewModel.orientations[0],
+  get isReadyForMockup() {
+    return (
+      this.fileList.isReadyForMockup && this.enabledOrientations.length > 0
+    );
+  }
+
+  setOrientationEnabled(orientation, enabled) {
+    const others = this.enabledOrientations.filter((o) => o !== orientation);
+    // Keep the same order as `orientations`
+    this.enabledOrientations = this.orientations.filter(
+      (o) => others.includes(o) || (enabled && o === orientation),
+    );
+  }
+
+  setAutoAssignOrientation(isAutoAssignOrientation) {
+    this.isAutoAssignOrientation = isAutoAssignOrientation;
+  }
+
+  setAllColorsMode(isAllColorsMode) {
+    this.isAllColorsMode = isAllColorsMode;
+  }
+
+  // Update some of `outputOptions`
+  updateOutputOptions(outputOptions) {
+    this.outputOptions = { ...this.outputOptions, ...outputOptions };
+  }
+
+  // Update some of `videoOptions`
+  updateVideoOptions(videoOptions) {
+    this.videoOptions = { ...this.videoOptions, ...videoOptions };
+  }
+
+  // Only screen recordings have a duration
+  get hasVideoUpload() {
+    return this.fileList.imageUploads.some(
+      (imageUpload) => imageUpload.duration != null,
     );
   }
 
+  // Devices to generate mockups with, one per color in all colors mode
+  getMockupDevices() {
+    if (this.isAllColorsMode) {
+      const colorDevices = getColorDevices();
+      if (colorDevices.length > 0) {
+        return colorDevices;
+      }
+    }
+    return [getWorkerDevice()];
+  }
+
+  /*
+  Orientations to generate for `imageUpload`. With auto assign, only the
+  enabled orientations whose screen matches the aspect ratio of the image are
+  used, or all enabled orientations if none matches.
+  */
+  getMockupOrientations(imageUpload) {
+    if (!this.isAutoAssignOrientation) {
+      return this.enabledOrientations;
+    }
+    const matchedOrientations = getMatchingOrientations(
+      getWorkerDevice(),
+      { width: imageUpload.width, height: imageUpload.height },
+      this.enabledOrientations,
+    );
+    return matchedOrientations.length > 0
+      ? matchedOrientations
+      : this.enabledOrientations;
+  }
+
+  // Generate the preview of `orientation` unless it is cached or in progress
+  async generatePreviewMockup(
+    imageUpload,
+    orientation = this.selectedOrientation,
+  ) {
+    if (
+      imageUpload.isErrorState ||
+      imageUpload.getPreviewUrl(orientation) != null
+    ) {
+      return;
+    }
+    const previewKey = `${imageUpload.ulid}/${orientation}/${imageUpload.fitRevision}`;
+    if (this._pendingPreviews.has(previewKey)) {
+      return;
+    }
+    this._pendingPreviews.add(previewKey);
+
+    const isFirstPreview = !imageUpload.isSuccessState;
+    if (isFirstPreview) {
+      window.viewModel.fileList.updateImageUploadStateByULID(
+        imageUpload.ulid,
+        ImageUploadState.GeneratingPreview,
+      );
+    }
+    try {
+      await runPreviewWorker(
+        this.scheduler,
+        imageUpload,
+        orientation,
+        isFirstPreview,
+      );
+    } finally {
+      this._pendingPreviews.delete(previewKey);
+    }
+  }
+
   async generateMockup() {
-    if (!this.fileList.isReadyForMockup) {
+    if (!this.isReadyForMockup) {
       console.warn("Cannot generate mockup at this moment");
       return;
     }
     this._isGeneratingMockup = true;
+    this.isAllMockupGenerationFinished = false;
+
+    const mockupDevices = this.getMockupDevices();
+    this.fileList.imageUploads.forEach((imageUpload) => {
+      const mockupOrientations = this.getMockupOrientations(imageUpload);
+      this.fileList.resetGeneratedMockupsByULID(
+        imageUpload.ulid,
+        mockupOrientations,
+        mockupDevices.map((device) => device.device_id),
+      );
+      mockupDevices.forEach((device) => {
+        mockupOrientations.forEach((orientation) => {
+          runWorker(
+            this.scheduler,
+            imageUpload,
+            orientation,
+            device,
+            this.outputOptions,
+            this.videoOptions,
+          );
+        });
+      });
+    });
+  }
 
-    this.orientations.forEach((orientaion) => {
-      this.fileList.imageUploads.forEach(async (imageUpload) => {
-        runWorker(await this.getWorker(), imageUpload, orientaion);
+  // Queue the mockups of the last "Generate" which are not generated yet
+  resumeMockup() {
+    this._isGeneratingMockup = true;
+    this.isAllMockupGenerationFinished = false;
+
+    let pendingCount = 0;
+    this.fileList.imageUploads.forEach((imageUpload) => {
+      imageUpload.mockupDeviceIds.forEach((deviceId) => {
+        const device = findDevice(deviceId);
+        if (device == null) {
+          return;
+        }
+        imageUpload.mockupOrientations.forEach((orientation) => {
+          const key = getMockupKey(device, orientation);
+          if (imageUpload.generatedMockups[key] == null) {
+            pendingCount += 1;
+            runWorker(
+              this.scheduler,
+              imageUpload,
+              orientation,
+              device,
+              this.outputOptions,
+              this.videoOptions,
+            );
+          }
+        });
       });
     });
+    if (pendingCount === 0) {
+      this.isAllMockupGenerationFinished = true;
+    }
   }
 
-  cancelMockup() {
-    if (!this.isGeneratingMockup) {
+  // Queue again the mockups of the last "Generate" which failed, as they were
+  retryFailedMockups() {
+    const failedMockups = this.fileList.imageUploads.flatMap((imageUpload) =>
+      Object.entries(imageUpload.generatedMockups)
+        .filter(([, mockup]) => mockup.status === "failed")
+        .map(([key, mockup]) => ({ imageUpload, key, mockup })),
+    );
+    if (failedMockups.length === 0) {
       return;
     }
-    this._isGeneratingMockup = false;
+    this._isGeneratingMockup = true;
+    this.isAllMockupGenerationFinished = false;
 
-    // Stop all workers that still generatiing mockup
-    this.restartActiveWorkers();
+    failedMockups.forEach(({ imageUpload, key, mockup }) => {
+      const device = findDevice(mockup.deviceId);
+      if (device == null) {
+        return;
+      }
+      this.fileList.removeGeneratedMockupsByULID(imageUpload.ulid, [key]);
+      runWorker(
+        this.scheduler,
+        imageUpload,
+        mockup.orientation,
+        device,
+        mockup.output,
+        mockup.video ?? undefined,
+      );
+    });
   }
 
-  get previewUrl() {
-    return "/download/?deviceId=" + window.workerDeviceId;
+  // Every mockup of the last "Generate" is either generated or failed
+  get isMockupGenerationComplete() {
+    const generatedUploads = this.fileList.imageUploads.filter(
+      (imageUpload) => imageUpload.mockupOrientations.length > 0,
+    );
+    return (
+      generatedUploads.length > 0 &&
+      generatedUploads.every(
+        (imageUpload) =>
+          Object.keys(imageUpload.generatedMockups).length ===
+          imageUpload.mockupOrientations.length *
+            imageUpload.mockupDeviceIds.length,
+      )
+    );
   }
 
-  get defaultImageUploadULID() {
-    return this.fileList.imageUploads.length > 0
-      ? this.fileList.imageUploads[0].ulid
-      : null;
+  _countGeneratedMockups(status) {
+    return this.fileList.imageUploads.reduce(
+      (count, imageUpload) =>
+        count +
+        Object.values(imageUpload.generatedMockups).filter(
+          (mockup) => mockup.status === status,
+        ).length,
+      0,
+    );
   }
 
-  async getWorker() {
-    let availableWorker = this.workerPool.find((worker) => worker.isIdle);
-    if (availableWorker) {
-      this.startWorker(availableWorker);
-      return availableWorker;
-    } else {
-      return new Promise((resolve) => {
-        const interval = setInterval(() => {
-          const idleWorker = this.workerPool.find((worker) => worker.isIdle);
-          if (idleWorker) {
-            idleWorker.isIdle = false;
-            clearInterval(interval);
-            resolve(idleWorker);
-          }
-        }, 100);
-      });
-    }
+  get failedMockupCount() {
+    return this._countGeneratedMockups("failed");
   }
 
-  startWorker(worker) {
-    const index = this.workerPool.findIndex((w) => w.ulid === worker.ulid);
-    if (index !== -1) {
-      this.workerPool[index].isIdle = false;
-    }
+  get succeededMockupCount() {
+    return this._countGeneratedMockups("success");
   }
 
-  idleWorker(worker) {
-    const index = this.workerPool.findIndex((w) => w.ulid === worker.ulid);
-    if (index !== -1) {
-      this.workerPool[index].isIdle = true;
+  cancelMockup() {
+    if (!this.isGeneratingMockup) {
+      return;
     }
+    this._isGeneratingMockup = false;
+
+    // Stop mockup jobs only, previews keep going
+    this.scheduler.cancel((tags) => !tags.isPreview);
   }
 
-  restartActiveWorkers() {
-    for (let i = 0; i < this.workerPool.length; i += 1) {
-      if (!this.workerPool[i].isIdle) {
-        this.workerPool[i].worker.terminate();
-        this.workerPool[i].worker = new Worker("/scripts/mockup_worker.js");
-        this.workerPool[i].isIdle = true;
-      }
+  // Everything needed to restore the page, stored by `saveUploadSession`
+  get sessionSnapshot() {
+    return {
+      selectedColorId: this.selectedColorId,
+      selectedOrientation: this.selectedOrientation,
+      enabledOrientations: [...this.enabledOrientations],
+      isAutoAssignOrientation: this.isAutoAssignOrientation,
+      isAllColorsMode: this.isAllColorsMode,
+      outputOptions: this.outputOptions,
+      videoOptions: this.videoOptions,
+      selectedPreviewImageULID: this.selectedPreviewImageULID,
+      // Unfinished mockups are generated again on restore
+      isGeneratingMockup:
+        this.isGeneratingMockup && !this.isAllMockupGenerationFinished,
+      uploads: this.fileList.imageUploads
+        .filter((imageUpload) => !imageUpload.isErrorState)
+        .map((imageUpload) => ({
+          ulid: imageUpload.ulid,
+          file: imageUpload.file,
+          fitOptions: imageUpload.fitOptions,
+          generatedMockups: { ...imageUpload.generatedMockups },
+          mockupOrientations: [...imageUpload.mockupOrientations],
+          mockupDeviceIds: [...imageUpload.mockupDeviceIds],
+        })),
+    };
+  }
+
+  async restoreSession(snapshot) {
+    const hasColor = getColorDevices().some(
+      (device) => device.color?.id === snapshot.selectedColorId,
+    );
+    if (hasColor) {
+      this.selectedColorId = snapshot.selectedColorId;
+    }
+    this.selectOrientation(snapshot.selectedOrientation);
+    this.enabledOrientations = this.orientations.filter((o) =>
+      snapshot.enabledOrientations.includes(o),
+    );
+    this.isAutoAssignOrientation = snapshot.isAutoAssignOrientation;
+    this.isAllColorsMode = snapshot.isAllColorsMode;
+    if (snapshot.outputOptions != null) {
+      this.outputOptions = snapshot.outputOptions;
+    }
+    if (snapshot.videoOptions != null) {
+      this.videoOptions = snapshot.videoOptions;
     }
+
+    await this.fileList.restore(snapshot.uploads);
+
+    mobx.action(() => {
+      if (
+        this.fileList.imageUploads.some(
+          (imageUpload) =>
+            imageUpload.ulid === snapshot.selectedPreviewImageULID,
+        )
+      ) {
+        this.selectedPreviewImageULID = snapshot.selectedPreviewImageULID;
+      }
+      if (snapshot.isGeneratingMockup) {
+        this.resumeMockup();
+      }
+    })();
+  }
+
+  // Drop all uploads, generated mockups and choices of the page
+  clearSession() {
+    this.scheduler.cancelAll();
+    this._isGeneratingMockup = false;
+    this.isAllMockupGenerationFinished = false;
+    this.fileList.clear();
+    this.selectedPreviewImageULID = null;
+    this.selectedOrientation = this.orientations[0];
+    this.enabledOrientations = [...this.orientations];
+    this.isAutoAssignOrientation = false;
+    this.isAllColorsMode = false;
+    this.outputOptions = { ...MockupProtocol.DEFAULT_OUTPUT };
+    this.videoOptions = { ...MockupProtocol.DEFAULT_VIDEO };
+    this._pendingPreviews.clear();
+  }
+
+  get previewUrl() {
+    return "/download/?deviceId=" + window.workerDeviceId;
+  }
+
+  get defaultImageUploadULID() {
+    return this.fileList.imageUploads.length > 0
+      ? this.fileList.imageUploads[0].ulid
+      : null;
   }
 }
 
@@ -448,6 +933,21 @@ function appendInitialFileListItem(fileUlid, filename) {
   filenameNode.classList.add("file-list-item__filename-content");
   headerNode.appendChild(filenameNode);
 
+  const adjustNode = document.createElement("button");
+  adjustNode.classList.add("file-list-item__adjust", "d-none");
+  adjustNode.innerText = "Adjust";
+  adjustNode.onclick = (event) => {
+    // Prevent triggering of click event on parent node
+    event.stopPropagation();
+    const imageUpload = window.viewModel.fileList.imageUploads.find(
+      (upload) => upload.ulid === fileUlid,
+    );
+    if (imageUpload != null) {
+      window.viewModel.fitEditor.open(imageUpload);
+    }
+  };
+  headerNode.appendChild(adjustNode);
+
   const crossNode = document.createElement("button");
   crossNode.classList.add("file-list-item__cross");
   crossNode.onclick = async (event) => {
@@ -460,7 +960,8 @@ function appendInitialFileListItem(fileUlid, filename) {
   fileInfoNode.appendChild(headerNode);
   fileInfoNode.insertAdjacentHTML(
     "beforeend",
-    `<p class="file-list-item__hint d-none"></p>`,
+    `<p class="file-list-item__hint d-none"></p>
+    <ul class="file-list-item__failures d-none"></ul>`,
   );
 
   return fileListNode.appendChild(itemNode);
@@ -471,9 +972,40 @@ function removeAllFileListItems() {
   fileListNode.replaceChildren();
 }
 
+// List why mockups of `imageUpload` failed, with the orientations (and colors)
+// of each reason
+function updateFileListItemFailures(itemNode, imageUpload) {
+  const failuresNode = itemNode.querySelector(".file-list-item__failures");
+  const failedMockups = Object.values(imageUpload.generatedMockups).filter(
+    (mockup) => mockup.status === "failed",
+  );
+  const isAllColors = imageUpload.mockupDeviceIds.length > 1;
+  const failures = new Map();
+  failedMockups.forEach((mockup) => {
+    const reason = getFailureReason(mockup.error);
+    const target =
+      isAllColors && mockup.colorName != null
+        ? `${mockup.orientation} (${mockup.colorName})`
+        : mockup.orientation;
+    failures.set(reason, [...(failures.get(reason) ?? []), target]);
+  });
+
+  failuresNode.replaceChildren();
+  failuresNode.classList.toggle("d-none", failures.size === 0);
+  failures.forEach((targets, reason) => {
+    const failureNode = document.createElement("li");
+    failureNode.classList.add("file-list-item__failure");
+    failureNode.innerText = `${getFailureReasonLabel(reason)}: ${targets.join(
+      ", ",
+    )}`;
+    failuresNode.appendChild(failureNode);
+  });
+}
+
 function updateFileListItem(itemNode, imageUpload) {
   const hintNode = itemNode.querySelector(".file-list-item__hint");
   const previewNode = itemNode.querySelector(".file-list-item__preview-state");
+  const adjustNode = itemNode.querySelector(".file-list-item__adjust");
   const fileInfoNode = itemNode.querySelector(".file-list-item__file-info");
 
   function onSelectPreviewImage() {
@@ -552,7 +1084,7 @@ function updateFileListItem(itemNode, imageUpload) {
   if (imageUpload.isErrorState) {
     switch (imageUpload.state) {
       case ImageUploadState.ErrUnsupportedFileType:
-        hintNode.innerText = "Supported file extensions: JPG, PNG or PSD.";
+        hintNode.innerText = `Supported file types: ${MockupImageFormat.SUPPORTED_FORMATS_READABLE}.`;
         break;
       case ImageUploadState.ErrExceedMaxFileSize:
         hintNode.innerText = `File size should be less than ${MAX_FILE_SIZE_READABLE}.`;
@@ -571,6 +1103,9 @@ function updateFileListItem(itemNode, imageUpload) {
     hintNode.innerText = `Uploaded file dimension (${imageDim.width} × ${imageDim.height} pixels) differs from ideal (${recommendDim.width} × ${recommendDim.height} pixels).`;
   }
 
+  // fit options can be adjusted once the image is read
+  adjustNode.classList.toggle("d-none", !imageUpload.isSuccessState);
+
   // update preview button
   if (imageUpload.isSuccessState) {
     if (window.viewModel.selectedPreviewImageULID == imageUpload.ulid) {
@@ -583,6 +1118,8 @@ function updateFileListItem(itemNode, imageUpload) {
     fileInfoNode.addEventListener("click", onSelectPreviewImage);
   }
 
+  updateFileListItemFailures(itemNode, imageUpload);
+
   if (imageUpload.isSuccessState && !shouldShowAspectRatioWarning) {
     hintNode.classList.add("d-none");
   } else {
@@ -630,13 +1167,17 @@ function handleColorPickers(viewModel) {
           // highlight color picker
           node.classList.add("color-picker-item--selected");
 
-          // change device image
-          deviceImage.src =
-            node.dataset.imagePathPortrait ?? node.dataset.imagePathLandscape;
-
           // change orientation image
-          orientationImages[0].src = node.dataset.imagePathPortrait;
-          orientationImages[1].src = node.dataset.imagePathLandscape;
+          const imagePaths = JSON.parse(node.dataset.imagePaths);
+          orientationImages.forEach((orientationImage, index) => {
+            orientationImage.src = imagePaths[index] ?? orientationImage.src;
+          });
+
+          // change device image of the previewing orientation
+          const orientationIndex = viewModel.orientations.indexOf(
+            viewModel.selectedOrientation,
+          );
+          deviceImage.src = imagePaths[orientationIndex] ?? imagePaths[0];
 
           // change credits
           creditsDesc.innerHTML = node.dataset.credits;
@@ -651,6 +1192,343 @@ function handleColorPickers(viewModel) {
   );
 }
 
+function handleOrientationSwitcher(viewModel) {
+  const orientationBtns = document.querySelectorAll(
+    ".preview-orientation__btn",
+  );
+  const deviceImage = document.querySelector(".upload__device-image");
+  const orientationImages = document.querySelectorAll(
+    ".device-support__orientation-image",
+  );
+  const imageRect = document.querySelector(".upload__device-image-rect");
+  const screenRect = document.querySelector(
+    ".upload__device-image-rect__screen-rect",
+  );
+
+  orientationBtns.forEach((node) => {
+    node.addEventListener("click", () => {
+      viewModel.selectOrientation(node.dataset.orientation);
+    });
+  });
+
+  mobx.reaction(
+    () => viewModel.selectedOrientation,
+    (selectedOrientation) => {
+      orientationBtns.forEach((node) => {
+        if (node.dataset.orientation !== selectedOrientation) {
+          node.classList.remove("preview-orientation__btn--selected");
+          return;
+        }
+        node.classList.add("preview-orientation__btn--selected");
+
+        // orientation images follow the selected color
+        const orientationImage =
+          orientationImages[Number(node.dataset.imagePathIndex)];
+        deviceImage.src = orientationImage.src;
+        deviceImage.alt = node.dataset.imageAlt;
+
+        const imgWidth = Number(node.dataset.imgWidth);
+        const imgHeight = Number(node.dataset.imgHeight);
+        imageRect.style.aspectRatio = `${imgWidth} / ${imgHeight}`;
+        imageRect.classList.toggle("w-full", imgWidth >= imgHeight);
+        imageRect.classList.toggle("h-full", imgHeight > imgWidth);
+
+        const rect = JSON.parse(node.dataset.screenRect);
+        screenRect.style.width = `${rect.width}%`;
+        screenRect.style.height = `${rect.height}%`;
+        screenRect.style.top = `${rect.centerY}%`;
+        screenRect.style.left = `${rect.centerX}%`;
+      });
+    },
+  );
+}
+
+function handleAllColorsCheckbox(viewModel) {
+  const allColorsCheckbox = document.querySelector(
+    ".color-section__all-colors-checkbox",
+  );
+  allColorsCheckbox?.addEventListener("change", () => {
+    viewModel.setAllColorsMode(allColorsCheckbox.checked);
+  });
+
+  // observe viewModel: isAllColorsMode, e.g. restored session
+  mobx.autorun(() => {
+    if (allColorsCheckbox != null) {
+      allColorsCheckbox.checked = viewModel.isAllColorsMode;
+    }
+  });
+}
+
+// Value of the size input when switching to each resize mode
+const DEFAULT_RESIZE_VALUES = {
+  [MockupProtocol.ResizeMode.Percent]: 100,
+  [MockupProtocol.ResizeMode.Width]: 1080,
+  [MockupProtocol.ResizeMode.Height]: 1080,
+};
+
+function handleOutputOptions(viewModel) {
+  const formatSelect = document.querySelector(".output-section__format");
+  const alphaLabel = document.querySelector(".output-section__alpha");
+  const alphaCheckbox = document.querySelector(
+    ".output-section__alpha-checkbox",
+  );
+  const qualityRow = document.querySelector(".output-section__quality-row");
+  const qualityInput = document.querySelector(".output-section__quality");
+  const qualityValue = document.querySelector(".output-section__quality-value");
+  const resizeModeSelect = document.querySelector(
+    ".output-section__resize-mode",
+  );
+  const resizeValueInput = document.querySelector(
+    ".output-section__resize-value",
+  );
+  if (formatSelect == null) {
+    return;
+  }
+
+  // No resize at 100%, such that the native size is kept
+  const updateResize = (mode, value) => {
+    viewModel.updateOutputOptions({
+      resize:
+        mode === MockupProtocol.ResizeMode.Percent && value === 100
+          ? null
+          : { mode, value },
+    });
+  };
+
+  formatSelect.addEventListener("change", () => {
+    viewModel.updateOutputOptions({ format: formatSelect.value });
+  });
+  alphaCheckbox.addEventListener("change", () => {
+    viewModel.updateOutputOptions({ alpha: alphaCheckbox.checked });
+  });
+  qualityInput.addEventListener("input", () => {
+    viewModel.updateOutputOptions({
+      quality: Number(qualityInput.value) / 100,
+    });
+  });
+  resizeModeSelect.addEventListener("change", () => {
+    const mode = resizeModeSelect.value;
+    updateResize(mode, DEFAULT_RESIZE_VALUES[mode]);
+  });
+  resizeValueInput.addEventListener("change", () => {
+    const value = Math.round(Number(resizeValueInput.value));
+    if (!(value > 0)) {
+      // Restore the last valid value
+      resizeValueInput.value =
+        viewModel.outputOptions.resize?.value ??
+        DEFAULT_RESIZE_VALUES[MockupProtocol.ResizeMode.Percent];
+      return;
+    }
+    updateResize(resizeModeSelect.value, value);
+  });
+
+  // observe viewModel: outputOptions, e.g. restored session
+  mobx.autorun(() => {
+    const { format, alpha, quality, resize } = viewModel.outputOptions;
+    formatSelect.value = format;
+    alphaCheckbox.checked = alpha;
+    alphaLabel.classList.toggle(
+      "d-none",
+      format !== MockupProtocol.OutputFormat.Png,
+    );
+    qualityRow.classList.toggle(
+      "d-none",
+      format === MockupProtocol.OutputFormat.Png,
+    );
+    qualityInput.value = Math.round(quality * 100);
+    qualityValue.innerText = `${Math.round(quality * 100)}%`;
+    resizeModeSelect.value = resize?.mode ?? MockupProtocol.ResizeMode.Percent;
+    resizeValueInput.value =
+      resize?.value ?? DEFAULT_RESIZE_VALUES[MockupProtocol.ResizeMode.Percent];
+  });
+}
+
+// Seconds input value, null if empty or invalid
+function readSeconds(input) {
+  const value = Number(input.value);
+  return input.value.trim() === "" || !(value >= 0) ? null : value;
+}
+
+function handleVideoOptions(viewModel) {
+  const videoSection = document.querySelector(".output-section__video");
+  if (videoSection == null) {
+    return;
+  }
+  const formatSelect = videoSection.querySelector(
+    ".output-section__video-format",
+  );
+  const frameRateInput = videoSection.querySelector(
+    ".output-section__frame-rate",
+  );
+  const trimStartInput = videoSection.querySelector(
+    ".output-section__trim-start",
+  );
+  const trimEndInput = videoSection.querySelector(".output-section__trim-end");
+  const maxDurationInput = videoSection.querySelector(
+    ".output-section__max-duration",
+  );
+
+  formatSelect.addEventListener("change", () => {
+    viewModel.updateVideoOptions({ format: formatSelect.value });
+  });
+  frameRateInput.addEventListener("change", () => {
+    const frameRate = Math.round(Number(frameRateInput.value));
+    if (frameRate >= 1 && frameRate <= MockupProtocol.MAX_VIDEO_FRAME_RATE) {
+      viewModel.updateVideoOptions({ frameRate });
+    } else {
+      frameRateInput.value = viewModel.videoOptions.frameRate;
+    }
+  });
+  trimStartInput.addEventListener("change", () => {
+    const trimStart = readSeconds(trimStartInput) ?? 0;
+    const { trimEnd } = viewModel.videoOptions;
+    viewModel.updateVideoOptions({
+      trimStart,
+      // The end is dropped rather than before the start
+      trimEnd: trimEnd != null && trimEnd <= trimStart ? null : trimEnd,
+    });
+  });
+  trimEndInput.addEventListener("change", () => {
+    const trimEnd = readSeconds(trimEndInput);
+    if (trimEnd != null && trimEnd <= viewModel.videoOptions.trimStart) {
+      trimEndInput.value = viewModel.videoOptions.trimEnd ?? "";
+      return;
+    }
+    viewModel.updateVideoOptions({ trimEnd });
+  });
+  maxDurationInput.addEventListener("change", () => {
+    const maxDuration = readSeconds(maxDurationInput);
+    if (maxDuration != null && maxDuration > 0) {
+      viewModel.updateVideoOptions({ maxDuration });
+    } else {
+      maxDurationInput.value = viewModel.videoOptions.maxDuration;
+    }
+  });
+
+  // observe viewModel: hasVideoUpload
+  mobx.autorun(() => {
+    videoSection.classList.toggle("d-none", !viewModel.hasVideoUpload);
+  });
+
+  // observe viewModel: videoOptions, e.g. restored session
+  mobx.autorun(() => {
+    const { format, frameRate, trimStart, trimEnd, maxDuration } =
+      viewModel.videoOptions;
+    formatSelect.value = format;
+    frameRateInput.value = frameRate;
+    trimStartInput.value = trimStart;
+    trimEndInput.value = trimEnd ?? "";
+    maxDurationInput.value = maxDuration;
+  });
+}
+
+function handleOrientationCheckboxes(viewModel) {
+  const orientationCheckboxes = document.querySelectorAll(
+    ".device-support__orientation-checkbox",
+  );
+  const autoAssignCheckbox = document.querySelector(
+    ".device-support__auto-assign-checkbox",
+  );
+  orientationCheckboxes.forEach((node) => {
+    node.addEventListener("change", () => {
+      viewModel.setOrientationEnabled(node.dataset.orientation, node.checked);
+    });
+  });
+  autoAssignCheckbox?.addEventListener("change", () => {
+    viewModel.setAutoAssignOrientation(autoAssignCheckbox.checked);
+  });
+
+  // observe viewModel: enabledOrientations, isAutoAssignOrientation
+  mobx.autorun(() => {
+    orientationCheckboxes.forEach((node) => {
+      node.checked = viewModel.enabledOrientations.includes(
+        node.dataset.orientation,
+      );
+    });
+    if (autoAssignCheckbox != null) {
+      autoAssignCheckbox.checked = viewModel.isAutoAssignOrientation;
+    }
+  });
+}
+
+/*
+Once the last "Generate" is done with failed mockups, offer to generate them
+again or `onContinue` with the generated ones.
+*/
+function handleFailedMockups(viewModel, onContinue) {
+  const section = document.querySelector(".failed-mockups");
+  if (section == null) {
+    return;
+  }
+  const summaryNode = section.querySelector(".failed-mockups__summary");
+  const retryBtn = section.querySelector(".failed-mockups__retry-btn");
+  const continueBtn = section.querySelector(".failed-mockups__continue-btn");
+  retryBtn.addEventListener("click", () => {
+    viewModel.retryFailedMockups();
+  });
+  continueBtn.addEventListener("click", () => {
+    onContinue();
+  });
+
+  // observe viewModel: isGeneratingMockup, isMockupGenerationComplete,
+  // failedMockupCount, succeededMockupCount
+  mobx.autorun(() => {
+    const { failedMockupCount, succeededMockupCount } = viewModel;
+    const isShown =
+      !viewModel.isGeneratingMockup &&
+      viewModel.isMockupGenerationComplete &&
+      failedMockupCount > 0;
+    section.classList.toggle("d-none", !isShown);
+    summaryNode.innerText = `${failedMockupCount} of ${
+      failedMockupCount + succeededMockupCount
+    } mockup(s) failed, see the reasons under each file.`;
+    retryBtn.innerText = `Retry ${failedMockupCount} failed`;
+    continueBtn.classList.toggle("d-none", succeededMockupCount === 0);
+  });
+}
+
+function handleClearSessionButton(viewModel) {
+  const clearSessionBtn = document.querySelector(".clear-session-btn");
+  clearSessionBtn.addEventListener("click", async () => {
+    viewModel.clearSession();
+    await clearUploadSession(window.modelId);
+  });
+
+  // observe fileListViewModel: imageUploads.length
+  mobx.autorun(() => {
+    clearSessionBtn.classList.toggle(
+      "d-none",
+      viewModel.fileList.imageUploads.length === 0,
+    );
+  });
+}
+
+/*
+Restore the stored session of the model, then keep storing the session
+whenever the page changes.
+*/
+async function registerUploadSession(viewModel) {
+  try {
+    const snapshot = await loadUploadSession(window.modelId);
+    if (snapshot != null) {
+      await viewModel.restoreSession(snapshot);
+    }
+  } catch (e) {
+    console.warn("Failed to restore upload session", e);
+  }
+
+  mobx.reaction(
+    () => viewModel.sessionSnapshot,
+    (snapshot) => {
+      saveUploadSession(window.modelId, snapshot).catch((e) => {
+        console.warn("Failed to save upload session", e);
+      });
+    },
+    // Generated mockups are large, do not store them on every single update
+    { delay: 500 },
+  );
+}
+
 function registerUploadGuide() {
   const uploadGuide = document.querySelector(".upload-guide");
   const fileInput = document.querySelector(".upload-guide__file-input");
@@ -669,6 +1547,9 @@ function main() {
   const cancelMockupBtn = document.querySelector(
     ".generating-modal-dialog__cancel-btn",
   );
+  const generatingProgress = document.querySelector(
+    ".generating-modal-dialog__progress",
+  );
   const defaultColorBtn = document.querySelector(
     ".color-picker-item--selected",
   );
@@ -683,8 +1564,25 @@ function main() {
     defaultColorBtn?.dataset?.colorId ?? null,
   );
   handleColorPickers(viewModel);
+  handleOrientationSwitcher(viewModel);
+  handleOrientationCheckboxes(viewModel);
+  handleAllColorsCheckbox(viewModel);
+  handleOutputOptions(viewModel);
+  handleVideoOptions(viewModel);
+  handleClearSessionButton(viewModel);
+  registerFitEditor(viewModel.fitEditor, (imageUpload, fitOptions) => {
+    viewModel.updateFitOptions(imageUpload, fitOptions);
+  });
+  registerPsdPicker(viewModel.fileList.psdPicker);
   window.viewModel = viewModel;
 
+  const offlineStatus = new OfflineStatusViewModel();
+  registerOfflineStatus(offlineStatus);
+  const colorDevices = getColorDevices();
+  offlineStatus.prepareDevices(
+    colorDevices.length > 0 ? colorDevices : [getWorkerDevice()],
+  );
+
   preventDefault(htmlNode, [
     "drag",
     "dragend",
@@ -735,20 +1633,51 @@ function main() {
     window.location.href = "/download/?deviceId=" + window.workerDeviceId;
   };
 
+  const getAllGeneratedMockups = () =>
+    viewModel.fileList.imageUploads.flatMap((imageUpload) =>
+      Object.values(imageUpload.generatedMockups),
+    );
+
+  // Store the finished session before leaving the page
+  const saveAndNavigateToDownloadPage = async (allGeneratedMockups) => {
+    await Promise.all([
+      saveGeneratedMockups(
+        allGeneratedMockups,
+        Object.fromEntries(
+          viewModel.fileList.imageUploads.map((imageUpload) => [
+            imageUpload.ulid,
+            imageUpload.file,
+          ]),
+        ),
+      ),
+      saveUploadSession(window.modelId, viewModel.sessionSnapshot),
+    ]);
+    navigateToDownloadPage();
+  };
+
   const onAllMockupGenerated = async (allGeneratedMockups) => {
     const haveGeneratedMockup = allGeneratedMockups.some((mockup) => {
       return mockup.status === "success";
     });
-    if (haveGeneratedMockup) {
-      localforage.setItem("generatedMockups", allGeneratedMockups).then(() => {
-        navigateToDownloadPage();
-      });
-    } else {
-      window.viewModel.cancelMockup();
+    const haveFailedMockup = allGeneratedMockups.some((mockup) => {
+      return mockup.status === "failed";
+    });
+    if (haveGeneratedMockup && !haveFailedMockup) {
+      await saveAndNavigateToDownloadPage(allGeneratedMockups);
+      return;
+    }
+    // Stay such that the failed mockups can be generated again
+    window.viewModel.cancelMockup();
+    if (!haveGeneratedMockup) {
       handleNoGeneratedMockup();
     }
   };
 
+  // Failed mockups are kept in the history, as when all are generated
+  handleFailedMockups(viewModel, () =>
+    saveAndNavigateToDownloadPage(getAllGeneratedMockups()),
+  );
+
   // observe fileListViewModel: isProcessing
   mobx.autorun(() => {
     if (viewModel.fileList.isProcessing) {
@@ -798,9 +1727,9 @@ function main() {
     }
   });
 
-  // observe fileListViewModel: isReadyForMockup
+  // observe viewModel: isReadyForMockup
   mobx.autorun(() => {
-    if (viewModel.fileList.isReadyForMockup) {
+    if (viewModel.isReadyForMockup) {
       generateBtn.disabled = false;
     } else {
       generateBtn.disabled = true;
@@ -816,6 +1745,18 @@ function main() {
     }
   });
 
+  // observe scheduler: queue depth and eta
+  mobx.autorun(() => {
+    const { pendingCount, etaSec } = viewModel.scheduler;
+    if (pendingCount === 0) {
+      generatingProgress.innerText = "";
+      return;
+    }
+    const remaining = `${pendingCount} image(s) remaining`;
+    generatingProgress.innerText =
+      etaSec == null ? remaining : `${remaining}, about ${etaSec}s left`;
+  });
+
   // observe fileListViewModel: imageUploads[].state
   mobx.reaction(
     () =>
@@ -895,7 +1836,8 @@ function main() {
       viewModel.isAllMockupGenerationFinished = imageUploads.every(
         (imageUpload) =>
           Object.keys(imageUpload.generatedMockups).length ===
-          viewModel.orientations.length,
+          imageUpload.mockupOrientations.length *
+            imageUpload.mockupDeviceIds.length,
       );
     },
   );
@@ -907,33 +1849,25 @@ function main() {
       if (!viewModel.isAllMockupGenerationFinished) {
         return;
       }
-      const imageUploads = viewModel.fileList.imageUploads;
-      const allGeneratedMockups = imageUploads.flatMap((imageUpload) =>
-        Object.values(imageUpload.generatedMockups),
-      );
-
-      onAllMockupGenerated(allGeneratedMockups);
+      onAllMockupGenerated(getAllGeneratedMockups());
     },
   );
 
+  // observe fileListViewModel: imageUploads[].generatedMockups
+  // side effect: show why mockups failed under each file
+  mobx.autorun(() => {
+    viewModel.fileList.imageUploads.forEach((imageUpload) => {
+      const itemNode = findFileListItem(imageUpload.ulid);
+      if (itemNode != null) {
+        updateFileListItemFailures(itemNode, imageUpload);
+      }
+    });
+  });
+
   // observe viewModel: selectedPreviewImageULID
   mobx.reaction(
     () => viewModel.selectedPreviewImageULID,
     () => {
-      // update preview area
-      const imageContainer = document.querySelector(
-        ".upload__device-image-rect",
-      );
-      if (viewModel.selectedPreviewImageULID === null) {
-        imageContainer.style.backgroundImage = "";
-        const imageUploadHints = document.querySelectorAll(
-          ".upload__device-hint",
-        );
-        imageUploadHints.forEach((imageUploadHint) => {
-          imageUploadHint.style.display = "flex";
-        });
-      }
-
       removeAllFileListItems(); // remove then re-render
       const imageUploads = viewModel.fileList.imageUploads;
       for (let i = 0; i < imageUploads.length; ++i) {
@@ -945,24 +1879,80 @@ function main() {
           );
         }
         updateFileListItem(itemNode, imageUploads[i]);
+      }
+    },
+  );
+
+  // observe viewModel: selectedPreviewImageUpload, selectedOrientation
+  // side effect: generate preview of the selected orientation on demand
+  mobx.reaction(
+    () => {
+      const imageUpload = viewModel.selectedPreviewImageUpload;
+      const orientation = viewModel.selectedOrientation;
+      return {
+        imageUpload,
+        orientation,
+        isSuccessState: imageUpload?.isSuccessState ?? false,
+        isErrorState: imageUpload?.isErrorState ?? false,
+        previewUrl: imageUpload?.getPreviewUrl(orientation) ?? null,
+      };
+    },
+    ({
+      imageUpload,
+      orientation,
+      isSuccessState,
+      isErrorState,
+      previewUrl,
+    }) => {
+      const imageContainer = document.querySelector(
+        ".upload__device-image-rect",
+      );
+      const imageUploadHints = document.querySelectorAll(
+        ".upload__device-hint",
+      );
+      if (imageUpload == null || isErrorState) {
+        imageContainer.style.backgroundImage = "";
+        imageContainer.classList.remove("upload__device-image-rect--loading");
+        imageUploadHints.forEach((imageUploadHint) => {
+          imageUploadHint.style.display = "flex";
+        });
+        return;
+      }
+      imageUploadHints.forEach((imageUploadHint) => {
+        imageUploadHint.style.display = "none";
+      });
+      if (previewUrl == null) {
+        imageContainer.style.backgroundImage = "";
+        imageContainer.classList.add("upload__device-image-rect--loading");
+        if (isSuccessState) {
+          viewModel.generatePreviewMockup(imageUpload, orientation);
+        }
+        return;
+      }
 
+      // create a new Image object
+      const img_tag = new Image();
+      // when preload is complete, apply the image to the div
+      img_tag.onload = function () {
         if (
-          imageUploads[i].isSuccessState &&
-          imageUploads[i].ulid == window.viewModel.selectedPreviewImageULID
+          viewModel.selectedPreviewImageUpload === imageUpload &&
+          viewModel.selectedOrientation === orientation
         ) {
-          // create a new Image object
-          var img_tag = new Image();
-          const url = imageUploads[i].previewUrl;
-          // when preload is complete, apply the image to the div
-          img_tag.onload = function () {
-            imageContainer.style.backgroundImage = `url(${url})`;
-          };
-          // setting 'src' actually starts the preload
-          img_tag.src = url;
+          imageContainer.classList.remove("upload__device-image-rect--loading");
+          imageContainer.style.backgroundImage = `url(${previewUrl})`;
         }
-      }
+      };
+      // setting 'src' actually starts the preload
+      img_tag.src = previewUrl;
+    },
+    {
+      equals: mobx.comparer.shallow,
+      fireImmediately: true,
     },
   );
+
+  // After all observers above such that restored uploads are rendered
+  registerUploadSession(viewModel);
 }
 
 function ready(fn) {
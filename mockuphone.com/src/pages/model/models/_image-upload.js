@@ -1,6 +1,7 @@
 /*
-Require: mobx, psd.js
+Require: mobx, psd.js, mockup_protocol.js, mockup_image_format.js
 */
+import { rasterizeSvg } from "../utils/_svg";
 
 export const ImageUploadState = {
   ReadyForRead: "ReadyForRead",
@@ -16,28 +17,56 @@ export const ImageUploadState = {
 
 export class ImageUpload {
   maxFileSizeByte = null;
+  // [width, height] to rasterize vector images at, e.g. SVG
+  rasterizeResolution = null;
   file = null;
   width = null;
   height = null;
+  // In seconds, screen recordings only
+  duration = null;
   uuid = null;
   signedData = null;
   state = ImageUploadState.ReadyForRead;
   message = null;
   ulid = null;
-  previewUrl = null;
+  // Preview mockup object url of each orientation, generated on demand
+  previewUrls = {};
   generatedMockups = [];
+  // Orientations and devices (colors) queued by the last "Generate"
+  mockupOrientations = [];
+  mockupDeviceIds = [];
+
+  // Fit options sent to the renderer, see mockup_protocol.js
+  fitMode = MockupProtocol.FitMode.Contain;
+  fillColor = "#000000";
+  focalPoint = { x: 0.5, y: 0.5 };
+  // { x, y, width, height } in pixels of the uploaded image, or null
+  crop = null;
+  // Bumped when fit options change such that outdated previews are dropped
+  fitRevision = 0;
 
   loadDimensionPromise = null;
 
-  constructor(file, maxFileSizeByte) {
+  constructor(file, maxFileSizeByte, rasterizeResolution) {
     mobx.makeObservable(this, {
       file: mobx.observable,
       width: mobx.observable,
       height: mobx.observable,
+      duration: mobx.observable,
       uuid: mobx.observable,
       signedData: mobx.observable,
       state: mobx.observable,
       message: mobx.observable,
+      previewUrls: mobx.observable,
+      updatePreviewUrl: mobx.action,
+      dispose: mobx.action,
+      fitMode: mobx.observable,
+      fillColor: mobx.observable,
+      focalPoint: mobx.observable,
+      crop: mobx.observable,
+      fitRevision: mobx.observable,
+      fitOptions: mobx.computed,
+      updateFitOptions: mobx.action,
       isProcessingState: mobx.computed,
       isSuccessState: mobx.computed,
       isProcessedState: mobx.computed,
@@ -45,6 +74,7 @@ export class ImageUpload {
     });
     this.file = file;
     this.maxFileSizeByte = maxFileSizeByte;
+    this.rasterizeResolution = rasterizeResolution;
   }
 
   async read() {
@@ -57,6 +87,13 @@ export class ImageUpload {
       this.state = ImageUploadState.ErrExceedMaxFileSize;
       return;
     }
+    if (await this._isSvg()) {
+      const rasterizeResult = await this._rasterizeSvg();
+      if (rasterizeResult.type === "failed") {
+        this.state = rasterizeResult.reason;
+        return;
+      }
+    }
     const loadDimensionResult = await this._loadDimension();
     if (loadDimensionResult.type === "failed") {
       this.state = loadDimensionResult.reason;
@@ -69,50 +106,96 @@ export class ImageUpload {
     this.state = state;
   }
 
-  updatePreviewUrl(previewUrl) {
-    this.previewUrl = previewUrl;
+  updatePreviewUrl(orientation, previewUrl) {
+    const oldPreviewUrl = this.previewUrls[orientation];
+    if (oldPreviewUrl != null && oldPreviewUrl !== previewUrl) {
+      URL.revokeObjectURL(oldPreviewUrl);
+    }
+    this.previewUrls = { ...this.previewUrls, [orientation]: previewUrl };
+  }
+
+  // Release the preview object urls, the upload is no longer displayed
+  dispose() {
+    Object.values(this.previewUrls).forEach((url) => URL.revokeObjectURL(url));
+    this.previewUrls = {};
   }
 
-  // Cache file type from header such that no need to parse again
-  __fileTypeFromHeader = null;
-  async _getFileTypeFromHeader() {
-    if (this.__fileTypeFromHeader != null) {
-      return this.__fileTypeFromHeader;
+  getPreviewUrl(orientation) {
+    return this.previewUrls[orientation] ?? null;
+  }
+
+  get fitOptions() {
+    return {
+      fitMode: this.fitMode,
+      fillColor: this.fillColor,
+      focalPoint: { ...this.focalPoint },
+      crop: this.crop == null ? null : { ...this.crop },
+    };
+  }
+
+  // Update some of `fitOptions`, cached previews are cleared
+  updateFitOptions({ fitMode, fillColor, focalPoint, crop }) {
+    if (fitMode !== undefined) {
+      this.fitMode = fitMode;
     }
-    const arrayBuffer = await this.file.arrayBuffer();
-    const FILE_TYPE_HEADER_BYTES = 4;
-    const headerFileTypeBuff = new Uint8Array(arrayBuffer).subarray(
-      0,
-      FILE_TYPE_HEADER_BYTES,
-    );
-    let fileTypeFromHeader = "";
-    for (let i = 0; i < headerFileTypeBuff.length; i++) {
-      fileTypeFromHeader += String.fromCharCode(headerFileTypeBuff[i]);
+    if (fillColor !== undefined) {
+      this.fillColor = fillColor;
     }
-    this.__fileTypeFromHeader = fileTypeFromHeader;
-    return this.__fileTypeFromHeader;
+    if (focalPoint !== undefined) {
+      this.focalPoint = focalPoint;
+    }
+    if (crop !== undefined) {
+      this.crop = crop;
+    }
+    this.fitRevision += 1;
+    this.dispose();
+  }
+
+  // Cache image format from header such that no need to parse again
+  __imageFormat = undefined;
+  async _getImageFormat() {
+    if (this.__imageFormat !== undefined) {
+      return this.__imageFormat;
+    }
+    this.__imageFormat = await MockupImageFormat.detectImageFormat(this.file);
+    return this.__imageFormat;
+  }
+
+  // One of `MockupImageFormat.ImageFormat`, available after `read()`
+  get imageFormat() {
+    return this.__imageFormat ?? null;
+  }
+
+  // Screen recording, available after `read()`
+  get isVideo() {
+    return MockupImageFormat.isVideoFormat(this.imageFormat);
   }
 
   async _isPsd() {
-    const MIME_TYPES = ["application/x-photoshop", "image/vnd.adobe.photoshop"];
-    const fileTypesFromHeader = [
-      "8BPS", // https://www.fileformat.info/format/psd/egff.htm
-    ];
+    return (await this._getImageFormat()) === MockupImageFormat.ImageFormat.Psd;
+  }
+
+  async _isTiff() {
     return (
-      MIME_TYPES.includes(this.file.type) ||
-      // Windows workaround
-      // https://stackoverflow.com/questions/51724649/mime-type-of-file-returning-empty-in-javascript-on-some-machines
-      fileTypesFromHeader.includes(await this._getFileTypeFromHeader())
+      (await this._getImageFormat()) === MockupImageFormat.ImageFormat.Tiff
     );
   }
 
-  _isImg() {
-    const MIME_TYPES = ["image/jpeg", "image/png"];
-    return MIME_TYPES.includes(this.file.type);
+  async _isSvg() {
+    return (await this._getImageFormat()) === MockupImageFormat.ImageFormat.Svg;
+  }
+
+  async _isVideo() {
+    return MockupImageFormat.isVideoFormat(await this._getImageFormat());
+  }
+
+  async _isImg() {
+    const format = await this._getImageFormat();
+    return format != null && format !== MockupImageFormat.ImageFormat.Psd;
   }
 
   async _verifyFileType() {
-    return (await this._isPsd()) || this._isImg();
+    return (await this._isPsd()) || (await this._isImg());
   }
 
   _verifyFileSize() {
@@ -125,11 +208,31 @@ export class ImageUpload {
   async _loadDimension() {
     if (await this._isPsd()) {
       return await this._loadPsdDimennsion();
+    } else if (await this._isTiff()) {
+      // Most browsers cannot display tiff, read the size from its header
+      return await this._loadTiffDimension();
+    } else if (await this._isVideo()) {
+      return await this._loadVideoDimension();
     } else {
       return await this._loadImageDimension();
     }
   }
 
+  // Replace the SVG file by a png such that the worker can decode it
+  async _rasterizeSvg() {
+    try {
+      const file = await rasterizeSvg(this.file, this.rasterizeResolution);
+      mobx.action(() => {
+        this.file = file;
+      })();
+      this.__imageFormat = MockupImageFormat.ImageFormat.Png;
+      return { type: "success" };
+    } catch (e) {
+      console.warn("failed to rasterize svg", e);
+      return { type: "failed", reason: ImageUploadState.ErrRead };
+    }
+  }
+
   _loadPsdDimennsion() {
     return new Promise((resolve) => {
       const fileReader = new FileReader();
@@ -156,6 +259,50 @@ export class ImageUpload {
     });
   }
 
+  async _loadTiffDimension() {
+    try {
+      const dimension = MockupImageFormat.readTiffDimension(
+        await this.file.arrayBuffer(),
+      );
+      if (dimension == null) {
+        return { type: "failed", reason: ImageUploadState.ErrRead };
+      }
+      mobx.action(() => {
+        this.width = dimension.width;
+        this.height = dimension.height;
+      })();
+      return { type: "success" };
+    } catch (e) {
+      console.warn("failed to read tiff dimension", e);
+      return { type: "failed", reason: ImageUploadState.ErrRead };
+    }
+  }
+
+  // Size and duration from the metadata, without decoding any frame
+  _loadVideoDimension() {
+    return new Promise((resolve) => {
+      const video = document.createElement("video");
+      const url = URL.createObjectURL(this.file);
+      video.preload = "metadata";
+      video.muted = true;
+      video.onloadedmetadata = () => {
+        mobx.action(() => {
+          this.width = video.videoWidth;
+          this.height = video.videoHeight;
+          this.duration = video.duration;
+        })();
+        URL.revokeObjectURL(url);
+        resolve({ type: "success" });
+      };
+      video.onerror = () => {
+        console.warn("onerror");
+        URL.revokeObjectURL(url);
+        resolve({ type: "failed", reason: ImageUploadState.ErrRead });
+      };
+      video.src = url;
+    });
+  }
+
   _loadImageDimension() {
     return new Promise((resolve) => {
       const fileReader = new FileReader();
@@ -0,0 +1,314 @@
+/*
+Require: mobx, mockup_protocol.js
+*/
+
+// Lower value runs first
+export const JobPriority = {
+  Preview: 0,
+  Mockup: 1,
+};
+
+export class JobCancelledError extends Error {
+  constructor() {
+    super("Job cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+// Weight of the latest job when updating the average job duration
+const DURATION_SMOOTHING = 0.3;
+
+// Loads pyodide once for the workers of every scheduler and tab
+const PYODIDE_WORKER_URL = "/scripts/mockup_pyodide_worker.js";
+
+// New connection to the shared pyodide worker, null without shared workers
+// (e.g. Chrome on Android), where each worker loads its own pyodide
+function createPyodidePort() {
+  if (typeof SharedWorker === "undefined") {
+    return null;
+  }
+  return new SharedWorker(PYODIDE_WORKER_URL, { name: "mockup-pyodide" }).port;
+}
+
+function connectPyodideWorker(worker) {
+  const port = createPyodidePort();
+  if (port == null) {
+    return;
+  }
+  worker.postMessage(MockupProtocol.createConnectPyodide(port), [port]);
+}
+
+/*
+Run jobs on a fixed pool of web workers.
+
+Jobs wait in a priority queue (FIFO within the same priority) and are
+dispatched as soon as a worker becomes idle. Each job carries `tags` which
+can be used to cancel a subset of jobs without touching the others.
+
+The pyodide renderer of every worker runs in one shared worker, such that
+pyodide is loaded once per browser session rather than once per worker.
+
+A watchdog recycles the worker of a job which has not sent any message for
+`jobTimeoutMs`, the job rejects with a `MockupError` of `ErrorCode.Timeout`.
+Pyodide jobs report `queued` every few seconds while they wait for pyodide,
+so only their running time counts. They run one at a time whatever the
+number of workers, which `etaSec` accounts for. Pyodide jobs which time out or are
+cancelled are also cancelled in the shared worker, which outlives the
+recycled workers.
+*/
+export class MockupScheduler {
+  workerUrl = null;
+  maxWorkers = 0;
+  // No watchdog if null
+  jobTimeoutMs = null;
+  queueDepth = 0;
+  runningCount = 0;
+  // Running jobs which reported `queued`, i.e. were sent to pyodide
+  pyodideRunningCount = 0;
+  averageJobDurationMs = null;
+  averagePyodideJobDurationMs = null;
+  // Smoothed share of pyodide jobs among the finished ones, for queued jobs
+  pyodideJobShare = null;
+
+  _slots = [];
+  _queue = [];
+  _sequence = 0;
+  // Own connection to the shared pyodide worker, to cancel jobs
+  _pyodidePort = null;
+
+  constructor(workerUrl, maxWorkers, jobTimeoutMs = null) {
+    mobx.makeObservable(this, {
+      queueDepth: mobx.observable,
+      runningCount: mobx.observable,
+      pyodideRunningCount: mobx.observable,
+      averageJobDurationMs: mobx.observable,
+      averagePyodideJobDurationMs: mobx.observable,
+      pyodideJobShare: mobx.observable,
+      pendingCount: mobx.computed,
+      etaSec: mobx.computed,
+      _updateCounts: mobx.action,
+      _recordDuration: mobx.action,
+    });
+    this.workerUrl = workerUrl;
+    this.maxWorkers = maxWorkers;
+    this.jobTimeoutMs = jobTimeoutMs;
+    this._pyodidePort = createPyodidePort();
+    for (let i = 0; i < maxWorkers; i += 1) {
+      this._slots.push(this._createSlot());
+    }
+  }
+
+  get pendingCount() {
+    return this.queueDepth + this.runningCount;
+  }
+
+  /*
+  Rough estimation of the remaining time, null until a job has finished.
+  Queued jobs are split by `pyodideJobShare`, pyodide jobs take their turn
+  one after another while the others share the workers.
+  */
+  get etaSec() {
+    const nativeDurationMs =
+      this.averageJobDurationMs ?? this.averagePyodideJobDurationMs;
+    const pyodideDurationMs =
+      this.averagePyodideJobDurationMs ?? this.averageJobDurationMs;
+    if (nativeDurationMs == null || this.pendingCount === 0) {
+      return null;
+    }
+    const pyodideCount =
+      this.pyodideRunningCount + this.queueDepth * (this.pyodideJobShare ?? 0);
+    const nativeCount = this.pendingCount - pyodideCount;
+    const rounds = Math.ceil(nativeCount / this.maxWorkers);
+    return Math.ceil(
+      (rounds * nativeDurationMs + pyodideCount * pyodideDurationMs) / 1000,
+    );
+  }
+
+  /*
+  Queue a render request (see mockup_protocol.js) to be posted to a worker.
+  Resolve with the final `result` or `error` response of the job, or reject
+  with `JobCancelledError` when the job is cancelled. `onProgress` receives
+  the `progress` responses.
+  */
+  schedule(
+    message,
+    {
+      priority = JobPriority.Mockup,
+      tags = {},
+      onProgress = null,
+      timeoutMs = this.jobTimeoutMs,
+    } = {},
+  ) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({
+        message,
+        priority,
+        tags,
+        onProgress,
+        timeoutMs,
+        sequence: this._sequence++,
+        resolve,
+        reject,
+      });
+      this._queue.sort(
+        (a, b) => a.priority - b.priority || a.sequence - b.sequence,
+      );
+      this._dispatch();
+    });
+  }
+
+  /*
+  Cancel queued and running jobs whose tags match `predicate`.
+  Only the workers running a cancelled job are restarted.
+  */
+  cancel(predicate) {
+    const cancelledJobs = this._queue.filter((job) => predicate(job.tags));
+    this._queue = this._queue.filter((job) => !predicate(job.tags));
+    cancelledJobs.forEach((job) => job.reject(new JobCancelledError()));
+
+    for (let i = 0; i < this._slots.length; i += 1) {
+      const job = this._slots[i].job;
+      if (job != null && predicate(job.tags)) {
+        clearTimeout(this._slots[i].watchdog);
+        this._slots[i].worker.terminate();
+        this._slots[i] = this._createSlot();
+        this._cancelPyodideJob(job);
+        job.reject(new JobCancelledError());
+      }
+    }
+    this._dispatch();
+  }
+
+  cancelAll() {
+    this.cancel(() => true);
+  }
+
+  _createSlot() {
+    const slot = {
+      worker: new Worker(this.workerUrl),
+      job: null,
+      startedAt: null,
+      watchdog: null,
+      isPyodideJob: false,
+    };
+    connectPyodideWorker(slot.worker);
+    slot.worker.addEventListener("message", (e) => {
+      const job = slot.job;
+      if (job == null || e.data?.jobId !== job.message.jobId) {
+        return;
+      }
+      if (!MockupProtocol.isFinalResponse(e.data)) {
+        if (e.data.stage === MockupProtocol.ProgressStage.Queued) {
+          // Waiting for pyodide is not part of the job duration
+          slot.startedAt = Date.now();
+          if (!slot.isPyodideJob) {
+            slot.isPyodideJob = true;
+            this._updateCounts();
+          }
+        }
+        this._watch(slot);
+        job.onProgress?.(e.data);
+        return;
+      }
+      this._recordDuration(Date.now() - slot.startedAt, slot.isPyodideJob);
+      this._finishJob(slot, (job) => job.resolve(e.data));
+    });
+    slot.worker.addEventListener("error", (e) => {
+      console.error("Mockup worker crashed", e);
+      slot.worker.terminate();
+      const index = this._slots.indexOf(slot);
+      if (index !== -1) {
+        this._slots[index] = this._createSlot();
+      }
+      this._finishJob(slot, (job) =>
+        job.reject(new Error(e.message ?? "Mockup worker crashed")),
+      );
+    });
+    return slot;
+  }
+
+  // (Re)start the watchdog of the job running on `slot`
+  _watch(slot) {
+    clearTimeout(slot.watchdog);
+    const timeoutMs = slot.job?.timeoutMs;
+    if (timeoutMs == null) {
+      return;
+    }
+    slot.watchdog = setTimeout(() => {
+      console.warn("Mockup job timed out", slot.job.message.jobId);
+      slot.worker.terminate();
+      const index = this._slots.indexOf(slot);
+      if (index !== -1) {
+        this._slots[index] = this._createSlot();
+      }
+      this._cancelPyodideJob(slot.job);
+      this._finishJob(slot, (job) =>
+        job.reject(
+          new MockupProtocol.MockupError(
+            MockupProtocol.ErrorCode.Timeout,
+            `No response from the worker in ${Math.round(timeoutMs / 1000)}s`,
+          ),
+        ),
+      );
+    }, timeoutMs);
+  }
+
+  // Drop the job from the shared pyodide worker, if it was sent there
+  _cancelPyodideJob(job) {
+    this._pyodidePort?.postMessage(
+      MockupProtocol.createCancel(job.message.jobId),
+    );
+  }
+
+  _finishJob(slot, settle) {
+    clearTimeout(slot.watchdog);
+    const job = slot.job;
+    slot.job = null;
+    slot.isPyodideJob = false;
+    if (job != null) {
+      settle(job);
+    }
+    this._dispatch();
+  }
+
+  _dispatch() {
+    for (const slot of this._slots) {
+      if (this._queue.length === 0) {
+        break;
+      }
+      if (slot.job != null) {
+        continue;
+      }
+      const job = this._queue.shift();
+      slot.job = job;
+      slot.startedAt = Date.now();
+      this._watch(slot);
+      slot.worker.postMessage(job.message);
+    }
+    this._updateCounts();
+  }
+
+  _updateCounts() {
+    this.queueDepth = this._queue.length;
+    this.runningCount = this._slots.filter((slot) => slot.job != null).length;
+    this.pyodideRunningCount = this._slots.filter(
+      (slot) => slot.job != null && slot.isPyodideJob,
+    ).length;
+  }
+
+  _recordDuration(durationMs, isPyodideJob) {
+    const smooth = (average, value) =>
+      average == null
+        ? value
+        : average * (1 - DURATION_SMOOTHING) + value * DURATION_SMOOTHING;
+    if (isPyodideJob) {
+      this.averagePyodideJobDurationMs = smooth(
+        this.averagePyodideJobDurationMs,
+        durationMs,
+      );
+    } else {
+      this.averageJobDurationMs = smooth(this.averageJobDurationMs, durationMs);
+    }
+    this.pyodideJobShare = smooth(this.pyodideJobShare, isPyodideJob ? 1 : 0);
+  }
+}
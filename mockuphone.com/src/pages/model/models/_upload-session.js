@@ -0,0 +1,47 @@
+import localforage from "localforage";
+import {
+  getMockupsSize,
+  removeItem,
+  setItemWithEviction,
+} from "../../../scripts/mockupStorage";
+
+// Bump when the stored session is no longer compatible
+// 2: generated mockups are stored as Blob instead of data url
+const SESSION_VERSION = 2;
+
+function getSessionKey(modelId) {
+  return `uploadSession/${modelId}`;
+}
+
+/*
+Persist the upload page of a model such that it can be restored after a
+reload, see `RootViewModel.sessionSnapshot` for the stored fields.
+*/
+export async function saveUploadSession(modelId, snapshot) {
+  const byteSize = snapshot.uploads.reduce(
+    (size, upload) =>
+      size +
+      upload.file.size +
+      getMockupsSize(Object.values(upload.generatedMockups)),
+    0,
+  );
+  // `savedAt` decides which session is evicted first when storage is full
+  await setItemWithEviction(
+    getSessionKey(modelId),
+    { ...snapshot, version: SESSION_VERSION, savedAt: Date.now() },
+    byteSize,
+  );
+}
+
+// Resolve with the stored snapshot, or null if none or outdated
+export async function loadUploadSession(modelId) {
+  const session = await localforage.getItem(getSessionKey(modelId));
+  if (session == null || session.version !== SESSION_VERSION) {
+    return null;
+  }
+  return session;
+}
+
+export async function clearUploadSession(modelId) {
+  await removeItem(getSessionKey(modelId));
+}
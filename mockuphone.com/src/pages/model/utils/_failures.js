@@ -0,0 +1,44 @@
+/*
+Require: mockup_protocol.js
+*/
+
+// Why a mockup failed, grouped from `MockupProtocol.ErrorCode`
+export const FailureReason = {
+  Decode: "decode",
+  UnsupportedMode: "unsupportedMode",
+  OutOfMemory: "outOfMemory",
+  Timeout: "timeout",
+  Render: "render",
+};
+
+const FAILURE_REASON_LABELS = {
+  [FailureReason.Decode]: "Cannot decode the file",
+  [FailureReason.UnsupportedMode]: "Unsupported file type or color mode",
+  [FailureReason.OutOfMemory]: "Out of memory, try a smaller output size",
+  [FailureReason.Timeout]: "Timed out",
+  [FailureReason.Render]: "Rendering failed",
+};
+
+// `error` is the `{ code, message }` of a worker error response
+export function getFailureReason(error) {
+  const { ErrorCode } = MockupProtocol;
+  switch (error?.code) {
+    case ErrorCode.Decode:
+      return FailureReason.Decode;
+    case ErrorCode.UnsupportedFileType:
+    case ErrorCode.UnsupportedMode:
+      return FailureReason.UnsupportedMode;
+    case ErrorCode.OutOfMemory:
+      return FailureReason.OutOfMemory;
+    case ErrorCode.Timeout:
+      return FailureReason.Timeout;
+    default:
+      return FailureReason.Render;
+  }
+}
+
+export function getFailureReasonLabel(reason) {
+  return (
+    FAILURE_REASON_LABELS[reason] ?? FAILURE_REASON_LABELS[FailureReason.Render]
+  );
+}
@@ -4,3 +4,36 @@ export function isSameAspectRatio(givenDim, expectedDim, threshold = 0.1) {
   const expectedRatio = expectedDim.width / expectedDim.height;
   return Math.abs(givenRatio - expectedRatio) < threshold;
 }
+
+// Screen dimension expected by an orientation (quad `coords`) of a device:
+// `displayResolution`, swapped if the screen is rotated in the template
+export function getOrientationScreenDim(displayResolution, coords) {
+  const xs = coords.map((c) => c[0]);
+  const ys = coords.map((c) => c[1]);
+  const isLandscapeScreen =
+    Math.max(...xs) - Math.min(...xs) > Math.max(...ys) - Math.min(...ys);
+  const [width, height] = displayResolution;
+  return isLandscapeScreen === width > height
+    ? { width, height }
+    : { width: height, height: width };
+}
+
+// Names in `orientations` whose screen of `device` has the aspect ratio of
+// `imageDim`
+export function getMatchingOrientations(device, imageDim, orientations) {
+  return orientations.filter((orientation) => {
+    const orientationSpec = device.orientations.find(
+      (o) => o.name === orientation,
+    );
+    if (orientationSpec == null) {
+      return false;
+    }
+    return isSameAspectRatio(
+      imageDim,
+      getOrientationScreenDim(
+        device.display_resolution,
+        orientationSpec.coords,
+      ),
+    );
+  });
+}
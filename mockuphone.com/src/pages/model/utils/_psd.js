@@ -0,0 +1,831 @@
+/*
+Read the layer structure of a PSD such that its artboards, layer comps and
+top-level groups can be imported as separate screenshots.
+
+The bundled psd.js only reads the layer records it needs for the flattened
+image, without artboards, layer comps, layer masks or zip compressed channels,
+so layers are read and composited here. Only 8 bits RGB and grayscale PSDs are
+supported, layer effects and adjustment layers are not rendered.
+*/
+
+export const PsdSourceType = {
+  Artboard: "artboard",
+  LayerComp: "layerComp",
+  Group: "group",
+};
+
+const LAYER_COMPS_RESOURCE_ID = 1065;
+
+const ColorMode = {
+  Grayscale: 1,
+  Rgb: 3,
+};
+
+const SectionType = {
+  Layer: 0,
+  OpenFolder: 1,
+  ClosedFolder: 2,
+  BoundingDivider: 3,
+};
+
+const ChannelId = {
+  Alpha: -1,
+  UserMask: -2,
+};
+
+const Compression = {
+  Raw: 0,
+  Rle: 1,
+  Zip: 2,
+  ZipPrediction: 3,
+};
+
+// Layer blend mode key to canvas composite operation
+const BLEND_MODES = {
+  norm: "source-over",
+  pass: "source-over",
+  "mul ": "multiply",
+  scrn: "screen",
+  over: "overlay",
+  dark: "darken",
+  lite: "lighten",
+  "div ": "color-dodge",
+  idiv: "color-burn",
+  hLit: "hard-light",
+  sLit: "soft-light",
+  diff: "difference",
+  smud: "exclusion",
+  "hue ": "hue",
+  "sat ": "saturation",
+  colr: "color",
+  "lum ": "luminosity",
+};
+
+// `artboardBackgroundType` of the artboard descriptor
+const ArtboardBackground = {
+  White: 1,
+  Black: 2,
+  Transparent: 3,
+  Other: 4,
+};
+
+class PsdReader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.bytes = new Uint8Array(buffer);
+    this.pos = 0;
+  }
+
+  skip(length) {
+    this.pos += length;
+  }
+
+  readUint8() {
+    return this.view.getUint8(this.pos++);
+  }
+
+  readUint16() {
+    const value = this.view.getUint16(this.pos);
+    this.pos += 2;
+    return value;
+  }
+
+  readInt16() {
+    const value = this.view.getInt16(this.pos);
+    this.pos += 2;
+    return value;
+  }
+
+  readUint32() {
+    const value = this.view.getUint32(this.pos);
+    this.pos += 4;
+    return value;
+  }
+
+  readInt32() {
+    const value = this.view.getInt32(this.pos);
+    this.pos += 4;
+    return value;
+  }
+
+  readFloat64() {
+    const value = this.view.getFloat64(this.pos);
+    this.pos += 8;
+    return value;
+  }
+
+  readString(length) {
+    const bytes = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return String.fromCharCode(...bytes);
+  }
+
+  // Length byte and characters, padded to a multiple of `padding` bytes
+  readPascalString(padding) {
+    const length = this.readUint8();
+    const value = this.readString(length);
+    const size = length + 1;
+    this.skip((padding - (size % padding)) % padding);
+    return value;
+  }
+
+  readUnicodeString() {
+    const length = this.readUint32();
+    let value = "";
+    for (let i = 0; i < length; i++) {
+      value += String.fromCharCode(this.readUint16());
+    }
+    return value.replace(/\0+$/, "");
+  }
+
+  // Class id or key of a descriptor, 4 characters if the length is 0
+  readKey() {
+    const length = this.readUint32();
+    return this.readString(length === 0 ? 4 : length);
+  }
+}
+
+function readDescriptor(reader) {
+  reader.readUnicodeString();
+  reader.readKey();
+  const count = reader.readUint32();
+  const descriptor = {};
+  for (let i = 0; i < count; i++) {
+    const key = reader.readKey();
+    descriptor[key] = readDescriptorValue(reader, reader.readString(4));
+  }
+  return descriptor;
+}
+
+function readDescriptorValue(reader, type) {
+  switch (type) {
+    case "Objc":
+    case "GlbO":
+      return readDescriptor(reader);
+    case "VlLs": {
+      const count = reader.readUint32();
+      const values = [];
+      for (let i = 0; i < count; i++) {
+        values.push(readDescriptorValue(reader, reader.readString(4)));
+      }
+      return values;
+    }
+    case "doub":
+      return reader.readFloat64();
+    case "UntF":
+      reader.skip(4);
+      return reader.readFloat64();
+    case "UnFl": {
+      reader.skip(4);
+      const count = reader.readUint32();
+      const values = [];
+      for (let i = 0; i < count; i++) {
+        values.push(reader.readFloat64());
+      }
+      return values;
+    }
+    case "TEXT":
+      return reader.readUnicodeString();
+    case "enum":
+      reader.readKey();
+      return reader.readKey();
+    case "long":
+      return reader.readInt32();
+    case "comp": {
+      const high = reader.readInt32();
+      return high * 2 ** 32 + reader.readUint32();
+    }
+    case "bool":
+      return reader.readUint8() !== 0;
+    case "type":
+    case "GlbC":
+      reader.readUnicodeString();
+      return reader.readKey();
+    case "alis":
+    case "tdta":
+    case "Pth ":
+      reader.skip(reader.readUint32());
+      return null;
+    default:
+      // e.g. references, which are not used by artboards or layer comps
+      throw new Error(`Unsupported descriptor type: ${type}`);
+  }
+}
+
+// Descriptor preceded by its version, null if it cannot be read
+function readVersionedDescriptor(reader) {
+  try {
+    reader.readUint32();
+    return readDescriptor(reader);
+  } catch (e) {
+    console.warn("Cannot read PSD descriptor", e);
+    return null;
+  }
+}
+
+function readLayerComps(reader, end) {
+  while (reader.pos < end) {
+    reader.skip(4);
+    const id = reader.readUint16();
+    reader.readPascalString(2);
+    const size = reader.readUint32();
+    const start = reader.pos;
+    if (id === LAYER_COMPS_RESOURCE_ID) {
+      const descriptor = readVersionedDescriptor(reader);
+      return (descriptor?.list ?? []).map((comp) => ({
+        id: comp.compID,
+        name: comp["Nm  "] ?? `Layer comp ${comp.compID}`,
+        // Bit 0 of `capturedInfo`, otherwise the comp keeps the visibility
+        // of the document
+        hasVisibility: ((comp.capturedInfo ?? 1) & 1) !== 0,
+      }));
+    }
+    reader.pos = start + size + (size % 2);
+  }
+  return [];
+}
+
+// Visibility of the layer in each layer comp, from its `cmls` metadata
+function readCompSettings(reader) {
+  const count = reader.readUint32();
+  for (let i = 0; i < count; i++) {
+    reader.skip(4);
+    const key = reader.readString(4);
+    reader.skip(4);
+    const length = reader.readUint32();
+    const start = reader.pos;
+    if (key === "cmls") {
+      const descriptor = readVersionedDescriptor(reader);
+      return (descriptor?.layerSettings ?? []).map((setting) => ({
+        compIds: setting.compList ?? [],
+        visible: setting.enab,
+      }));
+    }
+    reader.pos = start + length;
+  }
+  return [];
+}
+
+function readArtboard(reader) {
+  const descriptor = readVersionedDescriptor(reader);
+  const rect = descriptor?.artboardRect;
+  if (rect == null) {
+    return null;
+  }
+  const color = descriptor["Clr "];
+  return {
+    top: Math.round(rect["Top "]),
+    left: Math.round(rect.Left),
+    bottom: Math.round(rect.Btom),
+    right: Math.round(rect.Rght),
+    background: descriptor.artboardBackgroundType ?? ArtboardBackground.White,
+    color:
+      color == null
+        ? null
+        : `rgb(${color["Rd  "]} ${color["Grn "]} ${color["Bl  "]})`,
+  };
+}
+
+function readLayerRecord(reader) {
+  const layer = {
+    top: reader.readInt32(),
+    left: reader.readInt32(),
+    bottom: reader.readInt32(),
+    right: reader.readInt32(),
+    channels: [],
+    mask: null,
+    sectionType: SectionType.Layer,
+    artboard: null,
+    compSettings: [],
+  };
+  const channelCount = reader.readUint16();
+  for (let i = 0; i < channelCount; i++) {
+    layer.channels.push({
+      id: reader.readInt16(),
+      length: reader.readUint32(),
+    });
+  }
+  reader.skip(4);
+  layer.blendMode = reader.readString(4);
+  layer.opacity = reader.readUint8();
+  layer.clipping = reader.readUint8() !== 0;
+  layer.hidden = (reader.readUint8() & 0x02) !== 0;
+  reader.skip(1);
+  const extraLength = reader.readUint32();
+  const extraEnd = reader.pos + extraLength;
+
+  const maskLength = reader.readUint32();
+  const maskEnd = reader.pos + maskLength;
+  if (maskLength >= 20) {
+    layer.mask = {
+      top: reader.readInt32(),
+      left: reader.readInt32(),
+      bottom: reader.readInt32(),
+      right: reader.readInt32(),
+      defaultColor: reader.readUint8(),
+      disabled: (reader.readUint8() & 0x02) !== 0,
+    };
+  }
+  reader.pos = maskEnd;
+  reader.skip(reader.readUint32());
+  layer.name = reader.readPascalString(4);
+
+  while (reader.pos + 12 <= extraEnd) {
+    const signature = reader.readString(4);
+    if (signature !== "8BIM" && signature !== "8B64") {
+      break;
+    }
+    const key = reader.readString(4);
+    const length = reader.readUint32();
+    const start = reader.pos;
+    switch (key) {
+      case "luni":
+        layer.name = reader.readUnicodeString();
+        break;
+      case "lsct":
+      case "lsdk":
+        layer.sectionType = reader.readUint32();
+        break;
+      case "artb":
+      case "artd":
+      case "abdd":
+        layer.artboard = readArtboard(reader);
+        break;
+      case "shmd":
+        layer.compSettings = readCompSettings(reader);
+        break;
+    }
+    reader.pos = start + length + (length % 2);
+  }
+  reader.pos = extraEnd;
+  return layer;
+}
+
+// Nest layers (top-most first) into groups of `{ layer, children }`
+function createLayerTree(layers) {
+  const root = { layer: null, children: [] };
+  const stack = [root];
+  layers.forEach((layer) => {
+    const parent = stack[stack.length - 1];
+    if (
+      layer.sectionType === SectionType.OpenFolder ||
+      layer.sectionType === SectionType.ClosedFolder
+    ) {
+      const node = { layer, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (layer.sectionType === SectionType.BoundingDivider) {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    } else {
+      parent.children.push({ layer, children: null });
+    }
+  });
+  return root;
+}
+
+function isLayerVisible(layer, compId) {
+  if (compId != null) {
+    const setting = layer.compSettings.find((s) => s.compIds.includes(compId));
+    if (setting?.visible != null) {
+      return setting.visible;
+    }
+  }
+  return !layer.hidden;
+}
+
+function toBounds({ top, left, bottom, right }) {
+  return { top, left, bottom, right };
+}
+
+// Union of the bounds of the visible pixel layers of `nodes`
+function getVisibleBounds(nodes, compId) {
+  let bounds = null;
+  nodes.forEach(({ layer, children }) => {
+    if (!isLayerVisible(layer, compId)) {
+      return;
+    }
+    const layerBounds =
+      children != null
+        ? getVisibleBounds(children, compId)
+        : layer.right > layer.left && layer.bottom > layer.top
+        ? toBounds(layer)
+        : null;
+    if (layerBounds == null) {
+      return;
+    }
+    bounds =
+      bounds == null
+        ? layerBounds
+        : {
+            top: Math.min(bounds.top, layerBounds.top),
+            left: Math.min(bounds.left, layerBounds.left),
+            bottom: Math.max(bounds.bottom, layerBounds.bottom),
+            right: Math.max(bounds.right, layerBounds.right),
+          };
+  });
+  return bounds;
+}
+
+function getSources(psdDocument) {
+  const artboards = [];
+  const groups = [];
+  psdDocument.tree.children.forEach((node, index) => {
+    if (node.children == null) {
+      return;
+    }
+    const { artboard, name } = node.layer;
+    const bounds =
+      artboard != null
+        ? toBounds(artboard)
+        : getVisibleBounds(node.children, null);
+    if (bounds == null) {
+      return;
+    }
+    const source = {
+      id: `${index}`,
+      type: artboard != null ? PsdSourceType.Artboard : PsdSourceType.Group,
+      name: name,
+      node: node,
+      bounds: bounds,
+      width: bounds.right - bounds.left,
+      height: bounds.bottom - bounds.top,
+    };
+    (artboard != null ? artboards : groups).push(source);
+  });
+  const layerComps = psdDocument.layerComps.map((comp) => ({
+    id: `comp-${comp.id}`,
+    type: PsdSourceType.LayerComp,
+    name: comp.name,
+    comp: comp,
+    bounds: {
+      top: 0,
+      left: 0,
+      bottom: psdDocument.height,
+      right: psdDocument.width,
+    },
+    width: psdDocument.width,
+    height: psdDocument.height,
+  }));
+  return [...artboards, ...layerComps, ...groups].filter(
+    (source) => source.width > 0 && source.height > 0,
+  );
+}
+
+/*
+Read the layers of the PSD `file`. Resolve with
+`{ name, buffer, width, height, tree, layerComps, sources }`, where `sources`
+are the artboards, layer comps and top-level groups which can be rendered by
+`renderPsdSource`, or null if the PSD is not supported.
+*/
+export async function readPsdDocument(file) {
+  const buffer = await file.arrayBuffer();
+  const reader = new PsdReader(buffer);
+  if (reader.readString(4) !== "8BPS" || reader.readUint16() !== 1) {
+    return null;
+  }
+  reader.skip(6);
+  reader.skip(2);
+  const height = reader.readUint32();
+  const width = reader.readUint32();
+  const depth = reader.readUint16();
+  const colorMode = reader.readUint16();
+  if (
+    depth !== 8 ||
+    (colorMode !== ColorMode.Rgb && colorMode !== ColorMode.Grayscale)
+  ) {
+    return null;
+  }
+  reader.skip(reader.readUint32());
+
+  const resourcesLength = reader.readUint32();
+  const resourcesEnd = reader.pos + resourcesLength;
+  const layerComps = readLayerComps(reader, resourcesEnd);
+  reader.pos = resourcesEnd;
+
+  const layerMaskLength = reader.readUint32();
+  const layerInfoLength = layerMaskLength > 0 ? reader.readUint32() : 0;
+  if (layerInfoLength === 0) {
+    return null;
+  }
+  const layerCount = Math.abs(reader.readInt16());
+  const layers = [];
+  for (let i = 0; i < layerCount; i++) {
+    layers.push(readLayerRecord(reader));
+  }
+  // Channel image data follows the records in the same order
+  layers.forEach((layer) => {
+    layer.channels.forEach((channel) => {
+      channel.offset = reader.pos;
+      reader.skip(channel.length);
+    });
+  });
+
+  const psdDocument = {
+    name: file.name,
+    buffer,
+    width,
+    height,
+    colorMode,
+    // Records are stored bottom-most first
+    tree: createLayerTree(layers.reverse()),
+    layerComps,
+  };
+  psdDocument.sources = getSources(psdDocument);
+  return psdDocument;
+}
+
+// Decode the PackBits compressed rows of a channel
+function decodeRle(bytes, width, height) {
+  const output = new Uint8Array(width * height);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = height * 2;
+  for (let row = 0; row < height; row++) {
+    const rowEnd = pos + view.getUint16(row * 2);
+    let outPos = row * width;
+    while (pos < rowEnd) {
+      const header = view.getInt8(pos++);
+      if (header >= 0) {
+        const count = header + 1;
+        output.set(bytes.subarray(pos, pos + count), outPos);
+        pos += count;
+        outPos += count;
+      } else if (header !== -128) {
+        const count = 1 - header;
+        output.fill(bytes[pos++], outPos, outPos + count);
+        outPos += count;
+      }
+    }
+  }
+  return output;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decodeChannel(buffer, channel, width, height) {
+  const view = new DataView(buffer, channel.offset, channel.length);
+  const compression = view.getUint16(0);
+  const bytes = new Uint8Array(buffer, channel.offset + 2, channel.length - 2);
+  switch (compression) {
+    case Compression.Raw:
+      return bytes.subarray(0, width * height);
+    case Compression.Rle:
+      return decodeRle(bytes, width, height);
+    case Compression.Zip:
+      return await inflate(bytes);
+    case Compression.ZipPrediction: {
+      // Each byte is the delta to the previous one of the row
+      const output = await inflate(bytes);
+      for (let row = 0; row < height; row++) {
+        for (let x = 1; x < width; x++) {
+          const i = row * width + x;
+          output[i] = (output[i] + output[i - 1]) & 0xff;
+        }
+      }
+      return output;
+    }
+    default:
+      throw new Error(`Unsupported PSD compression: ${compression}`);
+  }
+}
+
+// Canvas of the layer pixels with its mask applied, null if it has none
+async function decodeLayerCanvas(psdDocument, layer) {
+  const width = layer.right - layer.left;
+  const height = layer.bottom - layer.top;
+  if (width <= 0 || height <= 0) {
+    return null;
+  }
+  const imageData = new ImageData(width, height);
+  const pixels = imageData.data;
+  pixels.fill(255);
+  const colorOffsets =
+    psdDocument.colorMode === ColorMode.Grayscale
+      ? [[0, 1, 2]]
+      : [[0], [1], [2]];
+
+  for (const channel of layer.channels) {
+    if (channel.length <= 2) {
+      continue;
+    }
+    if (channel.id === ChannelId.UserMask) {
+      const { mask } = layer;
+      if (mask == null || mask.disabled) {
+        continue;
+      }
+      const maskWidth = mask.right - mask.left;
+      const maskHeight = mask.bottom - mask.top;
+      const data = await decodeChannel(
+        psdDocument.buffer,
+        channel,
+        maskWidth,
+        maskHeight,
+      );
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const maskX = x + layer.left - mask.left;
+          const maskY = y + layer.top - mask.top;
+          const value =
+            maskX >= 0 && maskX < maskWidth && maskY >= 0 && maskY < maskHeight
+              ? data[maskY * maskWidth + maskX]
+              : mask.defaultColor;
+          const i = (y * width + x) * 4 + 3;
+          pixels[i] = (pixels[i] * value) / 255;
+        }
+      }
+      continue;
+    }
+    const offsets =
+      channel.id === ChannelId.Alpha ? null : colorOffsets[channel.id];
+    if (channel.id !== ChannelId.Alpha && offsets == null) {
+      continue;
+    }
+    const data = await decodeChannel(
+      psdDocument.buffer,
+      channel,
+      width,
+      height,
+    );
+    if (offsets == null) {
+      for (let i = 0; i < width * height; i++) {
+        pixels[i * 4 + 3] = (pixels[i * 4 + 3] * data[i]) / 255;
+      }
+    } else {
+      offsets.forEach((offset) => {
+        for (let i = 0; i < width * height; i++) {
+          pixels[i * 4 + offset] = data[i];
+        }
+      });
+    }
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+function createCanvas(bounds) {
+  const canvas = document.createElement("canvas");
+  canvas.width = bounds.right - bounds.left;
+  canvas.height = bounds.bottom - bounds.top;
+  return canvas;
+}
+
+// Draw `canvas` with the opacity and blend mode of `layer`
+function blendCanvas(ctx, canvas, layer, x = 0, y = 0) {
+  ctx.save();
+  ctx.globalAlpha = layer.opacity / 255;
+  ctx.globalCompositeOperation = BLEND_MODES[layer.blendMode] ?? "source-over";
+  ctx.drawImage(canvas, x, y);
+  ctx.restore();
+}
+
+// Canvas covering `bounds` of the document with `node` drawn, groups are
+// composited on their own before being blended
+async function renderNode(psdDocument, bounds, node, compId) {
+  const canvas = createCanvas(bounds);
+  const ctx = canvas.getContext("2d");
+  if (node.children != null) {
+    await drawNodes(psdDocument, ctx, bounds, node.children, compId);
+    return canvas;
+  }
+  const layerCanvas = await decodeLayerCanvas(psdDocument, node.layer);
+  if (layerCanvas == null) {
+    return null;
+  }
+  ctx.drawImage(
+    layerCanvas,
+    node.layer.left - bounds.left,
+    node.layer.top - bounds.top,
+  );
+  return canvas;
+}
+
+/*
+Draw `nodes` (top-most first) bottom up onto `ctx`, whose canvas covers
+`bounds` of the document. Clipping masks are clipped to the layer below them.
+*/
+async function drawNodes(psdDocument, ctx, bounds, nodes, compId) {
+  const bottomUpNodes = [...nodes].reverse();
+  for (let i = 0; i < bottomUpNodes.length; i++) {
+    const baseNode = bottomUpNodes[i];
+    const clippedNodes = [];
+    while (bottomUpNodes[i + 1]?.layer.clipping) {
+      clippedNodes.push(bottomUpNodes[++i]);
+    }
+    const { layer } = baseNode;
+    if (!isLayerVisible(layer, compId)) {
+      continue;
+    }
+    // Plain layers are drawn as is, without a canvas of the whole bounds
+    if (baseNode.children == null && clippedNodes.length === 0) {
+      const layerCanvas = await decodeLayerCanvas(psdDocument, layer);
+      if (layerCanvas != null) {
+        blendCanvas(
+          ctx,
+          layerCanvas,
+          layer,
+          layer.left - bounds.left,
+          layer.top - bounds.top,
+        );
+      }
+      continue;
+    }
+    const canvas = await renderNode(psdDocument, bounds, baseNode, compId);
+    if (canvas == null) {
+      continue;
+    }
+    const canvasCtx = canvas.getContext("2d");
+    for (const clippedNode of clippedNodes) {
+      if (!isLayerVisible(clippedNode.layer, compId)) {
+        continue;
+      }
+      const clippedCanvas = await renderNode(
+        psdDocument,
+        bounds,
+        clippedNode,
+        compId,
+      );
+      if (clippedCanvas == null) {
+        continue;
+      }
+      canvasCtx.save();
+      canvasCtx.globalAlpha = clippedNode.layer.opacity / 255;
+      canvasCtx.globalCompositeOperation = "source-atop";
+      canvasCtx.drawImage(clippedCanvas, 0, 0);
+      canvasCtx.restore();
+    }
+    blendCanvas(ctx, canvas, layer);
+  }
+}
+
+function fillArtboardBackground(ctx, artboard) {
+  const colors = {
+    [ArtboardBackground.White]: "#ffffff",
+    [ArtboardBackground.Black]: "#000000",
+    [ArtboardBackground.Other]: artboard.color ?? "#ffffff",
+  };
+  const color = colors[artboard.background];
+  if (color == null) {
+    return;
+  }
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+}
+
+/*
+Render one of `psdDocument.sources` to a png `File`, named after the PSD and
+the source. Hidden layers are skipped, in a layer comp the visibility captured
+by the comp is used. An artboard or a group is rendered even if it is hidden
+itself, as it is picked by the user.
+*/
+export async function renderPsdSource(psdDocument, source) {
+  const canvas = createCanvas(source.bounds);
+  const ctx = canvas.getContext("2d");
+  if (source.type === PsdSourceType.LayerComp) {
+    const compId = source.comp.hasVisibility ? source.comp.id : null;
+    await drawNodes(
+      psdDocument,
+      ctx,
+      source.bounds,
+      psdDocument.tree.children,
+      compId,
+    );
+  } else {
+    const { layer, children } = source.node;
+    if (layer.artboard != null) {
+      fillArtboardBackground(ctx, layer.artboard);
+    }
+    const groupCanvas = createCanvas(source.bounds);
+    await drawNodes(
+      psdDocument,
+      groupCanvas.getContext("2d"),
+      source.bounds,
+      children,
+      null,
+    );
+    blendCanvas(ctx, groupCanvas, layer);
+  }
+
+  const pngBlob = await new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob == null) {
+        reject(new Error("Failed to encode PSD layers"));
+      } else {
+        resolve(blob);
+      }
+    }, "image/png");
+  });
+  const basename = psdDocument.name.replace(/\.[^.]*$/, "");
+  return new File([pngBlob], `${basename}-${source.name}.png`, {
+    type: "image/png",
+  });
+}
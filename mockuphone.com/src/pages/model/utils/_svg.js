@@ -0,0 +1,151 @@
+// Elements which can run scripts, embed documents or load external resources
+const UNSAFE_ELEMENTS = [
+  "script",
+  "foreignObject",
+  "iframe",
+  "embed",
+  "object",
+  "audio",
+  "video",
+];
+
+// Only references to the document itself or to inline images are kept
+function isSafeReference(url) {
+  const trimmed = url.trim().replace(/^['"]|['"]$/g, "");
+  return (
+    trimmed.startsWith("#") || /^data:image\/(png|jpeg|gif|webp)/i.test(trimmed)
+  );
+}
+
+function sanitizeCss(css) {
+  return css
+    .replace(/@import[^;]*;?/gi, "")
+    .replace(/url\(([^)]*)\)/gi, (match, url) =>
+      isSafeReference(url) ? match : "none",
+    );
+}
+
+function parseLength(value) {
+  // Percentage and font relative lengths cannot be resolved without a viewport
+  if (value == null || !/^\s*[\d.]+\s*(px)?\s*$/.test(value)) {
+    return null;
+  }
+  const length = parseFloat(value);
+  return length > 0 ? length : null;
+}
+
+// Intrinsic size from `viewBox`, or `width` and `height`
+function getSvgDimension(svg) {
+  const viewBox = svg.getAttribute("viewBox");
+  if (viewBox != null) {
+    const [, , width, height] = viewBox.split(/[\s,]+/).map(parseFloat);
+    if (width > 0 && height > 0) {
+      return { width, height };
+    }
+  }
+  const width = parseLength(svg.getAttribute("width"));
+  const height = parseLength(svg.getAttribute("height"));
+  if (width != null && height != null) {
+    return { width, height };
+  }
+  return null;
+}
+
+/*
+Parse `svgText` and strip scripts, event handlers and external references.
+Return the root `<svg>` element, or null if `svgText` is not a valid SVG.
+*/
+export function sanitizeSvg(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, "image/svg+xml");
+  const svg = doc.documentElement;
+  if (
+    doc.querySelector("parsererror") != null ||
+    svg.localName !== "svg" ||
+    svg.namespaceURI !== "http://www.w3.org/2000/svg"
+  ) {
+    return null;
+  }
+
+  UNSAFE_ELEMENTS.forEach((name) => {
+    svg.querySelectorAll(name).forEach((node) => node.remove());
+  });
+
+  [svg, ...svg.querySelectorAll("*")].forEach((node) => {
+    Array.from(node.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (name.startsWith("on")) {
+        node.removeAttribute(attr.name);
+      } else if (
+        (name === "href" || name === "xlink:href") &&
+        !isSafeReference(attr.value)
+      ) {
+        node.removeAttribute(attr.name);
+      } else if (name === "style") {
+        node.setAttribute(attr.name, sanitizeCss(attr.value));
+      } else if (/url\(/i.test(attr.value)) {
+        // e.g. fill="url(https://...)"
+        node.setAttribute(attr.name, sanitizeCss(attr.value));
+      }
+    });
+  });
+  svg.querySelectorAll("style").forEach((node) => {
+    node.textContent = sanitizeCss(node.textContent);
+  });
+  return svg;
+}
+
+/*
+Rasterize a SVG file to a png `File` with the same name.
+
+The output is exactly `resolution` ([width, height], e.g. `display_resolution`
+of the device), swapped if the SVG is closer to the rotated aspect ratio, such
+that the worker fits it to the screen without resampling.
+*/
+export async function rasterizeSvg(file, resolution) {
+  const svg = sanitizeSvg(await file.text());
+  if (svg == null) {
+    throw new Error("Invalid SVG");
+  }
+  const dimension = getSvgDimension(svg);
+  let [width, height] = resolution;
+  if (dimension != null) {
+    const ratio = dimension.width / dimension.height;
+    if (Math.abs(height / width - ratio) < Math.abs(width / height - ratio)) {
+      [width, height] = [height, width];
+    }
+    if (!svg.hasAttribute("viewBox")) {
+      svg.setAttribute("viewBox", `0 0 ${dimension.width} ${dimension.height}`);
+    }
+  }
+  svg.setAttribute("width", String(width));
+  svg.setAttribute("height", String(height));
+
+  const svgBlob = new Blob([new XMLSerializer().serializeToString(svg)], {
+    type: "image/svg+xml",
+  });
+  const url = URL.createObjectURL(svgBlob);
+  try {
+    const img = new Image(width, height);
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = () => reject(new Error("Failed to load SVG"));
+      img.src = url;
+    });
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+    const pngBlob = await new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob == null) {
+          reject(new Error("Failed to encode SVG"));
+        } else {
+          resolve(blob);
+        }
+      }, "image/png");
+    });
+    return new File([pngBlob], file.name, { type: "image/png" });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,16 @@
+const MAX_FIREFOX_WEB_WORKERS = 2;
+const DEFAULT_MAX_WEB_WORKERS = 4; // most CPUs at least have 4 cores nowadays
+function isUserAgentFirefox() {
+  return navigator.userAgent.match(/firefox|fxios/i);
+}
+
+export function getMaxWorkers() {
+  if (isUserAgentFirefox()) {
+    return MAX_FIREFOX_WEB_WORKERS;
+  }
+  if (navigator.hardwareConcurrency == null) {
+    // browser does not support navigator.hardwareConcurrency, fallback to default
+    return DEFAULT_MAX_WEB_WORKERS;
+  }
+  return navigator.hardwareConcurrency;
+}
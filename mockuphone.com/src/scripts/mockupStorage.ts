@@ -0,0 +1,264 @@
+import localforage from "localforage";
+import { ulid } from "ulid";
+
+// Id of the last generation, read by the download page
+const LATEST_GENERATION_KEY = "latestMockupGeneration";
+// Every generation is kept as one item until deleted or evicted
+const GENERATION_KEY_PREFIX = "mockupHistory/";
+// Prefix of items which can be dropped to make space, oldest first
+const EVICTABLE_KEY_PREFIXES = ["uploadSession/", GENERATION_KEY_PREFIX];
+// `savedAt` of every evictable item, such that eviction does not have to
+// load them
+const SAVED_AT_INDEX_KEY = "savedAtIndex";
+// Leave some room for the browser and other origins sharing the quota
+const MAX_QUOTA_USAGE_RATIO = 0.8;
+
+export interface GeneratedMockup {
+  // Assigned when the generation is saved
+  id?: string;
+  image: string;
+  // [output name, image blob] if generated successfully
+  results: [string, Blob] | null;
+  status: "success" | "failed";
+  error?: object;
+  // Size of the output image, null if unknown (e.g. pyodide renderer)
+  width?: number | null;
+  height?: number | null;
+  // Time the worker result arrived, the save time if unknown
+  generatedAt?: number;
+  deviceId?: string;
+  colorName?: string | null;
+  group?: string;
+  // Everything needed to generate the mockup again
+  sourceId?: string;
+  // Name of the uploaded screenshot, for the file name of the mockup
+  sourceName?: string;
+  orientation?: string;
+  options?: object;
+  output?: object;
+  // Animation options of screen recordings, null for images
+  video?: object | null;
+  // Small preview of the mockup, created by the history gallery
+  thumbnail?: Blob | null;
+}
+
+export interface MockupGeneration {
+  id: string;
+  savedAt: number;
+  // Source id to the uploaded screenshot, shared by mockups of the same image
+  sources: Record<string, Blob>;
+  mockups: GeneratedMockup[];
+}
+
+interface EvictableItem {
+  savedAt?: number;
+}
+
+function isQuotaExceededError(error: unknown): boolean {
+  return (
+    error instanceof DOMException &&
+    (error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED")
+  );
+}
+
+function getGenerationKey(generationId: string): string {
+  return `${GENERATION_KEY_PREFIX}${generationId}`;
+}
+
+export function getMockupsSize(mockups: GeneratedMockup[]): number {
+  return mockups.reduce(
+    (size, mockup) =>
+      size + (mockup.results?.[1].size ?? 0) + (mockup.thumbnail?.size ?? 0),
+    0,
+  );
+}
+
+function getGenerationSize(generation: MockupGeneration): number {
+  return (
+    getMockupsSize(generation.mockups) +
+    Object.values(generation.sources).reduce(
+      (size, source) => size + source.size,
+      0,
+    )
+  );
+}
+
+function isEvictableKey(key: string): boolean {
+  return EVICTABLE_KEY_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+// Updates of the index are read-modify-write, run them one by one
+let savedAtIndexLock: Promise<void> = Promise.resolve();
+function updateSavedAtIndex(
+  update: (index: Record<string, number>) => void,
+): Promise<void> {
+  const run = savedAtIndexLock.then(async () => {
+    const index =
+      (await localforage.getItem<Record<string, number>>(SAVED_AT_INDEX_KEY)) ??
+      {};
+    update(index);
+    await localforage.setItem(SAVED_AT_INDEX_KEY, index);
+  });
+  savedAtIndexLock = run.catch(() => {});
+  return run;
+}
+
+/*
+Keys of evictable items except `excludeKeys`, least recently saved first.
+Items saved before the index existed are taken as the oldest.
+*/
+async function getEvictableKeys(excludeKeys: string[]): Promise<string[]> {
+  const keys = (await localforage.keys()).filter(
+    (key) => !excludeKeys.includes(key) && isEvictableKey(key),
+  );
+  const index =
+    (await localforage.getItem<Record<string, number>>(SAVED_AT_INDEX_KEY)) ??
+    {};
+  return keys.sort((a, b) => (index[a] ?? 0) - (index[b] ?? 0));
+}
+
+// `localforage.removeItem` which also drops evictable items from the index
+export async function removeItem(key: string): Promise<void> {
+  await localforage.removeItem(key);
+  if (isEvictableKey(key)) {
+    await updateSavedAtIndex((index) => {
+      delete index[key];
+    });
+  }
+}
+
+async function hasSpaceFor(byteSize: number): Promise<boolean> {
+  if (navigator.storage?.estimate == null) {
+    // Cannot tell, rely on QuotaExceededError instead
+    return true;
+  }
+  const { usage = 0, quota } = await navigator.storage.estimate();
+  if (quota == null) {
+    return true;
+  }
+  return usage + byteSize <= quota * MAX_QUOTA_USAGE_RATIO;
+}
+
+/*
+Evict the least recently saved evictable items until `byteSize` more bytes
+fit in the quota. `key` and the latest generation are never evicted.
+*/
+async function evictForSpace(byteSize: number, key: string) {
+  const latestGenerationId = await localforage.getItem<string>(
+    LATEST_GENERATION_KEY,
+  );
+  const excludeKeys =
+    latestGenerationId == null
+      ? [key]
+      : [key, getGenerationKey(latestGenerationId)];
+  const evictableKeys = await getEvictableKeys(excludeKeys);
+  for (const evictableKey of evictableKeys) {
+    if (await hasSpaceFor(byteSize)) {
+      return;
+    }
+    console.warn("Evict stored item for space", evictableKey);
+    await removeItem(evictableKey);
+  }
+}
+
+/*
+`localforage.setItem` which makes space for `byteSize` (approximate size of
+`value`) first if needed, and evicts everything evictable then retries once
+if the quota is still exceeded. `savedAt` of `value` decides when it is
+evicted, now by default.
+*/
+export async function setItemWithEviction<T extends EvictableItem>(
+  key: string,
+  value: T,
+  byteSize: number,
+): Promise<void> {
+  if (!(await hasSpaceFor(byteSize))) {
+    await evictForSpace(byteSize, key);
+  }
+  try {
+    await localforage.setItem(key, value);
+  } catch (error) {
+    if (!isQuotaExceededError(error)) {
+      throw error;
+    }
+    await evictForSpace(Infinity, key);
+    await localforage.setItem(key, value);
+  }
+  await updateSavedAtIndex((index) => {
+    index[key] = value.savedAt ?? Date.now();
+  });
+}
+
+/*
+Store `mockups` as a new generation in the history and mark it as the latest
+one. `sources` maps `sourceId` of the mockups to the uploaded screenshots.
+*/
+export async function saveGeneratedMockups(
+  mockups: GeneratedMockup[],
+  sources: Record<string, Blob> = {},
+): Promise<MockupGeneration> {
+  const savedAt = Date.now();
+  const generation: MockupGeneration = {
+    id: ulid(),
+    savedAt,
+    sources,
+    mockups: mockups.map((mockup) => ({
+      ...mockup,
+      id: ulid(),
+      generatedAt: mockup.generatedAt ?? savedAt,
+    })),
+  };
+  await updateMockupGeneration(generation);
+  await localforage.setItem(LATEST_GENERATION_KEY, generation.id);
+  return generation;
+}
+
+// Mockups of the latest generation, null if none or evicted
+export async function loadGeneratedMockups(): Promise<
+  GeneratedMockup[] | null
+> {
+  const latestGenerationId = await localforage.getItem<string>(
+    LATEST_GENERATION_KEY,
+  );
+  if (latestGenerationId == null) {
+    return null;
+  }
+  const generation = await localforage.getItem<MockupGeneration>(
+    getGenerationKey(latestGenerationId),
+  );
+  return generation?.mockups ?? null;
+}
+
+// All stored generations, newest first
+export async function loadMockupHistory(): Promise<MockupGeneration[]> {
+  const keys = (await localforage.keys()).filter((key) =>
+    key.startsWith(GENERATION_KEY_PREFIX),
+  );
+  const generations = await Promise.all(
+    keys.map((key) => localforage.getItem<MockupGeneration>(key)),
+  );
+  return generations
+    .filter((generation): generation is MockupGeneration => generation != null)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export async function updateMockupGeneration(
+  generation: MockupGeneration,
+): Promise<void> {
+  await setItemWithEviction(
+    getGenerationKey(generation.id),
+    generation,
+    getGenerationSize(generation),
+  );
+}
+
+export async function deleteMockupGeneration(
+  generationId: string,
+): Promise<void> {
+  await removeItem(getGenerationKey(generationId));
+}
+
+export async function getLatestGenerationId(): Promise<string | null> {
+  return await localforage.getItem<string>(LATEST_GENERATION_KEY);
+}
@@ -0,0 +1,41 @@
+// Same as `MessageType.Precache` in public/sw.js
+const PRECACHE_MESSAGE_TYPE = "precache";
+
+// The service worker is only registered for builds, as `astro dev` does not
+// write its precache manifest
+export function isServiceWorkerEnabled() {
+  return import.meta.env.PROD && "serviceWorker" in navigator;
+}
+
+export function registerServiceWorker() {
+  if (!isServiceWorkerEnabled()) {
+    return;
+  }
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.error("Failed to register service worker", error);
+    });
+  });
+}
+
+/*
+Ask the service worker to cache `urls` for offline use, resolve with the urls
+which cannot be cached. Waits for the service worker to be installed, which
+precaches the rest of the site first.
+*/
+export async function precacheUrls(urls) {
+  const registration = await navigator.serviceWorker.ready;
+  const serviceWorker = registration.active;
+  if (serviceWorker == null) {
+    return urls;
+  }
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => {
+      resolve(e.data.failedUrls);
+    };
+    serviceWorker.postMessage({ type: PRECACHE_MESSAGE_TYPE, urls }, [
+      channel.port2,
+    ]);
+  });
+}